@@ -3,3 +3,8 @@ module.exports.Collection = require('./lib/collection')
 module.exports.Object = require('./lib/object')
 module.exports.Schema = require('./lib/schema')
 module.exports.Error = require('./lib/error')
+module.exports.Migration = require('./lib/migration')
+module.exports.Registry = require('./lib/registry')
+module.exports.Adapter = require('./lib/adapter')
+module.exports.Merge = require('./lib/merge')
+module.exports.Fixture = require('./lib/fixture')
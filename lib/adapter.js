@@ -0,0 +1,330 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { promisify } = require('util')
+const _ = require('lodash')
+const Joi = require('joi')
+const Loki = require('lokijs')
+const LokiFsStructuredAdapter = require('lokijs/src/loki-fs-structured-adapter')
+const debug = require('debug')('loki-helper:adapter')
+
+const { normalizeEncryption, toKeyBuffer, isEncrypted, encrypt, decrypt } = require('./encryption')
+const { EncryptionError, ValidationError } = require('./error')
+
+const open = promisify(fs.open)
+const close = promisify(fs.close)
+const fsync = promisify(fs.fsync)
+const writeFile = promisify(fs.writeFile)
+const readFile = promisify(fs.readFile)
+const rename = promisify(fs.rename)
+const unlink = promisify(fs.unlink)
+const readdir = promisify(fs.readdir)
+const gzip = promisify(zlib.gzip)
+const gunzip = promisify(zlib.gunzip)
+
+/** Schema for input validation */
+const Schema = (() => {
+  const custom = Joi.object()
+    .keys({
+      mode: Joi.string(),
+      loadDatabase: Joi.func().required(),
+      saveDatabase: Joi.func(),
+      exportDatabase: Joi.func(),
+      deleteDatabase: Joi.func()
+    })
+    .or('saveDatabase', 'exportDatabase')
+    .unknown()
+  const adapter = Joi.alternatives()
+    .try(Joi.string().valid('file', 'gzip', 'partitioned', 'incremental'), custom)
+    .default('file')
+  const adapterOptions = Joi.object()
+    .keys({
+      compress: Joi.bool().default(false),
+      paging: Joi.bool(),
+      pageSize: Joi.number()
+        .integer()
+        .min(1),
+      delimiter: Joi.string().min(1)
+    })
+    .default({})
+
+  return {
+    adapter,
+    adapterOptions
+  }
+})()
+
+/** Leading bytes of gzip data */
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b])
+
+/** Counter making temporary file names unique within process */
+let tempFileCount = 0
+
+/**
+ * Flush directory entry changes eg. rename to disk
+ * Not supported on every platform, failure is ignored
+ * @param {string} directory
+ * @return {Promise}
+ */
+const syncDirectory = directory => open(directory, 'r')
+  .then(fd => fsync(fd).then(() => close(fd), () => close(fd)))
+  .catch(error => debug(`cannot sync directory ${directory}: ${error.message}`))
+
+/**
+ * Write file so that it contains either its previous or its new content even if process crashes
+ * Data is written to temporary file in the same directory, flushed to disk then renamed over target file
+ * @param {string} fileName
+ * @param {Buffer|string} data
+ * @return {Promise}
+ */
+const writeFileAtomic = (fileName, data) => {
+  const tempName = `${fileName}.${process.pid}.${tempFileCount++}.tmp`
+  return open(tempName, 'w')
+    .then(fd => writeFile(fd, data)
+      .then(() => fsync(fd))
+      .then(() => close(fd), error => close(fd).then(() => { throw error })))
+    .then(() => rename(tempName, fileName))
+    .then(() => syncDirectory(path.dirname(fileName)))
+    .catch(error => unlink(tempName)
+      .catch(_.noop)
+      .then(() => { throw error }))
+}
+
+/**
+ * Invoke Loki style callback with outcome of promise outside of promise chain
+ * so that errors thrown by callback are not swallowed
+ * @param {Promise} promise - promise which never rejects
+ * @param {function} callback
+ */
+const settle = (promise, callback) => {
+  promise.then(result => process.nextTick(callback, result))
+}
+
+/**
+ * Read database file as is, gzip compressed content is detected and decompressed
+ * @param {string} dbname - file name
+ * @return {Promise<string|null>} file content, null if file not exist
+ */
+const readDatabaseFile = dbname => readFile(dbname)
+  .then(content => (content.slice(0, 2).equals(GZIP_MAGIC) ? gunzip(content) : content))
+  .then(content => content.toString('utf8'))
+  .catch(error => (error.code === 'ENOENT' ? null : Promise.reject(error)))
+
+const fileAdapterMethods = {
+  /**
+   * Read database file as is, for adapters wrapping file adapter, see Adapter.EncryptedAdapter
+   * @param {string} dbname - file name
+   * @return {Promise<string|null>} file content, null if file not exist
+   */
+  readDatabase (dbname) {
+    return readDatabaseFile(dbname)
+  },
+  /**
+   * Read database file, encrypted database is refused rather than loaded as empty database
+   * @param {string} dbname - file name
+   * @param {function} callback - receives serialized database, null if file not exist or error
+   */
+  loadDatabase (dbname, callback) {
+    settle(readDatabaseFile(dbname)
+      .then((content) => {
+        if (_.isString(content) && isEncrypted(content)) {
+          throw new EncryptionError(`database ${dbname} is encrypted, encryption option is required`, { dbname })
+        }
+        return content
+      })
+      .catch(error => error), callback)
+  },
+  /**
+   * Write database file atomically
+   * @param {string} dbname - file name
+   * @param {string} dbstring - serialized database
+   * @param {function} callback - receives error if any
+   */
+  saveDatabase (dbname, dbstring, callback) {
+    settle((this.compress ? gzip(dbstring) : Promise.resolve(dbstring))
+      .then(data => writeFileAtomic(dbname, data))
+      .then(() => null, error => error), callback)
+  },
+  /**
+   * Delete database file
+   * @param {string} dbname - file name
+   * @param {function} callback - receives error if any
+   */
+  deleteDatabase (dbname, callback) {
+    settle(unlink(dbname).then(() => undefined, error => error), callback)
+  }
+}
+
+/**
+ * Delete database container file and its collection partition or page files, eg. db, db.0, db.0.1
+ * @param {string} dbname - file name of database container
+ * @param {function} callback - receives error if any
+ */
+const deletePartitions = (dbname, callback) => {
+  const directory = path.dirname(dbname)
+  const base = path.basename(dbname)
+  const isPartition = name => name === base ||
+    (name.startsWith(`${base}.`) && /^\d+(\.\d+)?$/.test(name.slice(base.length + 1)))
+  settle(readdir(directory)
+    .then(names => Promise.all(names.filter(isPartition).map(name => unlink(path.join(directory, name)))))
+    .then(() => undefined, error => error), callback)
+}
+
+/**
+ * Create Loki persistence adapter storing database in a single file
+ * Saving writes to temporary file, flushes it to disk and renames it over database file,
+ * so a crash mid-save never leaves a partially written database file
+ * @param {object} options
+ * @param {bool} options.compress - gzip file content
+ * @return {object} Loki persistence adapter
+ */
+const FileAdapter = ({ compress = false } = {}) => Object.assign({ compress }, fileAdapterMethods)
+
+const encryptedAdapterMethods = {
+  /**
+   * Get current key followed by previous keys
+   * @return {Promise<Buffer[]>}
+   */
+  resolveKeys () {
+    return Promise.resolve(this.keyProvider ? this.keyProvider() : this.key)
+      .then(key => [key].concat(this.previousKeys).map(candidate => toKeyBuffer(candidate, this.cipher)))
+  },
+  /**
+   * Load and decrypt database through inner adapter
+   * @param {string} dbname
+   * @param {function} callback - receives serialized database, null if not exist or error
+   */
+  loadDatabase (dbname, callback) {
+    const load = _.isFunction(this.adapter.readDatabase)
+      ? done => settle(this.adapter.readDatabase(dbname).catch(error => error), done)
+      : done => this.adapter.loadDatabase(dbname, done)
+    load((content) => {
+      if (!_.isString(content)) {
+        callback(content)
+        return
+      }
+      settle(this.resolveKeys()
+        .then((keys) => {
+          if (isEncrypted(content)) {
+            return decrypt(content, keys)
+          }
+          if (this.allowUnencrypted) {
+            debug(`loading unencrypted database ${dbname}`)
+            return content
+          }
+          throw new EncryptionError(`database ${dbname} is not encrypted`, { dbname })
+        })
+        .catch(error => error), callback)
+    })
+  },
+  /**
+   * Encrypt database with current key then save it through inner adapter
+   * @param {string} dbname
+   * @param {string} dbstring - serialized database
+   * @param {function} callback - receives error if any
+   */
+  saveDatabase (dbname, dbstring, callback) {
+    settle(this.resolveKeys()
+      .then(([key]) => encrypt(dbstring, key, { cipher: this.cipher, compress: this.compress }))
+      .catch(error => error), (result) => {
+      if (result instanceof Error) {
+        callback(result)
+        return
+      }
+      this.adapter.saveDatabase(dbname, result, callback)
+    })
+  },
+  /**
+   * Delete database through inner adapter
+   * @param {string} dbname
+   * @param {function} callback - receives error if any
+   */
+  deleteDatabase (dbname, callback) {
+    this.adapter.deleteDatabase(dbname, callback)
+  }
+}
+
+/**
+ * Create Loki persistence adapter encrypting database saved through another adapter
+ * Database encrypted with any previous key is decrypted on load and re-encrypted with current key on next save
+ * @param {object} adapter - non-reference mode Loki persistence adapter
+ * @param {object} _encryption
+ * @param {Buffer|string} _encryption.key - key as buffer, hex or base64 string
+ * @param {function} _encryption.keyProvider - function returning key or promise of key, called on every load and save
+ * @param {Array<Buffer|string>} _encryption.previousKeys - keys tried on load when database is not encrypted
+ * with current key
+ * @param {string} _encryption.cipher - 'aes-256-gcm' (default), 'aes-192-gcm' or 'aes-128-gcm'
+ * @param {bool} _encryption.allowUnencrypted - load unencrypted database instead of throwing, for enabling encryption
+ * on existing database
+ * @param {object} options
+ * @param {bool} options.compress - gzip database before encryption
+ * @return {object} Loki persistence adapter
+ * @throws {ValidationError} invalid encryption options
+ */
+const EncryptedAdapter = (adapter, _encryption, { compress = false } = {}) => {
+  const encryption = normalizeEncryption(_encryption)
+  return Object.assign({ adapter, compress }, encryption, encryptedAdapterMethods)
+}
+
+/**
+ * Create Loki persistence adapter from adapter selection
+ * @param {string|object} _adapter - one of
+ * 'file' (default) single file written atomically,
+ * 'gzip' single gzip compressed file written atomically,
+ * 'partitioned' one file per collection written atomically, only changed collections are saved,
+ * 'incremental' Loki structured adapter streaming one file per collection, only changed collections are saved,
+ * or custom adapter implementing Loki adapter interface, ie. loadDatabase and either saveDatabase
+ * or, with mode 'reference', exportDatabase
+ * @param {object} _adapterOptions
+ * @param {bool} _adapterOptions.compress - gzip files of 'file' and 'partitioned' adapters
+ * @param {bool} _adapterOptions.paging - split collection files of 'partitioned' adapter into pages
+ * @param {number} _adapterOptions.pageSize - page size in characters of 'partitioned' adapter
+ * @param {string} _adapterOptions.delimiter - page delimiter of 'partitioned' adapter
+ * @param {object} encryption - encrypt database, see EncryptedAdapter,
+ * supported by 'file', 'gzip' and custom non-reference mode adapters
+ * @return {object} Loki persistence adapter
+ * @throws {ValidationError} invalid adapter selection or options
+ */
+const createAdapter = (_adapter, _adapterOptions, encryption) => {
+  const validatedAdapter = Schema.adapter.validate(_adapter)
+  const validatedOptions = Schema.adapterOptions.validate(_adapterOptions)
+  const error = validatedAdapter.error || validatedOptions.error
+  if (error) {
+    throw new ValidationError('invalid persistence adapter', _.pick(error, ['details', 'anotate']))
+  }
+  const adapter = validatedAdapter.value
+  const { compress } = validatedOptions.value
+
+  if (encryption) {
+    if (['partitioned', 'incremental'].includes(adapter) || adapter.mode === 'reference') {
+      throw new ValidationError(`encryption is not supported by ${_.isString(adapter) ? adapter : 'reference mode'} adapter`)
+    }
+    debug(`using encrypted ${_.isString(adapter) ? adapter : 'custom'} adapter`)
+    return EncryptedAdapter(_.isString(adapter) ? FileAdapter() : _adapter, encryption, {
+      compress: compress || adapter === 'gzip'
+    })
+  }
+  if (!_.isString(adapter)) {
+    // Keep custom adapter instance itself rather than validated copy
+    return _adapter
+  }
+  debug(`using ${adapter} adapter`)
+  switch (adapter) {
+    case 'gzip':
+      return FileAdapter({ compress: true })
+    case 'partitioned':
+      return Object.assign(new Loki.LokiPartitioningAdapter(
+        FileAdapter({ compress }),
+        _.pick(validatedOptions.value, ['paging', 'pageSize', 'delimiter'])
+      ), { deleteDatabase: deletePartitions })
+    case 'incremental':
+      return Object.assign(new LokiFsStructuredAdapter(), { deleteDatabase: deletePartitions })
+    default:
+      return FileAdapter({ compress })
+  }
+}
+
+module.exports.FileAdapter = FileAdapter
+module.exports.EncryptedAdapter = EncryptedAdapter
+module.exports.createAdapter = createAdapter
+module.exports.writeFileAtomic = writeFileAtomic
@@ -0,0 +1,145 @@
+/* eslint-env jest */
+const { FileAdapter, EncryptedAdapter, createAdapter, writeFileAtomic } = require('./adapter')
+const { EncryptionError, ValidationError } = require('./error')
+const Loki = require('lokijs')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const rimraf = require('rimraf')
+
+const tempDir = path.resolve('.', '.temp-adapter')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}adapter-test-${count++}`
+})()
+const call = (fn, ...args) => new Promise(resolve => fn(...args, resolve))
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('writeFileAtomic', () => {
+  it('replaces file content without leaving temporary file', async () => {
+    const fileName = generateFileName()
+    fs.writeFileSync(fileName, 'old')
+    await writeFileAtomic(fileName, 'new')
+    expect(fs.readFileSync(fileName, 'utf8')).toBe('new')
+    expect(fs.readdirSync(tempDir).filter(name => name.endsWith('.tmp'))).toEqual([])
+  })
+  it('keeps previous content and removes temporary file if writing fails', async () => {
+    // Renaming file onto directory fails after temporary file is written
+    const fileName = generateFileName()
+    fs.mkdirSync(fileName)
+    fs.writeFileSync(path.join(fileName, 'content'), 'old')
+    const error = await writeFileAtomic(fileName, 'new').catch(rejection => rejection)
+    expect(error.code).toBe('EISDIR')
+    expect(fs.readFileSync(path.join(fileName, 'content'), 'utf8')).toBe('old')
+    expect(fs.readdirSync(tempDir).filter(name => name.endsWith('.tmp'))).toEqual([])
+  })
+})
+
+describe('FileAdapter', () => {
+  it('saves, loads and deletes database file', async () => {
+    const fileName = generateFileName()
+    const adapter = FileAdapter()
+    expect(await call(adapter.loadDatabase, fileName)).toBeNull()
+
+    expect(await call(adapter.saveDatabase.bind(adapter), fileName, '{"a":1}')).toBeNull()
+    expect(fs.readFileSync(fileName, 'utf8')).toBe('{"a":1}')
+    expect(await call(adapter.loadDatabase, fileName)).toBe('{"a":1}')
+
+    expect(await call(adapter.deleteDatabase, fileName)).toBeUndefined()
+    expect(fs.existsSync(fileName)).toBe(false)
+  })
+  it('compresses file content and detects compressed file on load', async () => {
+    const fileName = generateFileName()
+    const adapter = FileAdapter({ compress: true })
+    await call(adapter.saveDatabase.bind(adapter), fileName, '{"a":1}')
+    expect(zlib.gunzipSync(fs.readFileSync(fileName)).toString('utf8')).toBe('{"a":1}')
+    expect(await call(FileAdapter().loadDatabase, fileName)).toBe('{"a":1}')
+  })
+})
+
+describe('EncryptedAdapter', () => {
+  const key = crypto.randomBytes(32)
+  const newKey = crypto.randomBytes(32)
+  it('encrypts on save and decrypts on load', async () => {
+    const fileName = generateFileName()
+    const adapter = EncryptedAdapter(FileAdapter(), { key })
+    expect(await call(adapter.saveDatabase.bind(adapter), fileName, '{"secret":"abc"}')).toBeNull()
+    expect(fs.readFileSync(fileName, 'utf8')).not.toContain('abc')
+    expect(await call(adapter.loadDatabase.bind(adapter), fileName)).toBe('{"secret":"abc"}')
+  })
+  it('yields error if key is wrong or database is not encrypted', async () => {
+    const fileName = generateFileName()
+    const adapter = EncryptedAdapter(FileAdapter(), { key })
+    await call(adapter.saveDatabase.bind(adapter), fileName, '{}')
+    const wrongKey = EncryptedAdapter(FileAdapter(), { key: newKey })
+    expect(await call(wrongKey.loadDatabase.bind(wrongKey), fileName)).toBeInstanceOf(EncryptionError)
+
+    fs.writeFileSync(fileName, '{}')
+    expect(await call(adapter.loadDatabase.bind(adapter), fileName)).toBeInstanceOf(EncryptionError)
+    const migrating = EncryptedAdapter(FileAdapter(), { key, allowUnencrypted: true })
+    expect(await call(migrating.loadDatabase.bind(migrating), fileName)).toBe('{}')
+  })
+  it('refuses to load encrypted database without encryption', async () => {
+    const fileName = generateFileName()
+    const adapter = EncryptedAdapter(FileAdapter({ compress: true }), { key })
+    await call(adapter.saveDatabase.bind(adapter), fileName, '{}')
+    const error = await call(FileAdapter().loadDatabase, fileName)
+    expect(error).toBeInstanceOf(EncryptionError)
+    expect(error.message).toMatch(/is encrypted/)
+    expect(await call(adapter.loadDatabase.bind(adapter), fileName)).toBe('{}')
+  })
+  it('re-encrypts with current key from provider on save after rotation', async () => {
+    const fileName = generateFileName()
+    const adapter = EncryptedAdapter(FileAdapter(), { key })
+    await call(adapter.saveDatabase.bind(adapter), fileName, '{}')
+
+    const rotated = EncryptedAdapter(FileAdapter(), { keyProvider: () => Promise.resolve(newKey), previousKeys: [key] })
+    expect(await call(rotated.loadDatabase.bind(rotated), fileName)).toBe('{}')
+    await call(rotated.saveDatabase.bind(rotated), fileName, '{}')
+    expect(await call(adapter.loadDatabase.bind(adapter), fileName)).toBeInstanceOf(EncryptionError)
+    const current = EncryptedAdapter(FileAdapter(), { key: newKey })
+    expect(await call(current.loadDatabase.bind(current), fileName)).toBe('{}')
+  })
+})
+
+describe('createAdapter', () => {
+  it('creates adapter of given selection', () => {
+    expect(createAdapter()).toMatchObject({ compress: false })
+    expect(createAdapter('gzip')).toMatchObject({ compress: true })
+    expect(createAdapter('partitioned', { paging: true }) instanceof Loki.LokiPartitioningAdapter).toBe(true)
+    expect(createAdapter('incremental').mode).toBe('reference')
+  })
+  it('accepts custom adapter as is', () => {
+    const adapter = new Loki.LokiMemoryAdapter()
+    expect(createAdapter(adapter)).toBe(adapter)
+  })
+  it('throws if adapter selection or options are invalid', () => {
+    expect(() => createAdapter('cloud')).toThrow()
+    expect(() => createAdapter({ saveDatabase () {} })).toThrow()
+    expect(() => createAdapter('partitioned', { pageSize: 0 })).toThrow()
+    expect(() => createAdapter('partitioned', {}, { key: crypto.randomBytes(32) })).toThrow(ValidationError)
+  })
+  it('creates partitioned adapter deleting every partition file', async () => {
+    const fileName = generateFileName()
+    const db = new Loki(fileName, { adapter: createAdapter('partitioned') })
+    db.addCollection('C1').insert({ a: 1 })
+    db.addCollection('C2').insert({ a: 2 })
+    await call(db.saveDatabase.bind(db))
+    expect(fs.existsSync(`${fileName}.1`)).toBe(true)
+
+    const loaded = new Loki(fileName, { adapter: createAdapter('partitioned') })
+    await call(loaded.loadDatabase.bind(loaded), {})
+    expect(loaded.getCollection('C2').findOne({ a: 2 })).not.toBeNull()
+
+    await call(loaded.deleteDatabase.bind(loaded))
+    expect(fs.readdirSync(tempDir).filter(name => name.startsWith(path.basename(fileName)))).toEqual([])
+  })
+})
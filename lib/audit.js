@@ -0,0 +1,115 @@
+const _ = require('lodash')
+
+const { stripLokiProperties } = require('./object')
+
+/**
+ * Get default name of audit collection of given collection
+ * @param {string} collectionName
+ * @return {string}
+ */
+const auditCollectionName = collectionName => `_AUDIT_${collectionName}`
+
+/**
+ * Compute top-level difference between two objects
+ * @param {object|null} before
+ * @param {object|null} after
+ * @return {object} diff with set (changed or added properties with new value) and unset (removed property names)
+ */
+const diff = (before, after) => {
+  const previous = before || {}
+  const next = after || {}
+  return {
+    set: _.pickBy(next, (value, key) => !_.isEqual(value, previous[key])),
+    unset: Object.keys(previous).filter(key => !_.has(next, key))
+  }
+}
+
+/**
+ * Apply diff to object
+ * @param {object|null} doc
+ * @param {object} change - output of diff
+ * @return {object} copy of object with diff applied
+ */
+const applyDiff = (doc, { set, unset }) => Object.assign(_.omit(doc || {}, unset), _.cloneDeep(set))
+
+/**
+ * Get audit collection, create if not exist
+ * @param {Loki} db
+ * @param {object} audit - normalized audit options with collectionName and mode
+ * @return {Loki.Collection}
+ */
+const ensureAuditCollection = (db, audit) => db.getCollection(audit.collectionName) ||
+  db.addCollection(audit.collectionName, { indices: ['documentId'] })
+
+/**
+ * Write audit entry of an operation on object
+ * @param {Loki} db
+ * @param {object} audit - normalized audit options with collectionName and mode
+ * @param {object} entry
+ * @param {string} entry.operation - eg. insert, replace, patch, upsert, remove
+ * @param {number} entry.documentId - $loki of affected object
+ * @param {object|null} entry.before - object before operation, null if not exist
+ * @param {object|null} entry.after - object after operation, null if removed
+ * @param {any} entry.actor - caller provided identity of who made the change
+ * @return {object} inserted audit entry
+ */
+const recordAudit = (db, audit, { operation, documentId, before, after, actor = null }) => {
+  const collection = ensureAuditCollection(db, audit)
+  const previous = before ? stripLokiProperties(_.cloneDeep(before)) : null
+  const next = after ? stripLokiProperties(_.cloneDeep(after)) : null
+  const changes = audit.mode === 'diff'
+    ? { diff: diff(previous, next), removed: !next }
+    : { before: previous, after: next }
+  return collection.insert(Object.assign({
+    operation,
+    documentId,
+    timestamp: Date.now(),
+    actor
+  }, changes))
+}
+
+/**
+ * Get audit entries of object in chronological order
+ * @param {Loki} db
+ * @param {object} audit - normalized audit options
+ * @param {number} documentId
+ * @return {object[]}
+ */
+const history = (db, audit, documentId) => {
+  const collection = db.getCollection(audit.collectionName)
+  if (!collection) {
+    return []
+  }
+  return collection.chain()
+    .find({ documentId })
+    .simplesort('$loki')
+    .data()
+}
+
+/**
+ * Rebuild object as of given time from its audit entries
+ * @param {Loki} db
+ * @param {object} audit - normalized audit options
+ * @param {number} documentId
+ * @param {Date|number} time
+ * @return {object|null} object without Loki properties, null if object did not exist at given time
+ */
+const asOf = (db, audit, documentId, time) => {
+  const until = new Date(time).getTime()
+  const entries = history(db, audit, documentId).filter(({ timestamp }) => timestamp <= until)
+  if (entries.length === 0) {
+    return null
+  }
+  if (audit.mode !== 'diff') {
+    return _.cloneDeep(_.last(entries).after)
+  }
+  return entries.reduce((doc, entry) => (entry.removed ? null : applyDiff(doc, entry.diff)), null)
+}
+
+module.exports.auditCollectionName = auditCollectionName
+module.exports.diff = diff
+module.exports.applyDiff = applyDiff
+module.exports.ensureAuditCollection = ensureAuditCollection
+module.exports.recordAudit = recordAudit
+module.exports.history = history
+module.exports.asOf = asOf
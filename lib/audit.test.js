@@ -0,0 +1,71 @@
+/* eslint-env jest */
+const { auditCollectionName, diff, applyDiff, recordAudit, history, asOf } = require('./audit')
+const { createInMemoryOnlyDB } = require('./db')
+
+const db = createInMemoryOnlyDB('test')
+const snapshot = { collectionName: auditCollectionName('TESTS'), mode: 'snapshot' }
+const diffMode = { collectionName: auditCollectionName('TESTS'), mode: 'diff' }
+
+describe('diff', () => {
+  it('yields changed, added and removed properties', () => {
+    const change = diff({ a: 1, b: 2, c: 3 }, { a: 1, b: 4, d: 5 })
+    expect(change).toEqual({ set: { b: 4, d: 5 }, unset: ['c'] })
+    expect(applyDiff({ a: 1, b: 2, c: 3 }, change)).toEqual({ a: 1, b: 4, d: 5 })
+  })
+  it('treats missing object as empty', () => {
+    expect(diff(null, { a: 1 })).toEqual({ set: { a: 1 }, unset: [] })
+    expect(diff({ a: 1 }, null)).toEqual({ set: {}, unset: ['a'] })
+  })
+})
+
+describe('audit trail', () => {
+  beforeEach(() => {
+    db.clearDatabase()
+  })
+  it('records entries without Loki properties in audit collection', () => {
+    recordAudit(db, snapshot, {
+      operation: 'insert',
+      documentId: 1,
+      before: null,
+      after: { $loki: 1, meta: { revision: 0 }, name: 'a' },
+      actor: 'admin'
+    })
+    const [entry] = history(db, snapshot, 1)
+    expect(db.getCollection('_AUDIT_TESTS')).not.toBeNull()
+    expect(entry).toMatchObject({ operation: 'insert', documentId: 1, actor: 'admin', before: null, after: { name: 'a' } })
+    expect(entry.after).not.toHaveProperty('$loki')
+    expect(typeof entry.timestamp).toBe('number')
+  })
+  it('yields no history if nothing has been recorded', () => {
+    expect(history(db, snapshot, 1)).toEqual([])
+    expect(asOf(db, snapshot, 1, Date.now())).toBeNull()
+  })
+  const recordAt = (audit, timestamp, entry) => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(timestamp)
+    recordAudit(db, audit, entry)
+    now.mockRestore()
+  }
+  const recordLifecycle = (audit) => {
+    recordAt(audit, 100, { operation: 'insert', documentId: 1, before: null, after: { name: 'a', tag: 'x' } })
+    recordAt(audit, 200, { operation: 'patch', documentId: 1, before: { name: 'a', tag: 'x' }, after: { name: 'b' } })
+    recordAt(audit, 300, { operation: 'remove', documentId: 1, before: { name: 'b' }, after: null })
+  }
+  it('rebuilds object as of given time from snapshots', () => {
+    recordLifecycle(snapshot)
+    expect(asOf(db, snapshot, 1, 50)).toBeNull()
+    expect(asOf(db, snapshot, 1, 150)).toEqual({ name: 'a', tag: 'x' })
+    expect(asOf(db, snapshot, 1, new Date(250))).toEqual({ name: 'b' })
+    expect(asOf(db, snapshot, 1, 300)).toBeNull()
+  })
+  it('rebuilds object as of given time from diffs', () => {
+    recordLifecycle(diffMode)
+    const entries = history(db, diffMode, 1)
+    expect(entries.map(({ operation }) => operation)).toEqual(['insert', 'patch', 'remove'])
+    expect(entries[1]).toMatchObject({ diff: { set: { name: 'b' }, unset: ['tag'] }, removed: false })
+    expect(entries[1]).not.toHaveProperty('after')
+    expect(asOf(db, diffMode, 1, 50)).toBeNull()
+    expect(asOf(db, diffMode, 1, 150)).toEqual({ name: 'a', tag: 'x' })
+    expect(asOf(db, diffMode, 1, 250)).toEqual({ name: 'b' })
+    expect(asOf(db, diffMode, 1, 300)).toBeNull()
+  })
+})
@@ -0,0 +1,210 @@
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const _ = require('lodash')
+const Joi = require('joi')
+const mkdirp = require('mkdirp')
+const debug = require('debug')('loki-helper:backup')
+
+const { FileAdapter } = require('./adapter')
+const { initializersOf } = require('./collection')
+const { ValidationError } = require('./error')
+const { queueSave } = require('./scheduler')
+
+const readdir = promisify(fs.readdir)
+const unlink = promisify(fs.unlink)
+const createPath = promisify(mkdirp)
+
+/** Schema for input validation */
+const Schema = (() => {
+  const backupOptions = Joi.object().keys({
+    keep: Joi.number()
+      .integer()
+      .min(1)
+  })
+
+  return {
+    backupOptions
+  }
+})()
+
+/** Extension of backup files */
+const BACKUP_EXTENSION = '.backup'
+
+/**
+ * Get default directory of backup files of database, ie. database file name followed by .backups
+ * @param {Loki} db
+ * @return {string}
+ */
+const defaultBackupDirectory = db => path.resolve(`${db.filename}.backups`)
+
+/**
+ * Format time for backup file name, sortable and safe on every file system eg. 20180101T000000000Z
+ * @param {Date} time
+ * @return {string}
+ */
+const formatTimestamp = time => time.toISOString().replace(/[-:.]/g, '')
+
+/**
+ * Parse backup file name of database
+ * @param {Loki} db
+ * @param {string} fileName
+ * @return {object|null} creation time and sequence number, null if file is not backup of database
+ */
+const parseBackupName = (db, fileName) => {
+  const base = path.basename(db.filename)
+  if (!fileName.startsWith(`${base}-`) || !fileName.endsWith(BACKUP_EXTENSION)) {
+    return null
+  }
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z(?:-(\d+))?$/
+    .exec(fileName.slice(base.length + 1, -BACKUP_EXTENSION.length))
+  if (!match) {
+    return null
+  }
+  const [, year, month, day, hour, minute, second, millisecond, sequence] = match
+  return {
+    createdAt: new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${millisecond}Z`),
+    sequence: sequence ? Number(sequence) : 0
+  }
+}
+
+/**
+ * Get adapter reading and writing backup files
+ * Backups of database saved through encrypted adapter are encrypted with the same keys
+ * @param {Loki} db
+ * @return {object} Loki persistence adapter
+ */
+const backupAdapter = (db) => {
+  const adapter = db.persistenceAdapter
+  return adapter && _.isFunction(adapter.resolveKeys)
+    ? Object.assign({}, adapter, { adapter: FileAdapter() })
+    : FileAdapter()
+}
+
+/**
+ * List backup files of database, newest first
+ * @param {Loki} db
+ * @param {string} directory - directory of backup files, default to database file name followed by .backups
+ * @return {Promise<object[]>} backups with fileName, path and createdAt properties
+ */
+const listBackups = (db, directory = defaultBackupDirectory(db)) => readdir(directory)
+  .catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)))
+  .then(fileNames => _.orderBy(
+    fileNames
+      .map(fileName => Object.assign({ fileName, path: path.join(directory, fileName) }, parseBackupName(db, fileName)))
+      .filter(backup => backup.createdAt),
+    [backup => backup.createdAt.getTime(), 'sequence'],
+    ['desc', 'desc']
+  ).map(backup => _.omit(backup, ['sequence'])))
+
+/**
+ * Remove oldest backups of database beyond given number
+ * @param {Loki} db
+ * @param {string} directory
+ * @param {number} keep
+ * @return {Promise<string[]>} paths to removed backup files
+ */
+const pruneBackups = (db, directory, keep) => listBackups(db, directory)
+  .then(backups => Promise.all(backups.slice(keep).map((backup) => {
+    debug(`removing backup ${backup.path}`)
+    return unlink(backup.path).then(() => backup.path)
+  })))
+
+/**
+ * Write snapshot of current in-memory state of database to timestamped file
+ * then remove oldest backups beyond given number
+ * @param {Loki} db
+ * @param {string} directory - directory of backup files, default to database file name followed by .backups
+ * @param {object} _options
+ * @param {number} _options.keep - number of newest backups to keep, all if not given
+ * @return {Promise<string>} path to backup file
+ * @throws {ValidationError} invalid options
+ */
+const backupDatabase = (db, directory = defaultBackupDirectory(db), _options = {}) => {
+  const validatedOptions = Schema.backupOptions.validate(_options)
+  if (validatedOptions.error) {
+    return Promise.reject(new ValidationError('invalid backup options', _.pick(validatedOptions.error, ['details', 'anotate'])))
+  }
+  const { keep } = validatedOptions.value
+
+  // Serialize synchronously so that snapshot is consistent regardless of later changes
+  const serialized = db.serialize()
+  const stamp = formatTimestamp(new Date())
+  const adapter = backupAdapter(db)
+
+  return createPath(directory)
+    .then(() => readdir(directory))
+    .then((fileNames) => {
+      const base = `${path.basename(db.filename)}-${stamp}`
+      let fileName = `${base}${BACKUP_EXTENSION}`
+      for (let sequence = 1; fileNames.includes(fileName); sequence++) {
+        fileName = `${base}-${sequence}${BACKUP_EXTENSION}`
+      }
+      const backupPath = path.join(directory, fileName)
+      debug(`writing backup ${backupPath}`)
+      return new Promise((resolve, reject) => {
+        adapter.saveDatabase(backupPath, serialized, error => (error ? reject(error) : resolve(backupPath)))
+      })
+    })
+    .then(backupPath => (keep ? pruneBackups(db, directory, keep) : Promise.resolve())
+      .then(() => backupPath))
+}
+
+/**
+ * Replace in-memory state of database then re-initialize collections so that they regain extension methods
+ * State is reverted if re-initialization fails
+ * @param {Loki} db
+ * @param {string|object} state - serialized database or database object
+ * @param {object[]} initializers - initializers to re-run, default to initializers registered on database
+ * @param {function} check - function receiving initializer, run after all collections are initialized
+ * @throws {Error} any error thrown by initialization or check
+ */
+const replaceState = (db, state, initializers = initializersOf(db), check = _.noop) => {
+  const previous = db.serialize()
+  const reinitialize = () => initializers.forEach(initializer => initializer.initialize())
+  try {
+    if (_.isString(state)) {
+      db.loadJSON(state)
+    } else {
+      db.loadJSONObject(state)
+    }
+    reinitialize()
+    initializers.forEach(check)
+  } catch (error) {
+    db.loadJSON(previous)
+    reinitialize()
+    throw error
+  }
+}
+
+/**
+ * Replace in-memory state of database with backup then save database
+ * Collections initialized by Initializer are re-initialized
+ * Database is left untouched if backup cannot be read or re-initialization fails
+ * @param {Loki} db
+ * @param {string} sourcePath - path to backup file
+ * @return {Promise<Loki>}
+ */
+const restoreDatabase = (db, sourcePath) => new Promise((resolve, reject) => {
+  backupAdapter(db).loadDatabase(path.resolve(sourcePath), (content) => {
+    if (content instanceof Error) {
+      reject(content)
+    } else if (!content) {
+      reject(new ValidationError(`backup ${sourcePath} not exist`, { sourcePath }))
+    } else {
+      resolve(content)
+    }
+  })
+})
+  .then((content) => {
+    debug(`restoring backup ${sourcePath}`)
+    replaceState(db, content)
+    return queueSave(db)
+  })
+
+module.exports.defaultBackupDirectory = defaultBackupDirectory
+module.exports.backupAdapter = backupAdapter
+module.exports.replaceState = replaceState
+module.exports.listBackups = listBackups
+module.exports.backupDatabase = backupDatabase
+module.exports.restoreDatabase = restoreDatabase
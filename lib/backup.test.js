@@ -0,0 +1,96 @@
+/* eslint-env jest */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const rimraf = require('rimraf')
+const { createPersistingDB, createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { defaultBackupDirectory } = require('./backup')
+const { ValidationError } = require('./error')
+
+const tempDir = path.resolve('.', '.temp-backup')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}backup-test-${count++}`
+})()
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('backup', () => {
+  it('writes timestamped snapshot to default directory', async () => {
+    const db = createPersistingDB(generateFileName())
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    const backupPath = await db.backup()
+    expect(path.dirname(backupPath)).toBe(defaultBackupDirectory(db))
+    expect(path.basename(backupPath)).toMatch(/^backup-test-\d+-\d{8}T\d{9}Z(-\d+)?\.backup$/)
+    expect(JSON.parse(fs.readFileSync(backupPath, 'utf8')).collections[0].data[0].slug).toBe('xxx')
+  })
+  it('keeps only given number of newest backups', async () => {
+    const db = createPersistingDB(generateFileName())
+    const directory = path.join(tempDir, 'kept')
+    const first = await db.backup(directory)
+    const second = await db.backup(directory)
+    const third = await db.backup(directory, { keep: 2 })
+
+    const backups = await db.listBackups(directory)
+    expect(backups.map(backup => backup.path)).toEqual([third, second])
+    expect(backups[0].createdAt instanceof Date).toBe(true)
+    expect(fs.existsSync(first)).toBe(false)
+    await expect(db.backup(directory, { keep: 0 })).rejects.toBeInstanceOf(ValidationError)
+  })
+  it('lists nothing if there is no backup', async () => {
+    const db = createPersistingDB(generateFileName())
+    expect(await db.listBackups()).toEqual([])
+  })
+  it('encrypts backup of encrypted database', async () => {
+    const encryption = { key: crypto.randomBytes(32) }
+    const db = createPersistingDB(generateFileName(), { encryption })
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    const backupPath = await db.backup()
+    expect(fs.readFileSync(backupPath, 'utf8')).not.toContain('xxx')
+
+    db.clearDatabase()
+    await db.restore(backupPath)
+    expect(db.getCollection('TEST').find({ slug: 'xxx' })).toHaveLength(1)
+  })
+})
+
+describe('restore', () => {
+  it('replaces state with backup, re-initializes collections and saves database', async () => {
+    const fileName = generateFileName()
+    const db = createPersistingDB(fileName)
+    const users = Initializer(db, 'USERS', ['name']).initialize()
+    users.validateAndInsert({ name: 'john' })
+    const backupPath = await db.backup()
+    users.validateAndInsert({ name: 'jane' })
+
+    await db.restore(backupPath)
+    const restored = db.getCollection('USERS')
+    expect(restored.count()).toBe(1)
+    expect(typeof restored.validateAndInsert).toBe('function')
+    expect(() => restored.validateAndInsert({ name: 'john' })).toThrow(ValidationError)
+
+    const loaded = await createPersistingDB(fileName).loadDatabasePromise()
+    expect(loaded.getCollection('USERS').count()).toBe(1)
+  })
+  it('leaves state untouched if backup not exist', async () => {
+    const db = createPersistingDB(generateFileName())
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    await expect(db.restore(path.join(tempDir, 'missing'))).rejects.toBeInstanceOf(ValidationError)
+    expect(db.getCollection('TEST').count()).toBe(1)
+  })
+  it('exports and restores snapshot of in-memory only database', async () => {
+    const db = createInMemoryOnlyDB(generateFileName())
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    const backupPath = await db.backup()
+    db.clearDatabase()
+    await db.restore(backupPath)
+    expect(db.getCollection('TEST').find({ slug: 'xxx' })).toHaveLength(1)
+  })
+})
@@ -0,0 +1,177 @@
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:changes')
+
+const { ValidationError } = require('./error')
+const { afterCommit } = require('./transaction')
+
+/** Change event types */
+const CHANGE_TYPES = ['insert', 'update', 'delete']
+
+/** Change event type of each write operation, purged objects were already reported as deleted */
+const OPERATION_TYPES = {
+  insert: 'insert',
+  replace: 'update',
+  patch: 'update',
+  remove: 'delete',
+  restore: 'insert'
+}
+
+/** Schema for input validation */
+const Schema = (() => {
+  const types = Joi.array()
+    .items(Joi.string().valid(CHANGE_TYPES))
+    .single()
+    .unique()
+    .min(1)
+    .default(CHANGE_TYPES)
+  const collectionOptions = Joi.object().keys({
+    types
+  })
+  const databaseOptions = Joi.object().keys({
+    types,
+    collections: Joi.array()
+      .items(Joi.string().min(1))
+      .single()
+      .unique()
+  })
+
+  return {
+    collectionOptions,
+    databaseOptions
+  }
+})()
+
+/** Subscriptions of each database */
+const subscriptions = new WeakMap()
+
+/**
+ * Get subscriptions of database, created on first access
+ * @param {Loki} db
+ * @return {Set<object>}
+ */
+const subscriptionsOf = (db) => {
+  if (!subscriptions.has(db)) {
+    subscriptions.set(db, new Set())
+  }
+  return subscriptions.get(db)
+}
+
+/**
+ * Validate subscription input
+ * @param {Joi.Schema} schema - options schema
+ * @param {function} handler
+ * @param {object} _options
+ * @return {object} validated options
+ * @throws {ValidationError} invalid options or handler is not a function
+ */
+const validateSubscription = (schema, handler, _options) => {
+  if (!_.isFunction(handler)) {
+    throw new ValidationError('change handler must be a function')
+  }
+  const { error, value } = schema.validate(_options)
+  if (error) {
+    throw new ValidationError('invalid subscription options', _.pick(error, ['details', 'anotate']))
+  }
+  return value
+}
+
+/**
+ * Add subscription to database
+ * @param {Loki} db
+ * @param {object} subscription - handler, types, and optional collections and match function
+ * @return {function} function unsubscribing
+ */
+const addSubscription = (db, subscription) => {
+  subscriptionsOf(db).add(subscription)
+  return () => subscriptionsOf(db).delete(subscription)
+}
+
+/**
+ * Subscribe to changes of collection made through its validated write methods
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @param {function} match - function receiving object, returning true if changes of object are to be delivered
+ * @param {function} handler - function receiving change event
+ * @param {object} _options
+ * @param {string|string[]} _options.types - change types to deliver, insert, update or delete, default to all
+ * @return {function} function unsubscribing
+ * @throws {ValidationError} invalid options or handler is not a function
+ */
+const subscribeCollection = (db, collectionName, match, handler, _options = {}) => {
+  const { types } = validateSubscription(Schema.collectionOptions, handler, _options)
+  return addSubscription(db, { handler, types, collections: [collectionName], match })
+}
+
+/**
+ * Subscribe to changes of every extended collection of database, ie. combined feed
+ * @param {Loki} db
+ * @param {function} handler - function receiving change event
+ * @param {object} _options
+ * @param {string|string[]} _options.types - change types to deliver, insert, update or delete, default to all
+ * @param {string|string[]} _options.collections - names of collections to deliver changes of, default to all
+ * @return {function} function unsubscribing
+ * @throws {ValidationError} invalid options or handler is not a function
+ */
+const subscribeDatabase = (db, handler, _options = {}) => {
+  const { types, collections } = validateSubscription(Schema.databaseOptions, handler, _options)
+  return addSubscription(db, { handler, types, collections })
+}
+
+/**
+ * Deliver event to handler, failure of handler does not affect write nor other handlers
+ * @param {function} handler
+ * @param {object} event
+ */
+const deliver = (handler, event) => {
+  const report = error => debug(`change handler of ${event.collectionName} failed: ${error.message}`)
+  try {
+    const result = handler(event)
+    if (result && _.isFunction(result.catch)) {
+      result.catch(report)
+    }
+  } catch (error) {
+    report(error)
+  }
+}
+
+/**
+ * Publish write to subscribers once it is committed
+ * Objects are copied at the time of write, events of writes rolled back by transaction are never delivered
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @param {object} entry - write with operation, documentId, before, after and actor, see Audit.recordAudit
+ */
+const publishChange = (db, collectionName, entry) => {
+  if (!subscriptions.has(db) || subscriptions.get(db).size === 0) {
+    return
+  }
+  const type = entry.operation === 'upsert' ? (entry.before ? 'update' : 'insert') : OPERATION_TYPES[entry.operation]
+  if (!type) {
+    return
+  }
+  const event = {
+    type,
+    operation: entry.operation,
+    collectionName,
+    documentId: entry.documentId,
+    before: entry.before ? _.cloneDeep(entry.before) : null,
+    after: type !== 'delete' && entry.after ? _.cloneDeep(entry.after) : null,
+    actor: entry.actor,
+    timestamp: Date.now()
+  }
+  afterCommit(db.getCollection(collectionName), () => Array.from(subscriptionsOf(db)).forEach((subscription) => {
+    const { handler, types, collections, match } = subscription
+    if (!types.includes(type) || (collections && !collections.includes(collectionName))) {
+      return
+    }
+    if (match && ![event.before, event.after].some(doc => doc && match(doc))) {
+      return
+    }
+    deliver(handler, event)
+  }))
+}
+
+module.exports.subscribeCollection = subscribeCollection
+module.exports.subscribeDatabase = subscribeDatabase
+module.exports.publishChange = publishChange
@@ -0,0 +1,115 @@
+/* eslint-env jest */
+const Joi = require('joi')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ValidationError } = require('./error')
+
+const taskSchema = Joi.object()
+  .keys({
+    title: Joi.string().required(),
+    status: Joi.string().valid('open', 'done')
+  })
+  .unknown()
+const open = () => {
+  const db = createInMemoryOnlyDB('changes-test')
+  const tasks = Initializer(db, 'TASKS', [], undefined, taskSchema, { softDelete: true }).initialize()
+  const notes = Initializer(db, 'NOTES', [], undefined, Joi.object()).initialize()
+  return { db, tasks, notes }
+}
+const summary = event => [event.type, event.operation, event.before && event.before.title, event.after && event.after.title]
+
+describe('subscribe', () => {
+  it('emits typed events with before and after objects', () => {
+    const { tasks } = open()
+    const events = []
+    tasks.subscribe({}, event => events.push(event))
+    const { $loki: id } = tasks.validateAndInsert({ title: 'a', status: 'open' }, { actor: 'ann' })
+    tasks.validateAndPatch({ $loki: id, title: 'b' })
+    tasks.removeByID(id)
+    tasks.restoreByID(id)
+    tasks.upsert({ title: 'c' })
+    expect(events.map(summary)).toEqual([
+      ['insert', 'insert', null, 'a'],
+      ['update', 'patch', 'a', 'b'],
+      ['delete', 'remove', 'b', null],
+      ['insert', 'restore', 'b', 'b'],
+      ['insert', 'upsert', null, 'c']
+    ])
+    expect(events[0]).toMatchObject({ collectionName: 'TASKS', documentId: id, actor: 'ann' })
+    events[1].after.title = 'changed'
+    expect(tasks.get(id).title).toBe('b')
+  })
+  it('delivers changes of objects matching filter before or after change', () => {
+    const { tasks } = open()
+    const events = []
+    tasks.subscribe({ status: 'open' }, event => events.push(event), { types: ['insert', 'update'] })
+    const { $loki: id } = tasks.validateAndInsert({ title: 'a', status: 'open' })
+    tasks.validateAndInsert({ title: 'b', status: 'done' })
+    tasks.validateAndPatch({ $loki: id, status: 'done' })
+    tasks.validateAndPatch({ $loki: id, title: 'c' })
+    tasks.removeByID(id)
+    expect(events.map(summary)).toEqual([['insert', 'insert', null, 'a'], ['update', 'patch', 'a', 'a']])
+    expect(() => tasks.subscribe({ priority: 1 }, () => {})).toThrow(ValidationError)
+    expect(() => tasks.subscribe({}, () => {}, { types: 'purge' })).toThrow(ValidationError)
+    expect(() => tasks.subscribe({}, 'not a function')).toThrow(ValidationError)
+  })
+  it('stops delivering after unsubscribe and ignores failing handler', () => {
+    const { tasks } = open()
+    const events = []
+    tasks.subscribe({}, () => {
+      throw new Error('handler failed')
+    })
+    const unsubscribe = tasks.subscribe({}, event => events.push(event))
+    tasks.validateAndInsert({ title: 'a' })
+    unsubscribe()
+    tasks.validateAndInsert({ title: 'b' })
+    expect(events.length).toBe(1)
+    expect(tasks.count()).toBe(2)
+  })
+  it('does not deliver changes rolled back by transaction', () => {
+    const { tasks } = open()
+    const events = []
+    tasks.subscribe({}, event => events.push(event))
+    expect(() => tasks.transaction((collection) => {
+      collection.validateAndInsert({ title: 'a' })
+      expect(events.length).toBe(0)
+      throw new Error('fail')
+    })).toThrow()
+    tasks.transaction(collection => collection.validateAndInsert({ title: 'b' }))
+    expect(events.map(summary)).toEqual([['insert', 'insert', null, 'b']])
+  })
+  it('delivers committed changes of one database when interleaved transaction of another is rolled back', async () => {
+    const first = open()
+    const second = open()
+    const events = []
+    first.db.subscribe(event => events.push(['first', event.after.title]))
+    second.db.subscribe(event => events.push(['second', event.after.title]))
+    const wait = () => new Promise(resolve => setTimeout(resolve, 5))
+    const failing = first.db.transaction(db => wait().then(() => {
+      db.getCollection('TASKS').validateAndInsert({ title: 'a' })
+      return wait()
+    }).then(() => {
+      throw new Error('fail')
+    }))
+    const succeeding = second.db.transaction(db => wait().then(() => {
+      db.getCollection('TASKS').validateAndInsert({ title: 'b' })
+      return wait().then(wait)
+    }))
+    await expect(failing).rejects.toThrow('fail')
+    await succeeding
+    expect(first.tasks.count()).toBe(0)
+    expect(events).toEqual([['second', 'b']])
+  })
+  it('combines changes of all collections in database feed', () => {
+    const { db, tasks, notes } = open()
+    const all = []
+    const onlyNotes = []
+    db.subscribe(event => all.push(event.collectionName))
+    db.subscribe(event => onlyNotes.push(event.collectionName), { collections: 'NOTES', types: 'insert' })
+    tasks.validateAndInsert({ title: 'a' })
+    const note = notes.validateAndInsert({ text: 'x' })
+    notes.removeByID(note.$loki)
+    expect(all).toEqual(['TASKS', 'NOTES', 'NOTES'])
+    expect(onlyNotes).toEqual(['NOTES'])
+  })
+})
@@ -1,10 +1,36 @@
 const _ = require('lodash')
 const Joi = require('joi')
+const Loki = require('lokijs')
 const debug = require('debug')('loki-helper:collection')
 
 const { stripLokiProperties } = require('./object')
 const { lokiID } = require('./schema')
-const { ValidationError, ObjectNotFoundError } = require('./error')
+const { ValidationError, ObjectNotFoundError, MigrationError, ConflictError } = require('./error')
+const { findDuplicate, restoreCollection } = require('./snapshot')
+const { transaction, bind, bindTarget } = require('./transaction')
+const { normalizeReferences, validateReferences, referencesTo, populate } = require('./reference')
+const { runQuery, createFilterMatcher } = require('./query')
+const { normalizeViews, applyView, reverseView, getView } = require('./view')
+const { auditCollectionName, ensureAuditCollection, recordAudit, history, asOf } = require('./audit')
+const { subscribeCollection, publishChange } = require('./changes')
+const {
+  whenResolved,
+  resolveAll,
+  sequence,
+  createMiddleware,
+  registerMiddleware,
+  settle,
+  requireSynchronous,
+  runBefore,
+  runAfter
+} = require('./middleware')
+const {
+  latestVersion,
+  getSchemaVersion,
+  setSchemaVersion,
+  planMigrations,
+  runMigrations
+} = require('./migration')
 
 /** Schema for input validation */
 const Schema = (() => {
@@ -12,9 +38,126 @@ const Schema = (() => {
   const uniqueKeys = Joi.array()
     .items(uniqueKey)
     .unique()
+  const migration = Joi.object().keys({
+    version: Joi.number()
+      .integer()
+      .min(1)
+      .required(),
+    up: Joi.func().required(),
+    down: Joi.func()
+  })
+  const propertyNames = Joi.array()
+    .items(Joi.string().min(1))
+    .single()
+    .unique()
+  const collectionOptions = Joi.object()
+    .keys({
+      indices: propertyNames,
+      exact: propertyNames,
+      ttl: Joi.number()
+        .integer()
+        .min(0),
+      ttlInterval: Joi.number()
+        .integer()
+        .min(1),
+      clone: Joi.bool(),
+      cloneMethod: Joi.string().valid(
+        'parse-stringify',
+        'jquery-extend-deep',
+        'shallow',
+        'shallow-assign',
+        'shallow-recurse-objects'
+      ),
+      disableMeta: Joi.bool(),
+      disableChangesApi: Joi.bool(),
+      disableDeltaChangesApi: Joi.bool(),
+      adaptiveBinaryIndices: Joi.bool(),
+      asyncListeners: Joi.bool(),
+      transactional: Joi.bool(),
+      autoupdate: Joi.bool(),
+      serializableIndices: Joi.bool()
+    })
+    .and('ttl', 'ttlInterval')
+  const softDelete = Joi.object().keys({
+    field: Joi.string()
+      .min(1)
+      .default('deletedAt'),
+    keysField: Joi.string()
+      .min(1)
+      .default('deletedKeys'),
+    unique: Joi.string()
+      .valid('include', 'exclude')
+      .default('include')
+  })
+  const timestamps = Joi.object().keys({
+    createdAt: Joi.string()
+      .min(1)
+      .default('createdAt'),
+    updatedAt: Joi.string()
+      .min(1)
+      .default('updatedAt')
+  })
+  const ownership = Joi.object().keys({
+    createdBy: Joi.string()
+      .min(1)
+      .default('createdBy'),
+    updatedBy: Joi.string()
+      .min(1)
+      .default('updatedBy')
+  })
+  const audit = Joi.object().keys({
+    collectionName: Joi.string().min(1),
+    mode: Joi.string()
+      .valid('snapshot', 'diff')
+      .default('snapshot')
+  })
+  const options = Joi.object().keys({
+    collectionOptions: collectionOptions.default({}),
+    migrations: Joi.array()
+      .items(migration)
+      .unique('version')
+      .default([]),
+    version: Joi.number()
+      .integer()
+      .min(0),
+    references: Joi.object().default({}),
+    compoundUniqueKeys: Joi.array()
+      .items(Joi.array()
+        .items(Joi.string().min(1))
+        .min(2)
+        .unique())
+      .default([]),
+    softDelete: Joi.alternatives()
+      .try(Joi.bool(), softDelete)
+      .default(false),
+    audit: Joi.alternatives()
+      .try(Joi.bool(), audit)
+      .default(false),
+    views: Joi.object().default({}),
+    timestamps: Joi.alternatives()
+      .try(Joi.bool(), timestamps)
+      .default(false),
+    ownership: Joi.alternatives()
+      .try(Joi.bool(), ownership)
+      .default(false)
+  })
+
+  const insertManyOptions = Joi.object().keys({
+    mode: Joi.string()
+      .valid('all-or-nothing', 'partial')
+      .default('all-or-nothing'),
+    actor: Joi.any()
+  })
 
   return {
-    uniqueKeys
+    uniqueKeys,
+    collectionOptions,
+    softDelete,
+    timestamps,
+    ownership,
+    audit,
+    options,
+    insertManyOptions
   }
 })()
 
@@ -33,6 +176,14 @@ const valueToArray = input => (Array.isArray(input) ? input : [input])
 const indexedProperties = collection =>
   (collection.binaryIndices ? Object.keys(collection.binaryIndices) : [])
 
+/**
+ * Get names of properties with exact index
+ * @param {Loki.Collection} collection
+ * @return {string[]}
+ */
+const exactProperties = collection =>
+  (collection.constraints && collection.constraints.exact ? Object.keys(collection.constraints.exact) : [])
+
 /**
  * Get names of properties with unique value constraint
  * @param {Loki.Collection} collection
@@ -49,54 +200,464 @@ const uniqueProperties = collection => collection.uniqueNames || []
 const hasUniqueProperties = (collection, uniqueKeys) =>
   _.difference(valueToArray(uniqueKeys), collection.uniqueNames || []).length === 0
 
+/**
+ * Collection options which map directly to a collection property
+ * Keys are option names accepted by Loki.addCollection, values are corresponding collection properties
+ */
+const flagOptions = {
+  clone: 'cloneObjects',
+  cloneMethod: 'cloneMethod',
+  disableMeta: 'disableMeta',
+  disableChangesApi: 'disableChangesApi',
+  disableDeltaChangesApi: 'disableDeltaChangesApi',
+  adaptiveBinaryIndices: 'adaptiveBinaryIndices',
+  asyncListeners: 'asyncListeners',
+  transactional: 'transactional',
+  autoupdate: 'autoupdate',
+  serializableIndices: 'serializableIndices'
+}
+
+/**
+ * Collection options which cannot be changed without recreating collection
+ */
+const rebuildOptions = ['disableMeta']
+
+/**
+ * Compare collection against given collection options, options not given are not compared
+ * @param {Loki.Collection} collection
+ * @param {object} options - options input to Loki.addCollection, except unique
+ * @return {string[]} names of options which collection does not conform to
+ */
+const collectionOptionsDrift = (collection, options) => {
+  const drift = []
+  if (options.indices && _.xor(indexedProperties(collection), valueToArray(options.indices)).length > 0) {
+    drift.push('indices')
+  }
+  if (options.exact && _.xor(exactProperties(collection), valueToArray(options.exact)).length > 0) {
+    drift.push('exact')
+  }
+  if (!_.isUndefined(options.ttl)) {
+    const { age, ttlInterval } = collection.ttl || {}
+    const ttlMatched = options.ttl > 0
+      ? age === options.ttl && ttlInterval === options.ttlInterval
+      : !age
+    if (!ttlMatched) {
+      drift.push('ttl')
+    }
+  }
+  _.forEach(flagOptions, (property, option) => {
+    if (!_.isUndefined(options[option]) && collection[property] !== options[option]) {
+      drift.push(option)
+    }
+  })
+  return drift
+}
+
+/** Initializers of each database keyed by collection name, registered on initialization */
+const registeredInitializers = new WeakMap()
+
+/**
+ * Get initializers which have initialized collections of given database
+ * @param {Loki} db
+ * @return {object[]}
+ */
+const initializersOf = db => Array.from((registeredInitializers.get(db) || new Map()).values())
+
+/**
+ * Create copy of object marked as deleted
+ * If deleted objects are excluded from unique constraint, unique values are moved aside to be restored later
+ * @param {object} doc
+ * @param {object} softDelete - soft delete options of initializer
+ * @param {string[]} uniqueNames - properties with unique constraint
+ * @return {object}
+ */
+const markDeleted = (doc, { field, unique, keysField }, uniqueNames) => {
+  const marked = Object.assign({}, doc, { [field]: Date.now() })
+  if (unique === 'exclude') {
+    marked[keysField] = _.pick(doc, uniqueNames)
+    uniqueNames.forEach((key) => {
+      marked[key] = null
+    })
+  }
+  return marked
+}
+
+/**
+ * Create copy of object marked as deleted as it was before being marked, with unique values moved back
+ * @param {object} doc
+ * @param {object} softDelete - soft delete options of initializer
+ * @return {object}
+ */
+const unmarkDeleted = (doc, { field, keysField }) => Object.assign(_.omit(doc, [field, keysField]), doc[keysField])
+
+/**
+ * Validate objects against collection schema of initializer
+ * Objects marked as deleted are validated as they were before being marked, and keep their mark in validated value
+ * @param {object} initializer
+ * @param {object[]} docs
+ * @return {object} Joi validation result for objects without Loki properties
+ */
+const validateCollectionData = ({ collectionSchema, softDelete }, docs) => {
+  const deleted = docs.map(doc => Boolean(softDelete) && !_.isNil(doc[softDelete.field]))
+  const result = collectionSchema.validate(docs.map((doc, index) =>
+    stripLokiProperties(deleted[index] ? unmarkDeleted(doc, softDelete) : doc)))
+  if (result.error || !deleted.some(Boolean)) {
+    return result
+  }
+  const { field, keysField } = softDelete
+  return Object.assign({}, result, {
+    value: result.value.map((value, index) => (deleted[index]
+      ? Object.assign({}, value, _.mapValues(docs[index][keysField], () => null), _.pick(docs[index], [field, keysField]))
+      : value))
+  })
+}
+
+/**
+ * Create copy of object with fields managed by timestamps and ownership options, values given by caller are ignored
+ * Created fields are kept from existing object, updated fields are set on every write
+ * @param {object} initializer
+ * @param {object} doc - object to write
+ * @param {object|null} existing - stored object replaced by write, null on insert
+ * @param {any} actor - identity of who made the change, fields are left out if undefined
+ * @return {object}
+ */
+const stampManagedFields = ({ timestamps, ownership }, doc, existing, actor) => {
+  if (!timestamps && !ownership) {
+    return doc
+  }
+  const now = Date.now()
+  const fields = Object.assign(
+    timestamps ? {
+      [timestamps.createdAt]: existing ? existing[timestamps.createdAt] : now,
+      [timestamps.updatedAt]: now
+    } : {},
+    ownership ? {
+      [ownership.createdBy]: existing ? existing[ownership.createdBy] : actor,
+      [ownership.updatedBy]: actor
+    } : {}
+  )
+  return Object.assign(_.omit(doc, Object.keys(fields)), _.omitBy(fields, _.isUndefined))
+}
+
+/**
+ * Add fields managed by timestamps and ownership options to object schema declaring its keys,
+ * keys already declared are kept as is
+ * @param {Joi.Schema} objectSchema
+ * @param {object|null} timestamps
+ * @param {object|null} ownership
+ * @return {Joi.Schema}
+ */
+const withManagedFields = (objectSchema, timestamps, ownership) => {
+  const declared = objectSchema.describe().children
+  if (!declared) {
+    return objectSchema
+  }
+  const fields = Object.assign(
+    timestamps ? {
+      [timestamps.createdAt]: Joi.number().integer(),
+      [timestamps.updatedAt]: Joi.number().integer()
+    } : {},
+    ownership ? {
+      [ownership.createdBy]: Joi.any(),
+      [ownership.updatedBy]: Joi.any()
+    } : {}
+  )
+  const missing = _.omit(fields, Object.keys(declared))
+  return _.isEmpty(missing) ? objectSchema : objectSchema.keys(missing)
+}
+
+/**
+ * Record write of collection, ie. write audit entry if audit trail is enabled on initializer
+ * and publish change to subscribers
+ * @param {object} initializer
+ * @param {object} entry - audit entry, see Audit.recordAudit
+ */
+const recordWrite = (initializer, entry) => {
+  if (!initializer) {
+    return
+  }
+  if (initializer.audit) {
+    recordAudit(initializer.db, initializer.audit, entry)
+  }
+  publishChange(initializer.db, initializer.collectionName, entry)
+}
+
+/**
+ * Get collections to be restored on failure of a write to collection of given initializer
+ * @param {Loki.Collection} collection
+ * @param {object} initializer
+ * @return {Loki.Collection[]} collection and its audit collection if audit trail is enabled
+ */
+const writeTargets = (collection, initializer) => (initializer.audit
+  ? [collection, ensureAuditCollection(initializer.db, initializer.audit)]
+  : [collection])
+
+/**
+ * Create context given to middleware of write
+ * @param {object} initializer
+ * @param {string} operation
+ * @param {object|null} existing - stored object targeted by write
+ * @param {any} actor
+ * @return {object} context with operation, collectionName, copy of existing object, actor and db
+ */
+const middlewareContext = (initializer, operation, existing, actor) => ({
+  operation,
+  collectionName: initializer.collectionName,
+  existing: existing ? _.cloneDeep(existing) : null,
+  actor,
+  db: initializer.db
+})
+
+/**
+ * Get middleware registered for operation
+ * @param {object} initializer
+ * @param {string} operation
+ * @param {bool} asynchronous - false to make middleware throw instead of returning promise
+ * @return {object} before and after middleware
+ */
+const middlewareOf = (initializer, operation, asynchronous) => _.mapValues(initializer.middleware, (registry, stage) =>
+  asynchronous
+    ? registry[operation]
+    : requireSynchronous(registry[operation], `${stage} ${operation} middleware of ${initializer.collectionName}`))
+
+/**
+ * Run write between before and after middleware registered for its operation
+ * Write and after middleware run as a transaction, so that the write is rolled back if after middleware fails
+ * @param {Loki.Collection} collection - extended collection
+ * @param {object} initializer
+ * @param {object} write
+ * @param {string} write.operation
+ * @param {object} write.doc - input of write method, default to stored object targeted by write
+ * @param {function} write.findExisting - function returning stored object targeted by write or null,
+ * throwing if write cannot target it
+ * @param {any} write.actor
+ * @param {bool} write.asynchronous - whether middleware may return promise
+ * @param {function} fn - function receiving document prepared by before middleware and stored object targeted
+ * by write, returning written object
+ * @return {object|Promise<object>} written object, promise only if asynchronous and any middleware returns promise
+ * @throws {TypeError} middleware returns promise while not asynchronous
+ */
+const writeWithMiddleware = (collection, initializer, write, fn) => {
+  const { operation, doc, findExisting = () => null, actor, asynchronous } = write
+  const { before, after } = middlewareOf(initializer, operation, asynchronous)
+  const existing = findExisting()
+  if (before.length === 0 && after.length === 0) {
+    return fn(doc, existing)
+  }
+  const context = middlewareContext(initializer, operation, existing, actor)
+  return whenResolved(runBefore(before, doc || existing, context), bind((prepared) => {
+    if (after.length === 0) {
+      return fn(prepared, existing)
+    }
+    return transaction(writeTargets(collection, initializer), () => runAfter(after, fn(prepared, existing), context))
+  }))
+}
+
+/**
+ * Get collections to be restored on failure of removal from collection, ie. collections written by onDelete
+ * policies of reference declarations pointing to it, transitively through cascades, and their audit collections
+ * @param {Loki.Collection} collection
+ * @param {Loki} db
+ * @return {Loki.Collection[]}
+ */
+const removalTargets = (collection, db) => {
+  const initializers = initializersOf(db)
+  const written = new Set([collection.name])
+  const cascaded = new Set()
+  const visit = (collectionName) => {
+    cascaded.add(collectionName)
+    referencesTo(initializers, collectionName)
+      .filter(({ onDelete }) => onDelete !== 'restrict')
+      .forEach((reference) => {
+        written.add(reference.collectionName)
+        if (reference.onDelete === 'cascade' && !cascaded.has(reference.collectionName)) {
+          visit(reference.collectionName)
+        }
+      })
+  }
+  visit(collection.name)
+  return _.uniq(_.flatMap(Array.from(written), (collectionName) => {
+    const target = db.getCollection(collectionName)
+    const initializer = initializers.find(found => found.collectionName === collectionName)
+    if (!target) {
+      return []
+    }
+    return initializer ? writeTargets(target, initializer) : [target]
+  }))
+}
+
+/**
+ * Apply onDelete policies of reference declarations pointing to object then remove it
+ * Objects marked as deleted are not considered as referencing, nor are objects already being removed
+ * by the cascade, so that cascade stops at reference cycles
+ * @param {Loki.Collection} collection - extended collection containing object
+ * @param {Loki} db
+ * @param {object} doc - object to remove
+ * @param {function} remove - function receiving current version of object and removing it
+ * @param {object} options
+ * @param {any} options.actor - identity of who made the change for audit trail
+ * @param {bool} options.asynchronous - whether middleware of referencing collections may return promise
+ * @param {Set<string>} options.removing - collection name and $loki of objects being removed by cascade
+ * @return {object|Promise<object>} clone of removed object, promise if removal of any referencing object
+ * returns promise
+ * @throws {ValidationError} object is referenced with restrict policy
+ */
+const removeWithPolicies = (collection, db, doc, remove, { actor, asynchronous, removing = new Set() } = {}) => {
+  const { $loki: id } = doc
+  const clone = _.cloneDeep(doc)
+  const initializers = initializersOf(db)
+  const removalKey = (collectionName, docID) => `${collectionName}:${docID}`
+  removing.add(removalKey(collection.name, id))
+  const referencing = referencesTo(initializers, collection.name)
+    .map(reference => ({ reference, referencingCollection: db.getCollection(reference.collectionName) }))
+    .filter(({ referencingCollection }) => referencingCollection)
+    .map(({ reference, referencingCollection }) => ({
+      reference,
+      referencingCollection,
+      docs: referencingCollection.find({ [reference.key]: id })
+        .filter(found => !_.isFunction(referencingCollection.isDeleted) || !referencingCollection.isDeleted(found))
+        .filter(found => !removing.has(removalKey(reference.collectionName, found.$loki)))
+    }))
+    .filter(({ docs }) => docs.length > 0)
+  if (referencing.length === 0) {
+    remove(doc)
+    return clone
+  }
+
+  const restricted = referencing.find(({ reference }) => reference.onDelete === 'restrict')
+  if (restricted) {
+    const { collectionName, key } = restricted.reference
+    throw new ValidationError(`object ${id} is referenced by ${collectionName}.${key}`, {
+      collection: collectionName,
+      key,
+      value: id
+    })
+  }
+  // Writes run one at a time, as removal from referencing collection may return promise of its middleware
+  const steps = _.flatMap(referencing, ({ reference, referencingCollection, docs }) => docs.map(referencingDoc => () => {
+    const referencingInitializer = initializers.find(({ collectionName }) => collectionName === reference.collectionName)
+    if (reference.onDelete === 'cascade') {
+      // Object may have been removed by previous step
+      return referencingCollection.get(referencingDoc.$loki)
+        ? removeObject(referencingCollection, referencingInitializer, referencingDoc.$loki, { actor, asynchronous, removing })
+        : undefined
+    }
+    const before = _.cloneDeep(referencingDoc)
+    const after = referencingCollection.update(Object.assign({}, referencingDoc, { [reference.key]: null }))
+    recordWrite(referencingInitializer, {
+      operation: 'patch',
+      documentId: referencingDoc.$loki,
+      before,
+      after,
+      actor
+    })
+    return undefined
+  }))
+  return transaction(removalTargets(collection, db), () => sequence(steps.concat(() => {
+    const current = collection.get(id)
+    if (current) {
+      remove(current)
+    }
+    return clone
+  })))
+}
+
+/**
+ * Remove object of extended collection between remove middleware, applying onDelete policies of references to it
+ * In soft delete mode, object is marked as deleted instead
+ * @param {Loki.Collection} collection - extended collection
+ * @param {object} initializer
+ * @param {number} id
+ * @param {object} options
+ * @param {any} options.actor - identity of who made the change for audit trail
+ * @param {bool} options.asynchronous - whether middleware may return promise
+ * @param {Set<string>} options.removing - objects being removed by cascade, see removeWithPolicies
+ * @return {object|Promise<object>} clone of removed object, promise only if asynchronous
+ * and any middleware returns promise
+ */
+const removeObject = (collection, initializer, id, { actor, asynchronous, removing }) => {
+  const findExisting = () => collection.getByID(id)
+  const write = { operation: 'remove', findExisting, actor, asynchronous }
+  return writeWithMiddleware(collection, initializer, write, () => {
+    let after = null
+    const removed = removeWithPolicies(collection, initializer.db, collection.getByID(id), (current) => {
+      if (initializer.softDelete) {
+        after = collection.update(markDeleted(current, initializer.softDelete, collection.uniqueNames))
+      } else {
+        collection.remove(current)
+      }
+    }, { actor, asynchronous, removing })
+    return whenResolved(removed, (clone) => {
+      recordWrite(initializer, { operation: 'remove', documentId: id, before: clone, after, actor })
+      return clone
+    })
+  })
+}
+
 /**
  * Create extension methods for collection
- * Object schema is given to be access as private property to avoid issue
+ * Initializer is given to be access as private property to avoid issue
  * with circular reference on database serialization
- * @param {Joi.Schema} objectSchema
+ * @param {object} initializer - initializer of collection
+ * @param {bool} asynchronous - let write methods run middleware returning promise, see promiseMethods
  */
-const extensionMethods = (objectSchema) => ({
+const extensionMethods = (initializer, asynchronous = false) => ({
   /**
    * Find object with given ID
    * @param {number} id
-   * @return {object}
-   * @throws {ValidationError} given ID is not a positive integer
+   * @param {object} options
+   * @param {bool} options.includeDeleted - also find object marked as deleted in soft delete mode
+   * @param {string} options.view - name of view to shape returned object with
+   * @return {object} stored object, or shaped copy if view is given
+   * @throws {ValidationError} given ID is not a positive integer, or view not exist
    * @throws {ObjectNotFoundError} no object with given ID
    */
-  getByID (id) {
+  getByID (id, { includeDeleted = false, view } = {}) {
     if (!id || lokiID.validate(id).error) {
       throw new ValidationError()
     }
     const doc = this.get(id)
-    if (!doc) {
+    if (!doc || (!includeDeleted && this.isDeleted(doc))) {
       throw new ObjectNotFoundError()
     }
-    return doc
+    return view ? this.toView(doc, view) : doc
   },
   /**
    * Remove object whose unique field value match given value
    * @param {string} field
    * @param {any} value
+   * @param {object} options - options passed to removeByID
+   * @return {object|undefined} return value of removeByID, undefined if no object matches
    * @throws {TypeError} given field does not have unique constraint
    */
-  removeBy (field, value) {
+  removeBy (field, value, options) {
     const doc = this.by(field, value)
-    if (doc) {
-      this.remove(doc)
+    if (!doc) {
+      return undefined
     }
+    return asynchronous ? this.removeByIDPromise(doc.$loki, options) : this.removeByID(doc.$loki, options)
   },
   /**
    * Update if object existed in collection
    * Insert otherwise
    * @param {object} doc
-   * @return {object|undefined} if inserted, return object
+   * @param {object} options
+   * @param {any} options.actor - identity of who made the change for audit trail
+   * @return {object} updated or inserted object
+   * @throws {TypeError} middleware returns promise, see upsertPromise
    */
-  upsert (doc) {
+  upsert (doc, { actor } = {}) {
     const { $loki: id } = doc
-    if (id && this.get(id)) {
-      return this.update(doc)
-    }
-    return this.insert(stripLokiProperties(doc))
+    const findExisting = () => (id && this.get(id)) || null
+    const write = { operation: 'upsert', doc, findExisting, actor, asynchronous }
+    return writeWithMiddleware(this, initializer, write, (prepared) => {
+      const current = id && this.get(id)
+      const before = current ? _.cloneDeep(current) : null
+      const stamped = stampManagedFields(initializer, prepared, current || null, actor)
+      const after = current ? this.update(stamped) : this.insert(stripLokiProperties(stamped))
+      recordWrite(initializer, { operation: 'upsert', documentId: after.$loki, before, after, actor })
+      return after
+    })
   },
   /**
    * Validate object with collection's object schema
@@ -105,7 +666,7 @@ const extensionMethods = (objectSchema) => ({
    * @throws {ValidationError} input is invalid
    */
   validateObjectSchema (doc) {
-    const { error, value } = objectSchema.validate(doc)
+    const { error, value } = initializer.objectSchema.validate(doc)
     if (error) {
       throw new ValidationError(null, _.pick(error, ['details', 'anotate']))
     }
@@ -134,69 +695,599 @@ const extensionMethods = (objectSchema) => ({
     }
     return true
   },
+  /**
+   * Check if object contains duplicated combination of values on compound unique constraints
+   * Constraint is not checked if any of its properties is null or undefined
+   * @param {object} doc - complete object to validate
+   * @param {object} existing - object which is expected to be target of modification by given object
+   * and thus should not be validated against
+   * @return {bool} true if object has no duplicated compound unique constraint
+   * @throws {ValidationError} object has duplicated combination of values
+   */
+  validateCompoundUniqueProperties (doc, existing) {
+    initializer.compoundUniqueKeys.forEach((keys) => {
+      const values = keys.map(key => doc[key])
+      if (values.some(_.isNil)) {
+        return
+      }
+      const query = { $and: keys.map((key, index) => ({ [key]: { $eq: values[index] } })) }
+      const excludeDeleted = initializer.softDelete && initializer.softDelete.unique === 'exclude'
+      const duplicates = this.find(query)
+        .filter(found => !existing || found.$loki !== existing.$loki)
+        .filter(found => !excludeDeleted || !this.isDeleted(found))
+      if (duplicates.length > 0) {
+        throw new ValidationError(`Duplicate key for properties ${keys.join(', ')}: ${values.join(', ')}`, {
+          keys,
+          values
+        })
+      }
+    })
+    return true
+  },
+  /**
+   * Check if referencing properties of object point to existing objects
+   * @param {object} doc
+   * @return {bool} true if all references are valid
+   * @throws {ValidationError} referenced object not exist
+   */
+  validateReferences (doc) {
+    return validateReferences(initializer.db, initializer.references, doc)
+  },
+  /**
+   * Resolve referencing properties into nested objects
+   * @param {object|object[]} docs
+   * @param {string[]} keys - referencing properties to resolve, default to all
+   * @return {object|object[]} copy of objects with referenced objects
+   */
+  populate (docs, keys) {
+    return populate(initializer.db, initializer.references, docs, keys)
+  },
   /**
    * Validate object against object schema and unique constraint then insert if valid
    * @param {object} doc
+   * @param {object} options
+   * @param {any} options.actor - identity of who made the change for audit trail
    * @return {object} inserted object
+   * @throws {TypeError} middleware returns promise, see validateAndInsertPromise
+   */
+  validateAndInsert (doc, { actor } = {}) {
+    return writeWithMiddleware(this, initializer, { operation: 'insert', doc, actor, asynchronous }, (prepared) => {
+      const stamped = stampManagedFields(initializer, prepared, null, actor)
+      const validated = this.validateObjectSchema(stamped)
+      this.validateUniqueProperties(stamped)
+      this.validateCompoundUniqueProperties(validated)
+      this.validateReferences(validated)
+      const inserted = this.insert(validated)
+      recordWrite(initializer, { operation: 'insert', documentId: inserted.$loki, before: null, after: inserted, actor })
+      return inserted
+    })
+  },
+  /**
+   * Validate many objects against object schema and unique constraint then insert valid ones
+   * Unique constraint is checked against both existing objects and preceding valid objects in the batch
+   * Each object runs insert middleware, objects vetoed by before middleware with ValidationError are rejected
+   * Before middleware runs on every object ahead of validation, so with asynchronous middleware, which only
+   * validateAndInsertManyPromise runs, the report, including whether all-or-nothing mode inserts anything,
+   * is computed once middleware of every object has resolved
+   * @param {object[]} docs
+   * @param {object} _options
+   * @param {string} _options.mode - 'all-or-nothing' inserts nothing if any object is invalid,
+   * 'partial' inserts all valid objects
+   * @param {any} _options.actor - identity of who made the change for audit trail
+   * @return {object} report with inserted objects and rejected objects along with their index in
+   * input and ValidationError carrying validation details
+   * @throws {ValidationError} invalid options
+   * @throws {TypeError} middleware returns promise, see validateAndInsertManyPromise
+   */
+  validateAndInsertMany (docs, _options = {}) {
+    const { error: optionsError, value: options } = Schema.insertManyOptions.validate(_options)
+    if (optionsError) {
+      throw new ValidationError(null, _.pick(optionsError, ['details', 'anotate']))
+    }
+    const { before, after } = middlewareOf(initializer, 'insert', asynchronous)
+    const context = middlewareContext(initializer, 'insert', null, options.actor)
+
+    const insertPrepared = (results) => {
+      const accepted = []
+      const rejected = []
+      const batchKeys = {}
+      const uniqueKeys = (this.uniqueNames || []).map(key => ({ name: key, keys: [key] }))
+        .concat(initializer.compoundUniqueKeys.map(keys => ({ name: keys.join(','), keys })))
+      docs.forEach((doc, index) => {
+        try {
+          const { value: prepared, error } = results[index]
+          if (error) {
+            throw error
+          }
+          const stamped = stampManagedFields(initializer, prepared, null, options.actor)
+          const validated = this.validateObjectSchema(stamped)
+          this.validateUniqueProperties(stamped)
+          this.validateCompoundUniqueProperties(validated)
+          this.validateReferences(validated)
+
+          // Check against preceding valid objects in the batch
+          const batchEntries = uniqueKeys.map(({ name, keys }) => {
+            const values = keys.map(key => validated[key])
+            return { name, keys, values, id: keys.length === 1 ? String(values[0]) : JSON.stringify(values) }
+          }).filter(({ values }) => !values.some(_.isNil))
+          batchEntries.forEach(({ name, keys, values, id }) => {
+            if (batchKeys[name] && batchKeys[name].has(id)) {
+              const duplicateOf = batchKeys[name].get(id)
+              if (keys.length === 1) {
+                throw new ValidationError(`Duplicate key for property ${name}: ${values[0]}`, {
+                  key: name,
+                  value: values[0],
+                  duplicateOf
+                })
+              }
+              throw new ValidationError(`Duplicate key for properties ${keys.join(', ')}: ${values.join(', ')}`, {
+                keys,
+                values,
+                duplicateOf
+              })
+            }
+          })
+          batchEntries.forEach(({ name, id }) => {
+            batchKeys[name] = batchKeys[name] || new Map()
+            batchKeys[name].set(id, index)
+          })
+          accepted.push({ index, doc: validated })
+        } catch (error) {
+          if (error.name !== 'ValidationError') {
+            throw error
+          }
+          rejected.push({ index, doc, error })
+        }
+      })
+
+      if (options.mode === 'all-or-nothing' && rejected.length > 0) {
+        return { inserted: [], rejected }
+      }
+      const inserted = transaction(writeTargets(this, initializer), () => resolveAll(accepted.map(({ index, doc }) => {
+        const insertedDoc = this.insert(doc)
+        recordWrite(initializer, {
+          operation: 'insert',
+          documentId: insertedDoc.$loki,
+          before: null,
+          after: insertedDoc,
+          actor: options.actor
+        })
+        return whenResolved(runAfter(after, insertedDoc, context), () => ({ index, doc: insertedDoc }))
+      })))
+      return whenResolved(inserted, insertedDocs => ({ inserted: insertedDocs, rejected }))
+    }
+
+    return whenResolved(resolveAll(docs.map(doc => settle(() => runBefore(before, doc, context)))), bind(insertPrepared))
+  },
+  /**
+   * Check if existing object is still at revision the caller expects
+   * @param {object} existing - stored object
+   * @param {number} revision - expected revision, not checked if undefined
+   * @return {bool} true if revision matches or is not given
+   * @throws {ConflictError} stored object has different revision
    */
-  validateAndInsert (doc) {
-    const validated = this.validateObjectSchema(doc)
-    this.validateUniqueProperties(doc)
-    return this.insert(validated)
+  validateRevision (existing, revision) {
+    const actual = existing.meta ? existing.meta.revision : undefined
+    if (!_.isUndefined(revision) && actual !== revision) {
+      throw new ConflictError(`Revision mismatch for object ${existing.$loki}: expected ${revision}, found ${actual}`, {
+        id: existing.$loki,
+        expected: revision,
+        actual
+      })
+    }
+    return true
   },
   /**
    * Replace existing object with given one
    * @param {object} doc - object to replace existing one, must have existing $loki field value
+   * @param {object} options
+   * @param {number} options.revision - expected revision of existing object, default to doc.meta.revision
+   * @param {any} options.actor - identity of who made the change for audit trail
    * @return {object} updated object
+   * @throws {ConflictError} existing object has been modified since expected revision
+   * @throws {TypeError} middleware returns promise, see validateAndReplacePromise
    */
-  validateAndReplace (doc) {
+  validateAndReplace (doc, { revision = _.get(doc, 'meta.revision'), actor } = {}) {
     const { $loki: id } = doc
-    const existing = this.getByID(id)
-    const validated = this.validateObjectSchema(doc)
-    this.validateUniqueProperties(validated, existing)
-    const updated = Object.assign({}, validated, _.pick(existing, ['$loki', 'meta']))
-    return this.update(updated)
+    const findExisting = () => {
+      const existing = this.getByID(id)
+      this.validateRevision(existing, revision)
+      return existing
+    }
+    const write = { operation: 'replace', doc, findExisting, actor, asynchronous }
+    return writeWithMiddleware(this, initializer, write, (prepared, existing) => {
+      // Object may have been modified while asynchronous middleware ran
+      const current = this.getByID(id)
+      this.validateRevision(current, _.get(existing, 'meta.revision'))
+      const validated = this.validateObjectSchema(stampManagedFields(initializer, prepared, current, actor))
+      this.validateUniqueProperties(validated, current)
+      this.validateCompoundUniqueProperties(validated, current)
+      this.validateReferences(validated)
+      const before = _.cloneDeep(current)
+      const updated = this.update(Object.assign({}, validated, _.pick(current, ['$loki', 'meta'])))
+      recordWrite(initializer, { operation: 'replace', documentId: id, before, after: updated, actor })
+      return updated
+    })
   },
   /**
    * Patch existing object with given one
    * @param {object} doc - object to merge with existing one
    * must have existing $loki field value
+   * @param {object} options
+   * @param {number} options.revision - expected revision of existing object, default to doc.meta.revision
+   * @param {any} options.actor - identity of who made the change for audit trail
    * @return {object} patched object
+   * @throws {ConflictError} existing object has been modified since expected revision
+   * @throws {TypeError} middleware returns promise, see validateAndPatchPromise
    */
-  validateAndPatch (doc) {
+  validateAndPatch (doc, { revision = _.get(doc, 'meta.revision'), actor } = {}) {
     const { $loki: id } = doc
-    const existing = this.getByID(id)
-    this.validateUniqueProperties(doc, existing)
-    const patched = _.defaultsDeep(_.pick(existing, ['$loki', 'meta']), doc, existing)
-    this.validateObjectSchema(patched)
-    return this.update(patched)
+    const findExisting = () => {
+      const existing = this.getByID(id)
+      this.validateRevision(existing, revision)
+      return existing
+    }
+    const write = { operation: 'patch', doc, findExisting, actor, asynchronous }
+    return writeWithMiddleware(this, initializer, write, (prepared, existing) => {
+      // Object may have been modified while asynchronous middleware ran
+      const current = this.getByID(id)
+      this.validateRevision(current, _.get(existing, 'meta.revision'))
+      this.validateUniqueProperties(prepared, current)
+      const patched = stampManagedFields(
+        initializer,
+        _.defaultsDeep(_.pick(current, ['$loki', 'meta']), prepared, current),
+        current,
+        actor
+      )
+      this.validateObjectSchema(patched)
+      this.validateCompoundUniqueProperties(patched, current)
+      this.validateReferences(patched)
+      const before = _.cloneDeep(current)
+      const updated = this.update(patched)
+      recordWrite(initializer, { operation: 'patch', documentId: id, before, after: updated, actor })
+      return updated
+    })
   },
   /**
    * Remove object with given id
+   * Objects referencing removed object are handled according to onDelete policy of their reference declaration
+   * In soft delete mode, object is marked as deleted instead
    * @param {number} id
+   * @param {object} options
+   * @param {any} options.actor - identity of who made the change for audit trail
    * @return {object} clone of removed object
+   * @throws {ValidationError} object is referenced with restrict policy
+   * @throws {TypeError} middleware of collection or of referencing collection it cascades to returns promise,
+   * see removeByIDPromise
    */
-  removeByID (id) {
-    const doc = this.getByID(id)
-    const clone = _.cloneDeep(doc)
-    this.remove(doc)
-    return clone
+  removeByID (id, { actor } = {}) {
+    return removeObject(this, initializer, id, { actor, asynchronous })
+  },
+  /**
+   * Check if object is marked as deleted, always false if soft delete mode is not enabled
+   * @param {object} doc
+   * @return {bool}
+   */
+  isDeleted (doc) {
+    return Boolean(initializer.softDelete && !_.isNil(doc[initializer.softDelete.field]))
+  },
+  /**
+   * Unmark deleted object in soft delete mode
+   * @param {number} id
+   * @param {object} options
+   * @param {any} options.actor - identity of who made the change for audit trail
+   * @return {object} restored object
+   * @throws {ValidationError} restored object would violate unique constraint
+   */
+  restoreByID (id, { actor } = {}) {
+    const doc = this.getByID(id, { includeDeleted: true })
+    if (!this.isDeleted(doc)) {
+      return doc
+    }
+    const { keysField } = initializer.softDelete
+    const restored = unmarkDeleted(doc, initializer.softDelete)
+    this.validateUniqueProperties(restored, doc)
+    this.validateCompoundUniqueProperties(restored, doc)
+    const before = _.cloneDeep(doc)
+    const updated = this.update(restored)
+    // Loki unique index does not pick up value changed back from null
+    _.intersection(Object.keys(doc[keysField] || {}), this.uniqueNames).forEach(key => this.ensureUniqueIndex(key))
+    recordWrite(initializer, { operation: 'restore', documentId: id, before, after: updated, actor })
+    return updated
+  },
+  /**
+   * Permanently remove objects marked as deleted in soft delete mode, one at a time in order of $loki
+   * Objects referencing purged objects are handled according to onDelete policy of their reference declaration
+   * @param {object} options
+   * @param {Date|number} options.olderThan - only purge objects deleted before this time, all if not given
+   * @param {any} options.actor - identity of who made the change for audit trail
+   * @return {object[]} clones of purged objects
+   * @throws {ValidationError} purged object is referenced with restrict policy, or cascade is vetoed,
+   * objects purged before it stay purged
+   * @throws {TypeError} middleware of referencing collection returns promise, see purgeDeletedPromise
+   */
+  purgeDeleted ({ olderThan, actor } = {}) {
+    if (!initializer.softDelete) {
+      return []
+    }
+    const { field } = initializer.softDelete
+    const before = _.isUndefined(olderThan) ? Infinity : new Date(olderThan).getTime()
+    const purged = []
+    // Purge one at a time, as cascade to referencing collection may return promise of its middleware
+    const ids = this.where(doc => this.isDeleted(doc) && doc[field] < before).map(doc => doc.$loki).sort((x, y) => x - y)
+    const steps = ids.map(id => () => {
+      // Object may have been removed by cascade of previous purge
+      const doc = this.get(id)
+      if (!doc) {
+        return undefined
+      }
+      const removed = removeWithPolicies(this, initializer.db, doc, current => this.remove(current), {
+        actor,
+        asynchronous
+      })
+      return whenResolved(removed, (clone) => {
+        recordWrite(initializer, { operation: 'purge', documentId: id, before: clone, after: null, actor })
+        purged.push(clone)
+      })
+    })
+    return whenResolved(sequence(steps), () => purged)
+  },
+  /**
+   * Find page of objects matching query spec, validated against collection's object schema
+   * so that it can be built from API query parameters
+   * Objects marked as deleted in soft delete mode are left out unless includeDeleted is set
+   * @param {object} spec
+   * @param {object} spec.filter - conditions keyed by field in dot notation, each either value or object of
+   * operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $between, $exists, $contains, $containsAny,
+   * $containsString), and $and and $or arrays of filters
+   * @param {string|string[]} spec.sort - fields to sort by, prefixed with - for descending order, then by $loki
+   * @param {number} spec.limit - page size, default to 100, at most 1000
+   * @param {number} spec.offset - number of objects to skip
+   * @param {string} spec.cursor - nextCursor of previous page, cannot be combined with offset
+   * @param {bool} spec.includeDeleted - also return objects marked as deleted
+   * @param {object} options
+   * @param {string} options.view - name of view to shape returned objects with
+   * @return {object} page with items, total number of matching objects and nextCursor, null on last page
+   * @throws {ValidationError} field not declared by object schema, unknown operator, operand does not match
+   * field schema, invalid cursor, or view not exist
+   */
+  query (spec, { view } = {}) {
+    const page = runQuery(this, initializer.objectSchema, spec, doc => this.isDeleted(doc))
+    return view ? Object.assign(page, { items: this.toView(page.items, view) }) : page
+  },
+  /**
+   * Shape stored objects for output with view of collection
+   * @param {object|object[]} docs
+   * @param {string} viewName
+   * @return {object|object[]} shaped copies
+   * @throws {ValidationError} view not exist
+   */
+  toView (docs, viewName) {
+    const view = getView(initializer.views, viewName, initializer.collectionName)
+    return Array.isArray(docs) ? docs.map(doc => applyView(view, doc)) : applyView(view, docs)
+  },
+  /**
+   * Map input shaped like view output back to stored field names, eg. before validateAndInsert
+   * @param {object|object[]} data
+   * @param {string} viewName
+   * @return {object|object[]} copies with stored field names
+   * @throws {ValidationError} view not exist
+   */
+  fromView (data, viewName) {
+    const view = getView(initializer.views, viewName, initializer.collectionName)
+    return Array.isArray(data) ? data.map(item => reverseView(view, item)) : reverseView(view, data)
+  },
+  /**
+   * Get audit entries of object in chronological order
+   * @param {number} id
+   * @return {object[]} entries with operation, documentId, timestamp, actor and either before and after
+   * snapshots or diff depending on audit mode, empty if audit trail is not enabled
+   */
+  history (id) {
+    return initializer.audit ? history(initializer.db, initializer.audit, id) : []
+  },
+  /**
+   * Rebuild object as of given time from its audit entries
+   * @param {number} id
+   * @param {Date|number} time
+   * @return {object|null} object without Loki properties, null if it did not exist at given time
+   */
+  asOf (id, time) {
+    return initializer.audit ? asOf(initializer.db, initializer.audit, id, time) : null
+  },
+  /**
+   * Subscribe to changes made through validated write methods of collection, delivered once committed
+   * Event has type (insert, update or delete), operation, collectionName, documentId, before and after copies
+   * of object (null where not applicable), actor and timestamp
+   * Soft deleted and restored objects are reported as deleted and inserted, purged objects are not reported
+   * @param {object} filter - see filter of query spec, event is delivered if object matches it before or after change
+   * @param {function} handler - function receiving change event, its failure does not affect the write
+   * @param {object} options
+   * @param {string|string[]} options.types - change types to deliver, default to all
+   * @return {function} function unsubscribing
+   * @throws {ValidationError} invalid filter or options, or handler is not a function
+   */
+  subscribe (filter, handler, options) {
+    const match = _.isEmpty(filter) ? null : createFilterMatcher(initializer.objectSchema, filter)
+    return subscribeCollection(initializer.db, initializer.collectionName, match, handler, options)
+  },
+  /**
+   * Register middleware run before validated writes, in registration order
+   * Middleware receives copy of input document and context with operation, collectionName, existing (copy of
+   * stored object, null on insert), actor and db, it may mutate the document or return a replacement,
+   * and vetoes the write by throwing eg. ValidationError
+   * Document is ignored on remove, where it is a copy of the object to remove
+   * Middleware returning promise is only run by promise variants of write methods, eg. validateAndInsertPromise
+   * @param {string|string[]} operations - insert, replace, patch, upsert or remove
+   * @param {function} fn - function receiving document and context, may return promise
+   * @return {function} function unregistering middleware
+   * @throws {ValidationError} unknown operation or middleware is not a function
+   */
+  before (operations, fn) {
+    return registerMiddleware(initializer.middleware, 'before', operations, fn)
+  },
+  /**
+   * Register middleware run after validated writes, in registration order
+   * Middleware receives copy of written object and the same context as before middleware,
+   * the write is rolled back if it throws or returns rejected promise
+   * @param {string|string[]} operations - insert, replace, patch, upsert or remove
+   * @param {function} fn - function receiving written object and context, may return promise
+   * @return {function} function unregistering middleware
+   * @throws {ValidationError} unknown operation or middleware is not a function
+   */
+  after (operations, fn) {
+    return registerMiddleware(initializer.middleware, 'after', operations, fn)
+  },
+  /**
+   * Run function and keep its changes to collection only if it succeeds
+   * Objects it changed are restored if function throws or returns rejected promise, see Transaction.transaction
+   * Writes made once returned promise waits should go through collection passed to function
+   * @param {function} fn - function receiving collection, may return promise
+   * @return {any|Promise<any>} return value of function
+   */
+  transaction (fn) {
+    return transaction(writeTargets(this, initializer), () => fn(bindTarget(this)))
   }
 })
 
+/** Write methods which have promise variant */
+const PROMISE_METHODS = [
+  'validateAndInsert',
+  'validateAndInsertMany',
+  'validateAndReplace',
+  'validateAndPatch',
+  'upsert',
+  'removeByID',
+  'removeBy',
+  'purgeDeleted'
+]
+
+/**
+ * Create promise variants of write methods, named with Promise suffix
+ * They take the same arguments, run middleware which may return promise and always return promise
+ * @param {object} initializer - initializer of collection
+ */
+const promiseMethods = (initializer) => {
+  const methods = _.mapValues(_.pick(extensionMethods(initializer, true), PROMISE_METHODS), method => function (...args) {
+    return new Promise(resolve => resolve(method.apply(this, args)))
+  })
+  return _.mapKeys(methods, (method, name) => `${name}Promise`)
+}
+
 const initializationMethods = {
   /**
    * Validate and attempt to fix target collection
    * Create new collection if not exist
+   * Pending migrations are run before validation, see migrate method
    * @return {Loki.Collection}
    * @throws {ValidationError} existing data cannot be reconciled with required constraint
+   * @throws {MigrationError} existing data cannot be migrated to target version
    */
   initialize () {
+    this.migrationReport = this.migrate()
     if (this.shouldRebuild()) {
       this.rebuild()
+    } else {
+      this.reconcile()
     }
     const collection = this.db.getCollection(this.collectionName)
-    return Object.assign(collection, extensionMethods(this.objectSchema))
+    const initializers = registeredInitializers.get(this.db) || new Map()
+    registeredInitializers.set(this.db, initializers.set(this.collectionName, this))
+    return Object.assign(collection, extensionMethods(this), promiseMethods(this))
+  },
+  /**
+   * Run migrations required to bring existing data to target schema version then record the version
+   * Target version is latest version of given migrations unless specified
+   * Collection is left untouched if any migration fails
+   * @return {object} report with collection name, previous version, target version and applied migrations
+   * @throws {MigrationError} migration failed or target version cannot be reached
+   * @throws {ValidationError} migrated data is invalid according to collection schema or unique constraint
+   */
+  migrate () {
+    const known = latestVersion(this.migrations)
+    const from = getSchemaVersion(this.db, this.collectionName)
+    const to = _.isUndefined(this.version) ? known : this.version
+    const report = { collectionName: this.collectionName, from, to, applied: [] }
+    const existingCollection = this.db.getCollection(this.collectionName)
+
+    if (!existingCollection) {
+      debug(`${this.collectionName} collection not exist, no migration required`)
+      setSchemaVersion(this.db, this.collectionName, to)
+      return report
+    }
+    if (from === to) {
+      return report
+    }
+    if (from > known || to > known) {
+      throw new MigrationError(`unable to migrate ${this.collectionName} collection from version ${from} to ${to}: unknown version`, {
+        from,
+        to
+      })
+    }
+
+    const steps = planMigrations(this.migrations, from, to)
+    const migrated = runMigrations(existingCollection.data, steps, this.db)
+
+    // Assign ID to new documents
+    let maxId = existingCollection.maxId
+    const data = migrated.map((doc) => {
+      if (!_.isUndefined(doc.$loki)) {
+        maxId = Math.max(maxId, doc.$loki)
+        return doc
+      }
+      maxId += 1
+      const meta = existingCollection.disableMeta ? {} : { meta: { revision: 0, created: Date.now(), version: 0 } }
+      return Object.assign({}, doc, { $loki: maxId }, meta)
+    })
+
+    // Validate result before replacing existing data
+    if (findDuplicate(data, ['$loki'])) {
+      throw new MigrationError(`unable to migrate ${this.collectionName} collection: duplicated $loki`)
+    }
+    const validated = validateCollectionData(this, data)
+    if (validated.error) {
+      const message = `unable to migrate ${this.collectionName} collection: invalid migrated data`
+      debug(message)
+      debug(validated.error)
+      throw new ValidationError(message)
+    }
+    const duplicate = findDuplicate(data, existingCollection.uniqueNames.concat(this.compoundUniqueKeys))
+    if (duplicate) {
+      const description = duplicate.keys
+        ? `properties ${duplicate.keys.join(', ')}: ${duplicate.values.join(', ')}`
+        : `property ${duplicate.key}: ${duplicate.value}`
+      throw new ValidationError(`unable to migrate ${this.collectionName} collection: duplicate key for ${description}`, duplicate)
+    }
+
+    restoreCollection(existingCollection, { data, maxId })
+    setSchemaVersion(this.db, this.collectionName, to)
+    report.applied = steps.map(({ version, direction }) => ({ version, direction }))
+    debug(`${this.collectionName} collection migrated from version ${from} to ${to}`)
+    return report
+  },
+  /**
+   * Check existing data against collection schema, unique and compound unique constraints
+   * Loki does not check unique constraints of loaded data
+   * @return {bool} true if data is valid or collection not exist
+   * @throws {ValidationError} existing data is invalid
+   */
+  validateExisting () {
+    const existingCollection = this.db.getCollection(this.collectionName)
+    if (!existingCollection) {
+      return true
+    }
+    const validated = validateCollectionData(this, existingCollection.data)
+    if (validated.error) {
+      const message = `invalid existing data in ${this.collectionName} collection`
+      debug(message)
+      debug(validated.error)
+      throw new ValidationError(message, _.pick(validated.error, ['details', 'anotate']))
+    }
+    const duplicate = findDuplicate(existingCollection.data, ['$loki'].concat(this.uniqueKeys, this.compoundUniqueKeys))
+    if (duplicate) {
+      throw new ValidationError(`duplicated key in ${this.collectionName} collection`, duplicate)
+    }
+    return true
   },
   /**
    * Check if existing collection should be rebuilt
@@ -204,16 +1295,55 @@ const initializationMethods = {
    */
   shouldRebuild () {
     const existingCollection = this.db.getCollection(this.collectionName)
-    return !(existingCollection && hasUniqueProperties(existingCollection, this.uniqueKeys))
+    return !(
+      existingCollection &&
+      hasUniqueProperties(existingCollection, this.uniqueKeys) &&
+      _.intersection(collectionOptionsDrift(existingCollection, this.collectionOptions), rebuildOptions).length === 0
+    )
   },
   /**
-   * Create new collection with given constraint assume no existing collection
+   * Fix existing collection options which can be changed in place to match given collection options
+   * @return {string[]} names of fixed options
+   */
+  reconcile () {
+    const collection = this.db.getCollection(this.collectionName)
+    const options = this.collectionOptions
+    const drift = _.difference(collectionOptionsDrift(collection, options), rebuildOptions)
+    drift.forEach((option) => {
+      debug(`${this.collectionName} collection option ${option} drifted, fixing`)
+      if (option === 'indices') {
+        const indices = valueToArray(options.indices)
+        _.difference(indexedProperties(collection), indices).forEach((property) => {
+          delete collection.binaryIndices[property]
+        })
+        indices.forEach(property => collection.ensureIndex(property, true))
+      } else if (option === 'exact') {
+        // Exact index constructor is not exposed by Loki
+        collection.constraints.exact = new Loki.Collection(collection.name, { exact: valueToArray(options.exact) })
+          .constraints.exact
+      } else if (option === 'ttl') {
+        collection.setTTL(-1)
+        collection.ttl.age = null
+        collection.ttl.ttlInterval = null
+        if (options.ttl > 0) {
+          collection.setTTL(options.ttl, options.ttlInterval)
+        }
+      } else if (option === 'adaptiveBinaryIndices') {
+        collection.configureOptions({ adaptiveBinaryIndices: options.adaptiveBinaryIndices })
+      } else {
+        collection[flagOptions[option]] = options[option]
+      }
+    })
+    return drift
+  },
+  /**
+   * Create new collection with given constraint and options assume no existing collection
    */
   create () {
     this.preCreate()
-    this.db.addCollection(this.collectionName, {
+    this.db.addCollection(this.collectionName, Object.assign({}, this.collectionOptions, {
       unique: this.uniqueKeys
-    })
+    }))
     this.postCreate()
   },
   /**
@@ -241,7 +1371,7 @@ const initializationMethods = {
       debug(`${this.collectionName} collection not exist`)
       this.create()
     } else {
-      const existingData = this.collectionSchema.validate(existingCollection.data.map(stripLokiProperties))
+      const existingData = validateCollectionData(this, existingCollection.data)
       if (existingData.error) {
         const message = `unable to rebuild ${this
           .collectionName} collection: invalid existing data`
@@ -249,6 +1379,12 @@ const initializationMethods = {
         debug(existingData.error)
         throw new ValidationError(message)
       }
+      const duplicate = findDuplicate(existingData.value, this.compoundUniqueKeys)
+      if (duplicate) {
+        const message = `unable to rebuild ${this.collectionName} collection: duplicate key for properties ${duplicate.keys.join(', ')}`
+        debug(message)
+        throw new ValidationError(message, duplicate)
+      }
 
       this.db.removeCollection(this.collectionName)
       this.create()
@@ -270,12 +1406,50 @@ const initializationMethods = {
   }
 }
 
+/**
+ * Create initializer for collection of given name
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @param {string|string[]} _uniqueKeys - properties with unique value constraint
+ * @param {Joi.Schema} collectionSchema - schema for array of all objects in collection, objects marked as deleted
+ * in soft delete mode are validated without their soft delete fields
+ * @param {Joi.Schema} objectSchema - schema for each object in collection
+ * @param {object} _options
+ * @param {object} _options.collectionOptions - options input to Loki.addCollection eg. indices, exact, ttl and clone,
+ * existing collection which does not conform to these options will be fixed in place or rebuilt
+ * @param {object[]} _options.migrations - migrations with version number, up function and optional down function
+ * @param {number} _options.version - target schema version, default to latest migration version
+ * @param {object} _options.references - properties referencing $loki of other collections keyed by property name,
+ * each is either target collection name or object with collection, as (property name for populate)
+ * and onDelete ('restrict', 'cascade' or 'set-null') properties
+ * @param {string[][]} _options.compoundUniqueKeys - sets of properties whose combination of values must be unique
+ * @param {bool|object} _options.softDelete - mark objects as deleted on removal instead of removing them,
+ * either true or object with field (deletion timestamp property, default to deletedAt),
+ * unique ('include' to keep deleted objects in unique constraints or 'exclude' to release their values)
+ * and keysField (property to hold released unique values, default to deletedKeys) properties
+ * @param {bool|object} _options.audit - record every write in audit collection, either true or object with
+ * collectionName (default to _AUDIT_ followed by collection name) and mode ('snapshot' to store before and after
+ * objects or 'diff' to store difference) properties
+ * @param {object} _options.views - output views keyed by view name, each with include or exclude (fields to keep or
+ * drop), rename (output names keyed by stored names eg. { $loki: 'id' }), computed (functions receiving stored
+ * object keyed by output name) and nested (views of nested objects keyed by stored name) properties
+ * @param {bool|object} _options.timestamps - set creation and last update time in milliseconds on validated writes
+ * and upsert, either true or object with createdAt and updatedAt (property names, default to createdAt and updatedAt)
+ * properties, values given by caller are ignored
+ * @param {bool|object} _options.ownership - set actor option of validated writes and upsert as creator and last
+ * updater, either true or object with createdBy and updatedBy (property names, default to createdBy and updatedBy)
+ * properties, values given by caller are ignored
+ * Managed properties are added to object schema if it declares its keys, collection schema must accept them
+ * @return {object} initializer
+ * @throws {ValidationError} invalid unique keys or options
+ */
 module.exports.Initializer = (
   db,
   collectionName,
   _uniqueKeys = [],
   collectionSchema = Joi.any(),
-  objectSchema = Joi.any()
+  objectSchema = Joi.any(),
+  _options = {}
 ) => {
   // Process unique keys input
   const validatedUniqueKeys = Schema.uniqueKeys.validate(valueToArray(_uniqueKeys))
@@ -287,18 +1461,60 @@ module.exports.Initializer = (
   }
   const uniqueKeys = validatedUniqueKeys.value
 
+  // Process options input
+  const validatedOptions = Schema.options.validate(_options)
+  if (validatedOptions.error) {
+    const message = `invalid options`
+    debug(message)
+    debug(validatedOptions.error)
+    throw new ValidationError(message)
+  }
+  const { collectionOptions, migrations, version, compoundUniqueKeys } = validatedOptions.value
+  const references = normalizeReferences(validatedOptions.value.references)
+  const softDelete = validatedOptions.value.softDelete === true
+    ? Schema.softDelete.validate({}).value
+    : validatedOptions.value.softDelete || null
+  const audit = validatedOptions.value.audit
+    ? Object.assign(
+      { collectionName: auditCollectionName(collectionName) },
+      validatedOptions.value.audit === true ? Schema.audit.validate({}).value : validatedOptions.value.audit
+    )
+    : null
+  const views = normalizeViews(validatedOptions.value.views)
+  const middleware = createMiddleware()
+  const timestamps = validatedOptions.value.timestamps === true
+    ? Schema.timestamps.validate({}).value
+    : validatedOptions.value.timestamps || null
+  const ownership = validatedOptions.value.ownership === true
+    ? Schema.ownership.validate({}).value
+    : validatedOptions.value.ownership || null
+
   // Members
   const members = {
     db,
     collectionName,
     uniqueKeys,
     collectionSchema,
-    objectSchema
+    objectSchema: withManagedFields(objectSchema, timestamps, ownership),
+    collectionOptions,
+    migrations,
+    version,
+    references,
+    compoundUniqueKeys,
+    softDelete,
+    audit,
+    views,
+    middleware,
+    timestamps,
+    ownership
   }
 
   return Object.assign(members, initializationMethods)
 }
 
 module.exports.hasUniqueProperties = hasUniqueProperties
+module.exports.collectionOptionsDrift = collectionOptionsDrift
+module.exports.exactProperties = exactProperties
 module.exports.indexedProperties = indexedProperties
+module.exports.initializersOf = initializersOf
 module.exports.uniqueProperties = uniqueProperties
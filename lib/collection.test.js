@@ -3,7 +3,8 @@ const Collection = require('./collection')
 const { createInMemoryOnlyDB } = require('./db')
 const Loki = require('lokijs')
 const Joi = require('joi')
-const { ValidationError, ObjectNotFoundError } = require('./error')
+const { ValidationError, ObjectNotFoundError, MigrationError, ConflictError } = require('./error')
+const { getSchemaVersion } = require('./migration')
 
 const db = createInMemoryOnlyDB('test')
 const clear = () => {
@@ -33,6 +34,29 @@ describe('Loki collection helpers', () => {
       expect(result).toContain('content')
     })
   })
+  describe('exactProperties', () => {
+    beforeEach(clear)
+    it('yields names of properties with exact index', () => {
+      const collection = db.addCollection('TESTS', { exact: ['name'] })
+      expect(Collection.exactProperties(collection)).toEqual(['name'])
+    })
+  })
+  describe('collectionOptionsDrift', () => {
+    beforeEach(clear)
+    it('yields names of options collection does not conform to', () => {
+      const collection = db.addCollection('TESTS', { indices: ['name'], clone: true })
+      const drift = options => Collection.collectionOptionsDrift(collection, options)
+      expect(drift({ indices: ['name'], clone: true })).toEqual([])
+      expect(drift({ indices: ['name', 'content'] })).toEqual(['indices'])
+      expect(drift({ exact: ['name'], clone: false })).toEqual(['exact', 'clone'])
+      expect(drift({ ttl: 1000, ttlInterval: 1000 })).toEqual(['ttl'])
+      expect(drift({ ttl: 0, ttlInterval: 1000 })).toEqual([])
+    })
+    it('ignores options which are not given', () => {
+      const collection = db.addCollection('TESTS', { indices: ['name'], disableMeta: true })
+      expect(Collection.collectionOptionsDrift(collection, {})).toEqual([])
+    })
+  })
   describe('hasUniqueProperties', () => {
     beforeEach(clear)
     it('returns true if given properties has unique constraint', () => {
@@ -60,6 +84,12 @@ describe('Initializer', () => {
       expect(() => Collection.Initializer(db, 'TESTS', 7)).toThrow(ValidationError)
       expect(() => Collection.Initializer(db, 'TESTS', [true, false, true])).toThrow(ValidationError)
     })
+    it('throws if migrations are invalid', () => {
+      const init = migrations => Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations })
+      expect(() => init([{ version: 0, up: x => x }])).toThrow(ValidationError)
+      expect(() => init([{ version: 1 }])).toThrow(ValidationError)
+      expect(() => init([{ version: 1, up: x => x }, { version: 1, up: x => x }])).toThrow(ValidationError)
+    })
   })
   describe('create', () => {
     beforeEach(clear)
@@ -72,6 +102,15 @@ describe('Initializer', () => {
       expect(collection.uniqueNames).toContain('name')
       expect(collection.uniqueNames).toContain('content')
     })
+    it('creates collection with given collection options', () => {
+      const collectionOptions = { indices: ['rank'], exact: ['name'], clone: true }
+      const initializer = Collection.Initializer(db, 'TESTS', ['name'], undefined, undefined, { collectionOptions })
+      initializer.create()
+      const collection = db.getCollection('TESTS')
+      expect(Collection.indexedProperties(collection)).toEqual(['rank'])
+      expect(Collection.exactProperties(collection)).toEqual(['name'])
+      expect(collection.cloneObjects).toBe(true)
+    })
     it('calls preCreate and postCreate', () => {
       const preCreate = jest.fn()
       const postCreate = jest.fn()
@@ -122,6 +161,116 @@ describe('Initializer', () => {
       expect(() => initializer.rebuild()).toThrow(ValidationError)
     })
   })
+  describe('migrate', () => {
+    beforeEach(clear)
+    const migrations = [
+      {
+        version: 1,
+        up: docs => docs.map(doc => Object.assign({}, doc, { fullName: doc.name })),
+        down: docs => docs.map(doc => Object.assign({}, doc, { fullName: undefined }))
+      },
+      {
+        version: 2,
+        up: docs => docs.map(doc => Object.assign({}, doc, { name: undefined }))
+      }
+    ]
+    it('records latest version without running migrations if collection not exist', () => {
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations })
+      const report = initializer.migrate()
+      expect(report).toMatchObject({ collectionName: 'TESTS', from: 0, to: 2, applied: [] })
+      expect(getSchemaVersion(db, 'TESTS')).toBe(2)
+    })
+    it('runs pending migrations on existing data and keeps $loki', () => {
+      const { $loki: id } = db.addCollection('TESTS').insert({ name: 'john' })
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations })
+      const report = initializer.migrate()
+      expect(report.applied).toEqual([{ version: 1, direction: 'up' }, { version: 2, direction: 'up' }])
+      expect(getSchemaVersion(db, 'TESTS')).toBe(2)
+      const doc = db.getCollection('TESTS').get(id)
+      expect(doc.fullName).toBe('john')
+      expect(doc.name).toBeUndefined()
+    })
+    it('runs down migrations to reach lower target version', () => {
+      db.addCollection('TESTS').insert({ name: 'john' })
+      Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations: migrations.slice(0, 1) }).migrate()
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations, version: 0 })
+      const report = initializer.migrate()
+      expect(report.applied).toEqual([{ version: 1, direction: 'down' }])
+      expect(getSchemaVersion(db, 'TESTS')).toBe(0)
+      expect(db.getCollection('TESTS').findOne({ name: 'john' }).fullName).toBeUndefined()
+    })
+    it('leaves data untouched if any migration fails', () => {
+      db.addCollection('TESTS').insert({ name: 'john' })
+      const failing = migrations.slice(0, 1).concat({ version: 2, up: () => { throw new Error('fail') } })
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations: failing })
+      expect(() => initializer.migrate()).toThrow(MigrationError)
+      expect(getSchemaVersion(db, 'TESTS')).toBe(0)
+      expect(db.getCollection('TESTS').findOne({ name: 'john' }).fullName).toBeUndefined()
+    })
+    it('throws if migrated data is invalid according to schema', () => {
+      db.addCollection('TESTS').insert({ name: 'john' })
+      const schema = Joi.array().items(Joi.object().keys({ name: Joi.string().required() }))
+      const initializer = Collection.Initializer(db, 'TESTS', [], schema, undefined, { migrations })
+      expect(() => initializer.migrate()).toThrow(ValidationError)
+      expect(db.getCollection('TESTS').findOne({ name: 'john' })).toBeTruthy()
+    })
+    it('throws with duplicated key and value if migrated data violates unique constraint', () => {
+      db.addCollection('TESTS', { unique: ['slug'] }).insert([{ slug: 'a' }, { slug: 'b' }])
+      const merging = [{ version: 1, up: docs => docs.map(doc => Object.assign({}, doc, { slug: 'a' })) }]
+      const initializer = Collection.Initializer(db, 'TESTS', ['slug'], undefined, undefined, { migrations: merging })
+      expect(() => initializer.migrate()).toThrow('duplicate key for property slug: a')
+      expect(getSchemaVersion(db, 'TESTS')).toBe(0)
+    })
+  })
+  describe('shouldRebuild', () => {
+    beforeEach(clear)
+    it('returns true if option requiring rebuild has drifted', () => {
+      db.addCollection('TESTS')
+      const collectionOptions = { disableMeta: true }
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { collectionOptions })
+      expect(initializer.shouldRebuild()).toBe(true)
+    })
+    it('returns false if only options which can be fixed in place have drifted', () => {
+      db.addCollection('TESTS')
+      const collectionOptions = { indices: ['name'], clone: true }
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { collectionOptions })
+      expect(initializer.shouldRebuild()).toBe(false)
+    })
+  })
+  describe('reconcile', () => {
+    beforeEach(clear)
+    it('fixes drifted options in place and preserves data', () => {
+      const collection = db.addCollection('TESTS', { indices: ['content'] })
+      collection.insert({ name: 'john', content: 'smith' })
+      const collectionOptions = {
+        indices: ['name'],
+        exact: 'name',
+        ttl: 60000,
+        ttlInterval: 60000,
+        clone: true,
+        adaptiveBinaryIndices: false
+      }
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { collectionOptions })
+      const fixed = initializer.reconcile()
+      expect(fixed).toEqual(['indices', 'exact', 'ttl', 'clone', 'adaptiveBinaryIndices'])
+      expect(Collection.collectionOptionsDrift(collection, initializer.collectionOptions)).toEqual([])
+      expect(Collection.indexedProperties(collection)).toEqual(['name'])
+      expect(collection.find({ name: 'john' })).toHaveLength(1)
+      collection.setTTL(-1)
+    })
+  })
+  describe('rebuild with compound unique keys', () => {
+    beforeEach(clear)
+    it('throws if existing data violates compound unique constraint', () => {
+      const data = [{ tenantId: 1, slug: 'a' }, { tenantId: 1, slug: 'a' }]
+      db.addCollection('TESTS').insert(data)
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, {
+        compoundUniqueKeys: [['tenantId', 'slug']]
+      })
+      expect(() => initializer.rebuild()).toThrow(ValidationError)
+      expect(db.getCollection('TESTS').count()).toBe(2)
+    })
+  })
   describe('initialize', () => {
     beforeEach(clear)
     it('returns new Loki.Collection if not exist', () => {
@@ -149,6 +298,22 @@ describe('Initializer', () => {
       expect(collection).toBe(db.getCollection('TESTS'))
       expect(collection.uniqueNames).toContain('name')
     })
+    it('rebuilds collection if option requiring rebuild has drifted', () => {
+      db.addCollection('TESTS').insert({ name: 'john' })
+      const collectionOptions = { disableMeta: true }
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { collectionOptions })
+      const collection = initializer.initialize()
+      expect(collection.disableMeta).toBe(true)
+      expect(collection.findOne({ name: 'john' }).meta).toBeUndefined()
+    })
+    it('runs migrations and stores report', () => {
+      db.addCollection('TESTS').insert({ name: 'john' })
+      const migrations = [{ version: 1, up: docs => docs.map(doc => Object.assign({}, doc, { age: 20 })) }]
+      const initializer = Collection.Initializer(db, 'TESTS', [], undefined, undefined, { migrations })
+      const collection = initializer.initialize()
+      expect(collection.findOne({ name: 'john' }).age).toBe(20)
+      expect(initializer.migrationReport.applied).toEqual([{ version: 1, direction: 'up' }])
+    })
   })
 })
 
@@ -311,6 +476,40 @@ describe('Collection extension methods', () => {
       expect(uniqueSpy).toHaveBeenCalled()
     })
   })
+  describe('validateAndInsertMany', () => {
+    beforeEach(reset)
+    const docs = [
+      { slug: 'c', content: '789' },
+      { slug: 1 },
+      { slug: 'a' },
+      { slug: 'd' },
+      { slug: 'c' }
+    ]
+    it('inserts nothing if any object is invalid by default', () => {
+      const { inserted, rejected } = collection.validateAndInsertMany(docs)
+      expect(inserted).toEqual([])
+      expect(rejected.map(({ index }) => index)).toEqual([1, 2, 4])
+      expect(rejected.every(({ error }) => error.name === 'ValidationError')).toBe(true)
+      expect(collection.count()).toBe(2)
+    })
+    it('inserts valid objects in partial mode', () => {
+      const { inserted, rejected } = collection.validateAndInsertMany(docs, { mode: 'partial' })
+      expect(inserted.map(({ index }) => index)).toEqual([0, 3])
+      expect(inserted[0].doc.$loki).toBeDefined()
+      expect(rejected.map(({ index }) => index)).toEqual([1, 2, 4])
+      expect(rejected[2].doc).toBe(docs[4])
+      expect(collection.count()).toBe(4)
+    })
+    it('inserts all objects if all are valid', () => {
+      const { inserted, rejected } = collection.validateAndInsertMany([{ slug: 'c' }, { slug: 'd' }])
+      expect(inserted).toHaveLength(2)
+      expect(rejected).toEqual([])
+      expect(collection.by('slug', 'd').isDisabled).toBe(false)
+    })
+    it('throws if mode is invalid', () => {
+      expect(() => collection.validateAndInsertMany([], { mode: 'some' })).toThrow(ValidationError)
+    })
+  })
   describe('validateAndReplace', () => {
     beforeEach(reset)
     it('replaces whole object with given one', () => {
@@ -339,6 +538,25 @@ describe('Collection extension methods', () => {
       expect(result.extra).toBe('xxx')
     })
   })
+  describe('optimistic concurrency', () => {
+    beforeEach(reset)
+    it('replaces and patches object if expected revision matches', () => {
+      const aObject = collection.by('slug', 'a')
+      const { revision } = aObject.meta
+      const replaced = collection.validateAndReplace({ $loki: aObject.$loki, slug: 'a', meta: { revision } })
+      expect(replaced.meta.revision).toBe(revision + 1)
+      const patched = collection.validateAndPatch({ $loki: aObject.$loki, content: 'x' }, { revision: revision + 1 })
+      expect(patched.content).toBe('x')
+    })
+    it('throws if expected revision does not match', () => {
+      const aObject = collection.by('slug', 'a')
+      const stale = Object.assign({}, aObject, { meta: Object.assign({}, aObject.meta) })
+      collection.validateAndPatch({ $loki: aObject.$loki, content: 'x' })
+      expect(() => collection.validateAndReplace(stale)).toThrow(ConflictError)
+      expect(() => collection.validateAndPatch({ $loki: aObject.$loki, content: 'y' }, { revision: 0 })).toThrow(ConflictError)
+      expect(collection.by('slug', 'a').content).toBe('x')
+    })
+  })
   describe('removeByID', () => {
     beforeEach(reset)
     it('returns value of removed object', () => {
@@ -348,4 +566,432 @@ describe('Collection extension methods', () => {
       expect(result).toMatchObject({ slug: 'a', content: '123' })
     })
   })
+  describe('transaction', () => {
+    beforeEach(reset)
+    it('commits all writes if function succeeds', () => {
+      collection.transaction((c) => {
+        c.validateAndInsert({ slug: 'c' })
+        c.validateAndPatch({ $loki: c.by('slug', 'a').$loki, content: '321' })
+      })
+      expect(collection.count()).toBe(3)
+      expect(collection.by('slug', 'a').content).toBe('321')
+    })
+    it('rolls back all writes if any validation fails', () => {
+      expect(() => collection.transaction((c) => {
+        c.validateAndInsert({ slug: 'c' })
+        c.removeByID(c.by('slug', 'a').$loki)
+        c.validateAndInsert({ slug: 'b' })
+      })).toThrow(ValidationError)
+      expect(collection.count()).toBe(2)
+      expect(collection.by('slug', 'a')).toBeDefined()
+      expect(collection.by('slug', 'c')).toBeUndefined()
+      expect(collection.validateAndInsert({ slug: 'c' }).$loki).toBe(3)
+    })
+  })
+})
+
+describe('Collection compound unique keys', () => {
+  let collection
+  const initializer = Collection.Initializer(db, 'PAGES', [], undefined, undefined, {
+    compoundUniqueKeys: [['tenantId', 'slug']]
+  })
+  const reset = () => {
+    db.clearDatabase()
+    collection = initializer.initialize()
+    collection.insert([{ tenantId: 1, slug: 'a' }, { tenantId: 2, slug: 'a' }])
+  }
+  beforeEach(reset)
+  it('throws if compound unique keys are invalid', () => {
+    const init = compoundUniqueKeys => Collection.Initializer(db, 'PAGES', [], undefined, undefined, { compoundUniqueKeys })
+    expect(() => init([['slug']])).toThrow(ValidationError)
+    expect(() => init([['slug', 'slug']])).toThrow(ValidationError)
+  })
+  it('rejects duplicated combination on insert with all properties in payload', () => {
+    expect.assertions(3)
+    expect(collection.validateAndInsert({ tenantId: 3, slug: 'a' })).toBeDefined()
+    expect(collection.validateAndInsert({ tenantId: 1, slug: 'b' })).toBeDefined()
+    try {
+      collection.validateAndInsert({ tenantId: 1, slug: 'a' })
+    } catch (error) {
+      expect(error).toMatchObject({ name: 'ValidationError', keys: ['tenantId', 'slug'], values: [1, 'a'] })
+    }
+  })
+  it('rejects duplicated combination on replace and patch', () => {
+    const { $loki: id } = collection.findOne({ tenantId: 2 })
+    expect(() => collection.validateAndReplace({ $loki: id, tenantId: 1, slug: 'a' })).toThrow(ValidationError)
+    expect(() => collection.validateAndPatch({ $loki: id, tenantId: 1 })).toThrow(ValidationError)
+    expect(collection.validateAndPatch({ $loki: id, tenantId: 2, title: 'x' }).title).toBe('x')
+  })
+  it('ignores combination with missing property', () => {
+    collection.validateAndInsert({ tenantId: 1 })
+    expect(collection.validateAndInsert({ tenantId: 1 })).toBeDefined()
+  })
+  it('rejects duplicated combination within batch insert', () => {
+    const { inserted, rejected } = collection.validateAndInsertMany([
+      { tenantId: 3, slug: 'a' },
+      { tenantId: 3, slug: 'a' }
+    ], { mode: 'partial' })
+    expect(inserted).toHaveLength(1)
+    expect(rejected).toHaveLength(1)
+    expect(rejected[0].error.duplicateOf).toBe(0)
+  })
+})
+
+describe('Collection soft delete', () => {
+  let collection
+  const createInitializer = softDelete => Collection.Initializer(db, 'ARTICLES', ['slug'], undefined, undefined, { softDelete })
+  const reset = (softDelete) => {
+    db.clearDatabase()
+    collection = createInitializer(softDelete).initialize()
+    collection.insert([{ slug: 'a' }, { slug: 'b' }])
+  }
+  describe('with deleted objects included in unique constraint', () => {
+    beforeEach(() => reset(true))
+    it('marks object as deleted instead of removing it', () => {
+      const { $loki: id } = collection.by('slug', 'a')
+      const removed = collection.removeByID(id)
+      expect(removed.slug).toBe('a')
+      expect(collection.count()).toBe(2)
+      expect(typeof collection.get(id).deletedAt).toBe('number')
+      expect(collection.isDeleted(collection.get(id))).toBe(true)
+    })
+    it('does not find deleted object unless asked to', () => {
+      const { $loki: id } = collection.by('slug', 'a')
+      collection.removeByID(id)
+      expect(() => collection.getByID(id)).toThrow(ObjectNotFoundError)
+      expect(collection.getByID(id, { includeDeleted: true }).slug).toBe('a')
+      expect(() => collection.validateAndPatch({ $loki: id, content: 'x' })).toThrow(ObjectNotFoundError)
+    })
+    it('keeps unique value of deleted object', () => {
+      collection.removeBy('slug', 'a')
+      expect(() => collection.validateAndInsert({ slug: 'a' })).toThrow(ValidationError)
+    })
+    it('restores deleted object', () => {
+      const { $loki: id } = collection.by('slug', 'a')
+      collection.removeByID(id)
+      const restored = collection.restoreByID(id)
+      expect(restored).not.toHaveProperty('deletedAt')
+      expect(collection.getByID(id).slug).toBe('a')
+    })
+    it('purges objects deleted before given time', () => {
+      const { $loki: aID } = collection.by('slug', 'a')
+      const { $loki: bID } = collection.by('slug', 'b')
+      collection.removeByID(aID)
+      collection.removeByID(bID)
+      collection.update(Object.assign({}, collection.get(aID), { deletedAt: Date.now() - 60000 }))
+
+      const purged = collection.purgeDeleted({ olderThan: Date.now() - 30000 })
+      expect(purged.map(({ slug }) => slug)).toEqual(['a'])
+      expect(collection.get(aID)).toBeNull()
+      expect(collection.get(bID)).not.toBeNull()
+
+      collection.purgeDeleted()
+      expect(collection.count()).toBe(0)
+    })
+  })
+  it('validates deleted objects against collection schema as they were before deletion', () => {
+    db.clearDatabase()
+    const collectionSchema = Joi.array().items(Joi.object().keys({ slug: Joi.string().required() }))
+    const migrations = [{ version: 1, up: docs => docs }, { version: 2, up: docs => docs }]
+    const createStrictInitializer = versions => Collection.Initializer(db, 'ARTICLES', ['slug'], collectionSchema, undefined, {
+      softDelete: { unique: 'exclude' },
+      migrations: migrations.slice(0, versions)
+    })
+    collection = createStrictInitializer(1).initialize()
+    collection.insert([{ slug: 'a' }, { slug: 'b' }])
+    collection.removeByID(collection.by('slug', 'a').$loki)
+    const initializer = createStrictInitializer(2)
+    expect(initializer.validateExisting()).toBe(true)
+    expect(initializer.migrate().applied).toEqual([{ version: 2, direction: 'up' }])
+    initializer.rebuild()
+    collection = initializer.initialize()
+    const deleted = collection.findOne({ slug: null })
+    expect(collection.isDeleted(deleted)).toBe(true)
+    expect(collection.restoreByID(deleted.$loki).slug).toBe('a')
+  })
+  describe('with deleted objects excluded from unique constraint', () => {
+    beforeEach(() => reset({ field: 'removedAt', unique: 'exclude' }))
+    it('releases unique value of deleted object', () => {
+      const { $loki: id } = collection.by('slug', 'a')
+      collection.removeByID(id)
+      expect(collection.get(id).removedAt).toBeDefined()
+      expect(collection.validateAndInsert({ slug: 'a' })).toBeDefined()
+      expect(() => collection.restoreByID(id)).toThrow(ValidationError)
+    })
+    it('restores unique value of deleted object', () => {
+      const { $loki: id } = collection.by('slug', 'a')
+      collection.removeByID(id)
+      collection.restoreByID(id)
+      expect(collection.by('slug', 'a').$loki).toBe(id)
+      expect(collection.get(id)).not.toHaveProperty('deletedKeys')
+    })
+  })
+})
+
+describe('Collection references', () => {
+  let users
+  let posts
+  let comments
+  const usersInitializer = Collection.Initializer(db, 'USERS', ['name'])
+  const postsInitializer = Collection.Initializer(db, 'POSTS', [], undefined, undefined, {
+    references: { authorId: 'USERS' }
+  })
+  const commentsInitializer = Collection.Initializer(db, 'COMMENTS', [], undefined, undefined, {
+    references: {
+      postId: { collection: 'POSTS', onDelete: 'cascade' },
+      userId: { collection: 'USERS', as: 'commenter', onDelete: 'set-null' }
+    }
+  })
+  const reset = () => {
+    db.clearDatabase()
+    users = usersInitializer.initialize()
+    posts = postsInitializer.initialize()
+    comments = commentsInitializer.initialize()
+    users.insert([{ name: 'john' }, { name: 'jane' }])
+  }
+  beforeEach(reset)
+  it('throws if reference declaration is invalid', () => {
+    const init = references => Collection.Initializer(db, 'POSTS', [], undefined, undefined, { references })
+    expect(() => init({ authorId: { as: 'author' } })).toThrow(ValidationError)
+    expect(() => init({ authorId: { collection: 'USERS', onDelete: 'ignore' } })).toThrow(ValidationError)
+  })
+  it('validates referenced object exists on insert, replace and patch', () => {
+    const { $loki: authorId } = users.by('name', 'john')
+    const post = posts.validateAndInsert({ title: 'hello', authorId })
+    expect(() => posts.validateAndInsert({ title: 'bye', authorId: 42 })).toThrow(ValidationError)
+    expect(() => posts.validateAndInsert({ title: 'bye', authorId: 'xxx' })).toThrow(ValidationError)
+    expect(() => posts.validateAndReplace({ $loki: post.$loki, authorId: 42 })).toThrow(ValidationError)
+    expect(() => posts.validateAndPatch({ $loki: post.$loki, authorId: 42 })).toThrow(ValidationError)
+    expect(posts.validateAndInsert({ title: 'anonymous', authorId: null })).toBeDefined()
+  })
+  it('restricts removal of referenced object by default', () => {
+    const { $loki: authorId } = users.by('name', 'john')
+    posts.validateAndInsert({ title: 'hello', authorId })
+    expect(() => users.removeByID(authorId)).toThrow(ValidationError)
+    expect(users.get(authorId)).not.toBeNull()
+  })
+  it('removes or nullifies referencing objects according to policy', () => {
+    const { $loki: authorId } = users.by('name', 'jane')
+    const { $loki: userId } = users.by('name', 'john')
+    const post = posts.validateAndInsert({ title: 'hello', authorId })
+    comments.validateAndInsert({ text: 'first', postId: post.$loki, userId })
+    comments.validateAndInsert({ text: 'second', userId })
+
+    posts.removeByID(post.$loki)
+    expect(comments.find({ text: 'first' })).toHaveLength(0)
+
+    users.removeByID(userId)
+    expect(users.get(userId)).toBeNull()
+    expect(comments.findOne({ text: 'second' }).userId).toBeNull()
+  })
+  it('waits for each cascaded removal and rolls back all of them if any rejects', async () => {
+    const { $loki: authorId } = users.by('name', 'jane')
+    const { $loki: postId } = posts.validateAndInsert({ title: 'hello', authorId })
+    comments.validateAndInsert({ text: 'first', postId: postId })
+    comments.validateAndInsert({ text: 'second', postId: postId })
+    const removed = []
+    const unregister = comments.before('remove', doc => new Promise((resolve, reject) => setTimeout(() => {
+      if (doc.text === 'second') {
+        reject(new ValidationError('second is locked'))
+      } else {
+        removed.push(doc.text)
+        resolve()
+      }
+    }, 5)))
+    await expect(posts.removeByIDPromise(postId)).rejects.toThrow('second is locked')
+    expect(removed).toEqual(['first'])
+    expect(posts.get(postId)).not.toBeNull()
+    expect(comments.find({ postId: postId })).toHaveLength(2)
+
+    unregister()
+    const unregisterDelay = comments.before('remove', () => new Promise(resolve => setTimeout(resolve, 5)))
+    await posts.removeByIDPromise(postId)
+    unregisterDelay()
+    expect(posts.get(postId)).toBeNull()
+    expect(comments.find({ postId: postId })).toHaveLength(0)
+  })
+  it('purges one object at a time and records only completed purges', async () => {
+    const archives = Collection.Initializer(db, 'ARCHIVES', [], undefined, undefined, {
+      softDelete: true,
+      audit: true
+    }).initialize()
+    const notes = Collection.Initializer(db, 'NOTES', [], undefined, undefined, {
+      references: { archiveId: { collection: 'ARCHIVES', onDelete: 'cascade' } }
+    }).initialize()
+    const [{ $loki: a }, { $loki: b }] = archives.insert([{ name: 'a' }, { name: 'b' }])
+    archives.removeByID(a)
+    archives.removeByID(b)
+    notes.insert([{ archiveId: a }, { archiveId: b, locked: true }])
+    const unregister = notes.before('remove', (doc, { existing }) => {
+      if (existing.locked) {
+        throw new ValidationError('note is locked')
+      }
+    })
+    expect(() => archives.purgeDeleted()).toThrow('note is locked')
+    expect(archives.get(a)).toBeNull()
+    expect(archives.history(a).map(({ operation }) => operation)).toEqual(['remove', 'purge'])
+    expect(archives.history(b).map(({ operation }) => operation)).toEqual(['remove'])
+    unregister()
+
+    notes.before('remove', (doc, { existing }) => Promise.reject(new ValidationError(`${existing.archiveId} is locked`)))
+    await expect(archives.purgeDeletedPromise()).rejects.toThrow(`${b} is locked`)
+    expect(archives.get(b)).not.toBeNull()
+    expect(archives.history(b).map(({ operation }) => operation)).toEqual(['remove'])
+  })
+  it('stops cascade at objects already being removed', () => {
+    const nodes = Collection.Initializer(db, 'NODES', [], undefined, undefined, {
+      references: { parentId: { collection: 'NODES', onDelete: 'cascade' } }
+    }).initialize()
+    const { $loki: a } = nodes.validateAndInsert({ name: 'a', parentId: null })
+    const { $loki: b } = nodes.validateAndInsert({ name: 'b', parentId: a })
+    nodes.validateAndInsert({ name: 'c', parentId: b })
+    nodes.validateAndPatch({ $loki: a, parentId: b })
+    nodes.removeByID(a)
+    expect(nodes.count()).toBe(0)
+  })
+  it('populates referenced objects', () => {
+    const { $loki: authorId } = users.by('name', 'john')
+    const post = posts.validateAndInsert({ title: 'hello', authorId })
+    const populated = posts.populate(post)
+    expect(populated.author).toMatchObject({ name: 'john' })
+    expect(populated.authorId).toBe(authorId)
+    expect(post).not.toHaveProperty('author')
+
+    const comment = comments.validateAndInsert({ text: 'first', postId: post.$loki })
+    const [populatedComment] = comments.populate([comment], ['userId'])
+    expect(populatedComment.commenter).toBeNull()
+    expect(populatedComment).not.toHaveProperty('post')
+  })
+  it('treats soft deleted referenced object as not exist', () => {
+    const members = Collection.Initializer(db, 'MEMBERS', ['name'], undefined, undefined, { softDelete: true })
+      .initialize()
+    const notes = Collection.Initializer(db, 'NOTES', [], undefined, undefined, { references: { memberId: 'MEMBERS' } })
+      .initialize()
+    const { $loki: memberId } = members.validateAndInsert({ name: 'john' })
+    expect(notes.validateAndInsert({ text: 'hello', memberId })).toBeDefined()
+    notes.clear()
+    members.removeByID(memberId)
+    expect(members.get(memberId)).not.toBeNull()
+    expect(() => notes.validateAndInsert({ text: 'bye', memberId })).toThrow(ValidationError)
+    expect(notes.populate({ text: 'bye', memberId }).member).toBeNull()
+  })
+})
+
+describe('Collection audit trail', () => {
+  let users
+  let posts
+  const usersInitializer = Collection.Initializer(db, 'USERS', ['name'], undefined, undefined, { audit: true })
+  const postsInitializer = Collection.Initializer(db, 'POSTS', [], undefined, undefined, {
+    references: { authorId: { collection: 'USERS', onDelete: 'cascade' } },
+    audit: { mode: 'diff' }
+  })
+  beforeEach(() => {
+    db.clearDatabase()
+    users = usersInitializer.initialize()
+    posts = postsInitializer.initialize()
+  })
+  it('normalizes audit option', () => {
+    expect(usersInitializer.audit).toEqual({ collectionName: '_AUDIT_USERS', mode: 'snapshot' })
+    expect(postsInitializer.audit).toEqual({ collectionName: '_AUDIT_POSTS', mode: 'diff' })
+    expect(Collection.Initializer(db, 'TESTS').audit).toBeNull()
+    expect(() => Collection.Initializer(db, 'TESTS', [], undefined, undefined, { audit: { mode: 'full' } }))
+      .toThrow(ValidationError)
+  })
+  it('records every write with actor', () => {
+    const { $loki: id } = users.validateAndInsert({ name: 'john' }, { actor: 'admin' })
+    users.validateAndPatch({ $loki: id, email: 'john@example.com' }, { actor: 'john' })
+    users.validateAndReplace({ $loki: id, name: 'johnny' })
+    users.removeByID(id, { actor: 'admin' })
+
+    const entries = users.history(id)
+    expect(entries.map(({ operation }) => operation)).toEqual(['insert', 'patch', 'replace', 'remove'])
+    expect(entries.map(({ actor }) => actor)).toEqual(['admin', 'john', null, 'admin'])
+    expect(entries[1].before).toEqual({ name: 'john' })
+    expect(entries[1].after).toEqual({ name: 'john', email: 'john@example.com' })
+    expect(entries[3].after).toBeNull()
+    expect(users.asOf(id, Date.now())).toBeNull()
+  })
+  it('records objects removed by cascade', () => {
+    const { $loki: authorId } = users.validateAndInsert({ name: 'john' })
+    const { $loki: postId } = posts.validateAndInsert({ title: 'hello', authorId })
+    users.removeByID(authorId, { actor: 'admin' })
+    const [, removal] = posts.history(postId)
+    expect(removal).toMatchObject({ operation: 'remove', actor: 'admin', removed: true })
+  })
+  it('rolls back audit entries with failed transaction', () => {
+    users.validateAndInsert({ name: 'john' })
+    expect(() => users.transaction(() => {
+      users.validateAndInsert({ name: 'jane' })
+      throw new Error('fail')
+    })).toThrow('fail')
+    expect(db.getCollection('_AUDIT_USERS').count()).toBe(1)
+
+    const { rejected } = users.validateAndInsertMany([{ name: 'jack' }, { name: 'john' }])
+    expect(rejected).toHaveLength(1)
+    expect(db.getCollection('_AUDIT_USERS').count()).toBe(1)
+  })
+  it('yields no history if audit trail is not enabled', () => {
+    const tests = Collection.Initializer(db, 'TESTS').initialize()
+    const { $loki: id } = tests.validateAndInsert({ name: 'a' })
+    expect(tests.history(id)).toEqual([])
+    expect(tests.asOf(id, Date.now())).toBeNull()
+    expect(db.getCollection('_AUDIT_TESTS')).toBeNull()
+  })
+})
+
+describe('Collection managed fields', () => {
+  let articles
+  const objectSchema = Joi.object()
+    .keys({
+      title: Joi.string().required(),
+      body: Joi.string()
+    })
+    .unknown()
+  const initializer = Collection.Initializer(db, 'ARTICLES', [], undefined, objectSchema, {
+    timestamps: true,
+    ownership: { createdBy: 'author' }
+  })
+  beforeEach(() => {
+    db.clearDatabase()
+    articles = initializer.initialize()
+  })
+  it('normalizes timestamps and ownership options', () => {
+    expect(initializer.timestamps).toEqual({ createdAt: 'createdAt', updatedAt: 'updatedAt' })
+    expect(initializer.ownership).toEqual({ createdBy: 'author', updatedBy: 'updatedBy' })
+    expect(Collection.Initializer(db, 'TESTS').timestamps).toBeNull()
+    expect(() => Collection.Initializer(db, 'TESTS', [], undefined, undefined, { timestamps: { createdAt: '' } }))
+      .toThrow(ValidationError)
+  })
+  it('sets managed fields on insert and keeps created fields on later writes', () => {
+    const inserted = articles.validateAndInsert({ title: 'a', createdAt: 1, author: 'mallory' }, { actor: 'ann' })
+    expect(inserted.createdAt).toBeGreaterThan(1)
+    expect(inserted.updatedAt).toBe(inserted.createdAt)
+    expect(inserted.author).toBe('ann')
+    expect(inserted.updatedBy).toBe('ann')
+    const { createdAt } = inserted
+
+    const patched = articles.validateAndPatch({ $loki: inserted.$loki, body: 'x', createdAt: 1, author: 'bob' }, {
+      actor: 'bob'
+    })
+    expect(patched).toMatchObject({ createdAt, author: 'ann', updatedBy: 'bob', body: 'x' })
+    expect(patched.updatedAt).toBeGreaterThanOrEqual(createdAt)
+
+    const replaced = articles.validateAndReplace({ $loki: inserted.$loki, title: 'b' }, { actor: 'cid' })
+    expect(replaced).toMatchObject({ createdAt, author: 'ann', updatedBy: 'cid', title: 'b' })
+  })
+  it('sets managed fields on upsert and batch insert', () => {
+    const upserted = articles.upsert({ title: 'a' }, { actor: 'ann' })
+    expect(upserted.author).toBe('ann')
+    const updated = articles.upsert(Object.assign({}, upserted, { author: 'bob' }), { actor: 'bob' })
+    expect(updated).toMatchObject({ author: 'ann', updatedBy: 'bob', createdAt: upserted.createdAt })
+    const { inserted } = articles.validateAndInsertMany([{ title: 'b' }], { actor: 'cid' })
+    expect(inserted[0].doc).toMatchObject({ author: 'cid', updatedBy: 'cid' })
+    expect(inserted[0].doc.createdAt).toBeDefined()
+  })
+  it('validates and queries managed fields with object schema', () => {
+    articles.validateAndInsert({ title: 'a' })
+    articles.validateAndInsert({ title: 'b' })
+    expect(articles.query({ filter: { createdAt: { $gt: 0 } }, sort: '-updatedAt' }).total).toBe(2)
+    expect(() => articles.validateObjectSchema({ title: 'a', createdAt: 'now' })).toThrow(ValidationError)
+  })
 })
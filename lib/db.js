@@ -4,6 +4,17 @@ const _ = require('lodash')
 const Loki = require('lokijs')
 const mkdirp = require('mkdirp')
 
+const { createAdapter } = require('./adapter')
+const { backupDatabase, restoreDatabase, listBackups } = require('./backup')
+const { subscribeDatabase } = require('./changes')
+const { DatabaseLockedError, ValidationError } = require('./error')
+const { exportCollection, importCollection } = require('./exchange')
+const { diffDatabases, mergeDatabases } = require('./merge')
+const { acquireLock, registerLock, isReadOnly, releaseLock } = require('./lock')
+const { loadDatabaseSafe } = require('./recovery')
+const { createScheduler, schedulerOf, queueSave } = require('./scheduler')
+const { transaction, bindTarget } = require('./transaction')
+
 /**
  * Remove all collections in database
  * @param {Loki} db
@@ -38,24 +49,68 @@ const loadDatabasePromise = (db, options = {}) =>
 
 /**
  * Promise wrapper for Loki.saveDatabase()
+ * Saves of database created by createPersistingDB are queued so that they never overlap
  * @param {Loki} db
  * @return {Promise<Loki>}
  */
-const saveDatabasePromise = (db) =>
-  new Promise((resolve, reject) => {
-    db.saveDatabase((error) => (error ? reject(error) : resolve(db)))
-  })
+const saveDatabasePromise = (db) => queueSave(db)
 
 /**
  * Promise wrapper for Loki.deleteDatabase()
+ * Lock of database is released once deleted
  * @param {Loki} db
  * @return {Promise<Loki>}
  */
 const deleteDatabasePromise = (db) =>
   new Promise((resolve, reject) => {
     db.deleteDatabase((error) => (error ? reject(error) : resolve(db)))
+  }).then(() => {
+    releaseLock(db)
+    return db
   })
 
+/**
+ * Stop scheduled saves, save unsaved changes then close database and release its lock
+ * Changes to read-only database are discarded
+ * @param {Loki} db
+ * @return {Promise<Loki>}
+ */
+const closeDatabase = (db) => {
+  const scheduler = schedulerOf(db)
+  if (scheduler) {
+    scheduler.stop()
+  }
+  const flushed = isReadOnly(db) ? Promise.resolve(db)
+    : scheduler ? scheduler.flush()
+      : db.autosaveDirty() ? saveDatabasePromise(db) : Promise.resolve(db)
+  return flushed.then(() => {
+    Object.getPrototypeOf(db).close.call(db)
+    releaseLock(db)
+    return db
+  })
+}
+
+/**
+ * Run function and keep its changes to database collections only if it succeeds
+ * @param {Loki} db
+ * @param {string[]} collectionNames - names of collections to be restored on failure, all collections if not given
+ * @param {function} fn - function receiving database, may return promise
+ * @return {any|Promise<any>} return value of function
+ * @throws {ValidationError} collection of given name not exist
+ */
+const databaseTransaction = (db, collectionNames, fn) => {
+  const collections = collectionNames
+    ? collectionNames.map((name) => {
+      const collection = db.getCollection(name)
+      if (!collection) {
+        throw new ValidationError(`collection ${name} not exist`, { collectionName: name })
+      }
+      return collection
+    })
+    : db.collections.slice()
+  return transaction(collections, () => fn(bindTarget(db)))
+}
+
 /**
  * Extension methods applicable to both in-memory only and persisting database
  */
@@ -63,6 +118,14 @@ const extensionMethods = {
   loadDatabasePromise (options = {}) {
     return loadDatabasePromise(this, options)
   },
+  /**
+   * Load database, recovering from backup if database file is corrupted
+   * @param {object} options - see Recovery.loadDatabaseSafe
+   * @return {Promise<object>} report of recovered and discarded data
+   */
+  loadDatabaseSafe (options) {
+    return loadDatabaseSafe(this, options)
+  },
   saveDatabasePromise () {
     return saveDatabasePromise(this)
   },
@@ -74,6 +137,102 @@ const extensionMethods = {
   },
   clearAllData () {
     return clearAllData(this)
+  },
+  /**
+   * Run function and keep its changes only if it succeeds
+   * Objects it changed are restored on failure, collections created inside function are not removed
+   * Writes made once returned promise waits should go through database passed to function
+   * @param {string[]} [collectionNames] - collections to be restored on failure, default to all collections
+   * @param {function} fn - function receiving database, may return promise
+   * @return {any|Promise<any>} return value of function
+   */
+  transaction (collectionNames, fn) {
+    return _.isFunction(collectionNames)
+      ? databaseTransaction(this, null, collectionNames)
+      : databaseTransaction(this, collectionNames, fn)
+  },
+  /**
+   * Write snapshot of current state to timestamped file, keeping only given number of newest backups
+   * @param {string} [targetPath] - directory of backup files, default to database file name followed by .backups
+   * @param {object} options
+   * @param {number} options.keep - number of newest backups to keep, all if not given
+   * @return {Promise<string>} path to backup file
+   */
+  backup (targetPath, options) {
+    return _.isPlainObject(targetPath)
+      ? backupDatabase(this, undefined, targetPath)
+      : backupDatabase(this, targetPath, options)
+  },
+  /**
+   * Replace current state with backup then save database
+   * @param {string} sourcePath - path to backup file
+   * @return {Promise<Loki>}
+   */
+  restore (sourcePath) {
+    return restoreDatabase(this, sourcePath)
+  },
+  /**
+   * List backup files, newest first
+   * @param {string} [targetPath] - directory of backup files, default to database file name followed by .backups
+   * @return {Promise<object[]>} backups with fileName, path and createdAt properties
+   */
+  listBackups (targetPath) {
+    return listBackups(this, targetPath)
+  },
+  /**
+   * Export objects of collection as stream of JSON Lines, CSV or JSON array
+   * @param {string} collectionName
+   * @param {object} options - see Exchange.exportCollection
+   * @return {stream.Readable}
+   */
+  exportCollection (collectionName, options) {
+    return exportCollection(this, collectionName, options)
+  },
+  /**
+   * Stream JSON Lines, CSV or JSON array into collection through validateAndInsert, skipping invalid records
+   * @param {string} collectionName
+   * @param {string|stream.Readable} source - path to file or readable stream
+   * @param {object} options - see Exchange.importCollection
+   * @return {Promise<object>} report with number of inserted objects and rejected records
+   */
+  importCollection (collectionName, source, options) {
+    return importCollection(this, collectionName, source, options)
+  },
+  /**
+   * Compute what has to change for this database to match other database
+   * @param {Loki} other
+   * @param {object} options - see Merge.diffDatabases
+   * @return {object} diff
+   */
+  diff (other, options) {
+    return diffDatabases(this, other, options)
+  },
+  /**
+   * Apply diff through validated write paths, reverting every collection on error
+   * @param {object} databaseDiff - output of diff
+   * @param {object} options - see Merge.mergeDatabases
+   * @return {object} report of applied changes and conflicts
+   */
+  merge (databaseDiff, options) {
+    return mergeDatabases(this, databaseDiff, options)
+  },
+  /**
+   * Subscribe to changes of every extended collection, made through their validated write methods
+   * @param {function} handler - function receiving change event, see subscribe method of extended collection
+   * @param {object} options - see Changes.subscribeDatabase
+   * @return {function} function unsubscribing
+   */
+  subscribe (handler, options) {
+    return subscribeDatabase(this, handler, options)
+  },
+  /**
+   * Save unsaved changes, stop autosave and signal handlers then close database
+   * @param {function} [callback] - receives error if any
+   * @return {Promise<Loki>}
+   */
+  close (callback) {
+    const closing = closeDatabase(this)
+    return _.isFunction(callback) ? closing.then(() => callback(), callback) : closing
   }
 }
 
@@ -114,7 +273,23 @@ module.exports.createInMemoryOnlyDB = (fileName, _options = {}) => {
  * @param {string} _fileName file name input to Loki constructor
  * @param {object} options options input for Loki constructor
  * @param {function} options.dbConstructor - custom database constructor to be used instead of built-in one
+ * @param {string|object} options.adapter - 'file' (default), 'gzip', 'partitioned', 'incremental'
+ * or custom Loki persistence adapter, see Adapter.createAdapter
+ * @param {object} options.adapterOptions - options of selected adapter, see Adapter.createAdapter
+ * @param {object} options.encryption - encrypt database file with key or key provider,
+ * see Adapter.EncryptedAdapter
+ * @param {bool} options.autosave - save changes periodically, managed by helper instead of Loki
+ * so that autosave never overlaps other saves, database emits save and error events
+ * @param {number} options.autosaveInterval - milliseconds between checks for changes, default to 5000
+ * @param {function} options.autosaveCallback - function called after each autosave with error, or null on success
+ * @param {bool|string[]} options.handleSignals - close database on SIGINT and SIGTERM, or on given signals
+ * @param {bool} options.lock - take exclusive advisory lock on database file until database is closed or deleted
+ * @param {bool} options.readOnly - open database without lock, saving and deleting fail with DatabaseLockedError,
+ * for secondary processes
  * @return {Loki} modified Loki object
+ * @throws {ValidationError} invalid adapter selection, adapter options, encryption options or autosave options,
+ * or both lock and readOnly are set
+ * @throws {DatabaseLockedError} lock is held by another database
  */
 module.exports.createPersistingDB = (_fileName, options = {}) => {
   // Create path to file if not exist
@@ -125,9 +300,52 @@ module.exports.createPersistingDB = (_fileName, options = {}) => {
     mkdirp.sync(pathToFile)
   }
 
+  if (options.readOnly && (options.lock || options.autosave)) {
+    throw new ValidationError('read-only database can neither be locked nor autosaved')
+  }
+
   // Instantiate database
+  const adapter = createAdapter(options.adapter, options.adapterOptions, options.encryption)
   const DBConstructor = options.dbConstructor || Loki
-  const db = new DBConstructor(fileName, options)
+  const lokiOptions = _.omit(options, [
+    'adapterOptions',
+    'encryption',
+    'autosave',
+    'autosaveInterval',
+    'autosaveCallback',
+    'handleSignals',
+    'lock',
+    'readOnly'
+  ])
+  const lock = options.lock ? acquireLock(fileName) : null
+  const db = new DBConstructor(fileName, Object.assign(lokiOptions, { adapter }))
+
+  // Guard database file
+  if (lock) {
+    registerLock(db, lock)
+  }
+  if (options.readOnly) {
+    registerLock(db, { mode: 'read-only' })
+    const readOnlyError = () => new DatabaseLockedError(`database ${fileName} is opened read-only`, { fileName })
+    db.saveDatabase = (callback) => {
+      if (_.isFunction(callback)) {
+        callback(readOnlyError())
+      }
+    }
+    db.deleteDatabase = (callback) => {
+      if (_.isFunction(callback)) {
+        callback(readOnlyError())
+      }
+    }
+  }
+
+  // Manage saves, lock is not kept by database which failed to be created
+  try {
+    createScheduler(db, options, () => closeDatabase(db))
+  } catch (error) {
+    releaseLock(db)
+    throw error
+  }
 
   return Object.assign(db, extensionMethods)
 }
@@ -137,3 +355,5 @@ module.exports.clearAllData = clearAllData
 module.exports.loadDatabasePromise = loadDatabasePromise
 module.exports.saveDatabasePromise = saveDatabasePromise
 module.exports.deleteDatabasePromise = deleteDatabasePromise
+module.exports.closeDatabase = closeDatabase
+module.exports.databaseTransaction = databaseTransaction
@@ -104,6 +104,38 @@ describe('database helper', () => {
       expect(c2.count()).toBe(0)
     })
   })
+  describe('transaction', () => {
+    it('rolls back changes to all collections if function throws', () => {
+      const db = DB.createInMemoryOnlyDB(generateFileName())
+      const c1 = db.addCollection('c1', { unique: ['x'] })
+      const c2 = db.addCollection('c2')
+      c1.insert({ x: 1 })
+      expect(() => db.transaction(() => {
+        c1.insert({ x: 2 })
+        c2.insert({ y: 1 })
+        throw new Error('fail')
+      })).toThrow('fail')
+      expect(c1.count()).toBe(1)
+      expect(c1.by('x', 2)).toBeUndefined()
+      expect(c2.count()).toBe(0)
+    })
+    it('rolls back only given collections', async () => {
+      const db = DB.createInMemoryOnlyDB(generateFileName())
+      const c1 = db.addCollection('c1')
+      const c2 = db.addCollection('c2')
+      await expect(db.transaction(['c1'], async () => {
+        c1.insert({ x: 1 })
+        c2.insert({ y: 1 })
+        throw new Error('fail')
+      })).rejects.toHaveProperty('message', 'fail')
+      expect(c1.count()).toBe(0)
+      expect(c2.count()).toBe(1)
+    })
+    it('throws if collection of given name not exist', () => {
+      const db = DB.createInMemoryOnlyDB(generateFileName())
+      expect(() => db.transaction(['c1'], () => {})).toThrow()
+    })
+  })
   describe('createInMemoryOnlyDB', () => {
     it('creates database with extension methods', () => {
       const fileName = generateFileName()
@@ -158,5 +190,34 @@ describe('database helper', () => {
       await db.deleteDatabasePromise()
       expect(fs.existsSync(fileName)).toBe(false)
     })
+    it('saves through selected persistence adapter', async () => {
+      const fileName = generateFileName()
+      const db = DB.createPersistingDB(fileName, { adapter: 'gzip' })
+      db.addCollection('TEST').insert({ slug: 'xxx' })
+      await db.saveDatabasePromise()
+      expect(fs.readFileSync(fileName)[0]).toBe(0x1f)
+
+      const loaded = await DB.createPersistingDB(fileName).loadDatabasePromise()
+      expect(loaded.getCollection('TEST').find({ slug: 'xxx' })).toHaveLength(1)
+    })
+    it('accepts custom persistence adapter', async () => {
+      const adapter = new Loki.LokiMemoryAdapter()
+      const db = DB.createPersistingDB(generateFileName(), { adapter })
+      expect(db.persistenceAdapter).toBe(adapter)
+      expect(() => DB.createPersistingDB(generateFileName(), { adapter: 'cloud' })).toThrow()
+    })
+    it('encrypts database file when encryption key is given', async () => {
+      const fileName = generateFileName()
+      const encryption = { key: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef' }
+      const db = DB.createPersistingDB(fileName, { encryption })
+      db.addCollection('TEST').insert({ slug: 'xxx' })
+      await db.saveDatabasePromise()
+      expect(fs.readFileSync(fileName, 'utf8')).not.toContain('xxx')
+
+      const loaded = await DB.createPersistingDB(fileName, { encryption }).loadDatabasePromise()
+      expect(loaded.getCollection('TEST').find({ slug: 'xxx' })).toHaveLength(1)
+      const error = await DB.createPersistingDB(fileName).loadDatabasePromise().catch(rejection => rejection)
+      expect(error.message).toMatch(/encryption option is required/)
+    })
   })
 })
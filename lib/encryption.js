@@ -0,0 +1,168 @@
+const crypto = require('crypto')
+const zlib = require('zlib')
+const _ = require('lodash')
+const Joi = require('joi')
+
+const { EncryptionError, ValidationError } = require('./error')
+
+/** Supported authenticated ciphers and their key length in bytes */
+const CIPHERS = {
+  'aes-256-gcm': 32,
+  'aes-192-gcm': 24,
+  'aes-128-gcm': 16
+}
+
+/** Length in bytes of authentication tag, shorter tags would weaken authentication */
+const AUTH_TAG_LENGTH = 16
+
+/** Format marker of encrypted content */
+const FORMAT = 'loki-helper-encrypted'
+
+/** Beginning of every encrypted content, used to tell encrypted from plain content without parsing */
+const ENVELOPE_PREFIX = `{"format":"${FORMAT}"`
+
+/** Schema for input validation */
+const Schema = (() => {
+  const key = Joi.alternatives().try(Joi.object().type(Buffer), Joi.string().min(1))
+  const encryption = Joi.object()
+    .keys({
+      key,
+      keyProvider: Joi.func(),
+      previousKeys: Joi.array()
+        .items(key)
+        .default([]),
+      cipher: Joi.string()
+        .valid(Object.keys(CIPHERS))
+        .default('aes-256-gcm'),
+      allowUnencrypted: Joi.bool().default(false)
+    })
+    .xor('key', 'keyProvider')
+
+  return {
+    encryption
+  }
+})()
+
+/**
+ * Validate encryption options and fill default values
+ * @param {object} encryption
+ * @return {object} options with key or keyProvider, previousKeys, cipher and allowUnencrypted properties
+ * @throws {ValidationError} invalid options
+ */
+const normalizeEncryption = (encryption) => {
+  const { error, value } = Schema.encryption.validate(encryption)
+  if (error) {
+    throw new ValidationError('invalid encryption options', _.pick(error, ['details', 'anotate']))
+  }
+  return value
+}
+
+/**
+ * Convert key to buffer of length required by cipher
+ * @param {Buffer|string} key - raw key, or key encoded as hex or base64 string
+ * @param {string} cipher
+ * @return {Buffer}
+ * @throws {EncryptionError} key length does not match cipher
+ */
+const toKeyBuffer = (key, cipher) => {
+  const length = CIPHERS[cipher]
+  const buffer = Buffer.isBuffer(key)
+    ? key
+    : Buffer.from(key, key.length === length * 2 && /^[0-9a-f]+$/i.test(key) ? 'hex' : 'base64')
+  if (buffer.length !== length) {
+    throw new EncryptionError(`key of ${cipher} must be ${length} bytes, got ${buffer.length}`, { cipher })
+  }
+  return buffer
+}
+
+/**
+ * Get identifier of key which does not reveal the key, used to select decryption key
+ * @param {Buffer} key
+ * @return {string}
+ */
+const keyId = key => crypto.createHash('sha256')
+  .update(key)
+  .digest('hex')
+  .slice(0, 16)
+
+/**
+ * Check if content is output of encrypt
+ * @param {string} content
+ * @return {bool}
+ */
+const isEncrypted = content => content.startsWith(ENVELOPE_PREFIX)
+
+/**
+ * Encrypt content into JSON envelope with cipher, key ID, IV and authentication tag
+ * @param {string} content
+ * @param {Buffer} key
+ * @param {object} options
+ * @param {string} options.cipher - default to aes-256-gcm
+ * @param {bool} options.compress - gzip content before encryption
+ * @return {string} encrypted content
+ */
+const encrypt = (content, key, { cipher = 'aes-256-gcm', compress = false } = {}) => {
+  const iv = crypto.randomBytes(12)
+  const encipher = crypto.createCipheriv(cipher, key, iv, { authTagLength: AUTH_TAG_LENGTH })
+  const payload = compress ? zlib.gzipSync(content) : Buffer.from(content, 'utf8')
+  const data = Buffer.concat([encipher.update(payload), encipher.final()])
+  return JSON.stringify({
+    format: FORMAT,
+    version: 1,
+    cipher,
+    keyId: keyId(key),
+    compressed: compress,
+    iv: iv.toString('base64'),
+    tag: encipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  })
+}
+
+/**
+ * Decrypt output of encrypt with whichever of given keys it was encrypted with
+ * @param {string} content
+ * @param {Buffer[]} keys - candidate keys
+ * @return {string} decrypted content
+ * @throws {EncryptionError} content is malformed, no key matches, authentication tag is not 16 bytes
+ * or content has been tampered with
+ */
+const decrypt = (content, keys) => {
+  let envelope
+  try {
+    envelope = JSON.parse(content)
+  } catch (error) {
+    throw new EncryptionError('encrypted content is malformed')
+  }
+  const { cipher, compressed } = envelope
+  if (!CIPHERS[cipher]) {
+    throw new EncryptionError(`unsupported cipher ${cipher}`, { cipher })
+  }
+  const key = keys.find(candidate => keyId(candidate) === envelope.keyId)
+  if (!key) {
+    throw new EncryptionError('no given key matches encrypted content', { keyId: envelope.keyId })
+  }
+  const tag = Buffer.from(String(envelope.tag), 'base64')
+  if (tag.length !== AUTH_TAG_LENGTH) {
+    throw new EncryptionError(`authentication tag must be ${AUTH_TAG_LENGTH} bytes, got ${tag.length}`, {
+      keyId: envelope.keyId
+    })
+  }
+  try {
+    const decipher = crypto.createDecipheriv(cipher, key, Buffer.from(envelope.iv, 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH
+    })
+    decipher.setAuthTag(tag)
+    const payload = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()])
+    return (compressed ? zlib.gunzipSync(payload) : payload).toString('utf8')
+  } catch (error) {
+    throw new EncryptionError('encrypted content has been tampered with or is corrupted', { keyId: envelope.keyId })
+  }
+}
+
+module.exports.CIPHERS = CIPHERS
+module.exports.normalizeEncryption = normalizeEncryption
+module.exports.toKeyBuffer = toKeyBuffer
+module.exports.keyId = keyId
+module.exports.isEncrypted = isEncrypted
+module.exports.encrypt = encrypt
+module.exports.decrypt = decrypt
@@ -0,0 +1,46 @@
+/* eslint-env jest */
+const crypto = require('crypto')
+const { normalizeEncryption, toKeyBuffer, isEncrypted, encrypt, decrypt } = require('./encryption')
+const { EncryptionError, ValidationError } = require('./error')
+
+const key = crypto.randomBytes(32)
+const otherKey = crypto.randomBytes(32)
+
+describe('encryption', () => {
+  it('round trips content without exposing it', () => {
+    const encrypted = encrypt('{"secret":"abc"}', key)
+    expect(isEncrypted(encrypted)).toBe(true)
+    expect(isEncrypted('{"secret":"abc"}')).toBe(false)
+    expect(encrypted).not.toContain('abc')
+    expect(decrypt(encrypted, [otherKey, key])).toBe('{"secret":"abc"}')
+    expect(decrypt(encrypt('abc', key, { compress: true }), [key])).toBe('abc')
+  })
+  it('throws if no key matches', () => {
+    expect(() => decrypt(encrypt('abc', key), [otherKey])).toThrow(EncryptionError)
+  })
+  it('throws if content has been tampered with', () => {
+    const envelope = JSON.parse(encrypt('abc', key))
+    const tampered = Buffer.from(envelope.data, 'base64')
+    tampered[0] ^= 1
+    envelope.data = tampered.toString('base64')
+    expect(() => decrypt(JSON.stringify(envelope), [key])).toThrow(EncryptionError)
+    expect(() => decrypt('{"format":"loki-helper-encrypted"', [key])).toThrow(EncryptionError)
+  })
+  it('throws if authentication tag is truncated', () => {
+    const envelope = JSON.parse(encrypt('abc', key))
+    envelope.tag = Buffer.from(envelope.tag, 'base64').slice(0, 4).toString('base64')
+    expect(() => decrypt(JSON.stringify(envelope), [key])).toThrow(/authentication tag must be 16 bytes/)
+  })
+  it('accepts key as buffer, hex or base64 string of length required by cipher', () => {
+    expect(toKeyBuffer(key, 'aes-256-gcm')).toBe(key)
+    expect(toKeyBuffer(key.toString('hex'), 'aes-256-gcm').equals(key)).toBe(true)
+    expect(toKeyBuffer(key.toString('base64'), 'aes-256-gcm').equals(key)).toBe(true)
+    expect(() => toKeyBuffer(key, 'aes-128-gcm')).toThrow(EncryptionError)
+  })
+  it('validates options', () => {
+    expect(normalizeEncryption({ key })).toMatchObject({ key, previousKeys: [], cipher: 'aes-256-gcm' })
+    expect(() => normalizeEncryption({})).toThrow(ValidationError)
+    expect(() => normalizeEncryption({ key, keyProvider: () => key })).toThrow(ValidationError)
+    expect(() => normalizeEncryption({ key, cipher: 'aes-256-cbc' })).toThrow(ValidationError)
+  })
+})
@@ -2,3 +2,7 @@ const errorFactory = require('custom-error-factory')
 
 module.exports.ValidationError = errorFactory('ValidationError')
 module.exports.ObjectNotFoundError = errorFactory('ObjectNotFoundError')
+module.exports.MigrationError = errorFactory('MigrationError')
+module.exports.ConflictError = errorFactory('ConflictError')
+module.exports.EncryptionError = errorFactory('EncryptionError')
+module.exports.DatabaseLockedError = errorFactory('DatabaseLockedError')
@@ -0,0 +1,479 @@
+const fs = require('fs')
+const { Readable } = require('stream')
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:exchange')
+
+const { ValidationError } = require('./error')
+const { stripLokiProperties, lokiIDToID } = require('./object')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const format = Joi.string()
+    .valid(['jsonl', 'csv', 'json'])
+    .default('jsonl')
+  const exportOptions = Joi.object().keys({
+    format,
+    lokiProperties: Joi.string()
+      .valid(['keep', 'strip', 'id'])
+      .default('keep'),
+    fields: Joi.array()
+      .items(Joi.string())
+      .min(1),
+    batchSize: Joi.number()
+      .integer()
+      .min(1)
+      .default(100)
+  })
+  const importOptions = Joi.object().keys({
+    format,
+    actor: Joi.any()
+  })
+
+  return {
+    exportOptions,
+    importOptions
+  }
+})()
+
+/**
+ * Validate options against schema and fill default values
+ * @param {Joi.Schema} schema
+ * @param {object} options
+ * @param {string} message
+ * @return {object}
+ * @throws {ValidationError} invalid options
+ */
+const validateOptions = (schema, options, message) => {
+  const { error, value } = schema.validate(options)
+  if (error) {
+    throw new ValidationError(message, _.pick(error, ['details', 'anotate']))
+  }
+  return value
+}
+
+/**
+ * Get collection of database
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @return {Loki.Collection}
+ * @throws {ValidationError} collection not exist
+ */
+const getCollection = (db, collectionName) => {
+  const collection = db.getCollection(collectionName)
+  if (!collection) {
+    throw new ValidationError(`collection ${collectionName} not exist`, { collectionName })
+  }
+  return collection
+}
+
+/** Conversion of exported objects according to lokiProperties option */
+const EXPORT_TRANSFORMS = {
+  keep: _.identity,
+  strip: stripLokiProperties,
+  id: doc => lokiIDToID(_.omit(doc, ['meta']))
+}
+
+/**
+ * Convert value into CSV cell, objects are written as JSON
+ * @param {any} value
+ * @return {string}
+ */
+const toCSVCell = (value) => {
+  const text = _.isNil(value) ? ''
+    : _.isDate(value) ? value.toISOString()
+      : _.isObject(value) ? JSON.stringify(value)
+        : String(value)
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** Writers of each export format, each with optional header and footer */
+const EXPORT_FORMATS = {
+  jsonl: {
+    header: () => '',
+    row: doc => `${JSON.stringify(doc)}\n`,
+    footer: () => ''
+  },
+  csv: {
+    header: fields => `${fields.map(toCSVCell).join(',')}\r\n`,
+    row: (doc, index, fields) => `${fields.map(field => toCSVCell(doc[field])).join(',')}\r\n`,
+    footer: () => ''
+  },
+  json: {
+    header: () => '[',
+    row: (doc, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(doc)}`,
+    footer: count => (count === 0 ? ']\n' : '\n]\n')
+  }
+}
+
+/**
+ * Export objects of collection as readable stream of JSON Lines, CSV or JSON array
+ * Objects present when called are exported, each batch is serialized only when stream is read
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @param {object} _options
+ * @param {string} _options.format - 'jsonl' (default), 'csv' or 'json'
+ * @param {string} _options.lokiProperties - 'keep' (default) exports $loki and meta as is,
+ * 'strip' removes them, 'id' removes meta and renames $loki to id
+ * @param {string[]} _options.fields - properties to export in order, default to all properties,
+ * in order of first appearance for CSV
+ * @param {number} _options.batchSize - number of objects serialized per read, default to 100
+ * @return {stream.Readable} UTF-8 text stream
+ * @throws {ValidationError} invalid options or collection not exist
+ */
+const exportCollection = (db, collectionName, _options = {}) => {
+  const { format, lokiProperties, fields, batchSize } = validateOptions(Schema.exportOptions, _options, 'invalid export options')
+  const docs = getCollection(db, collectionName).data.slice()
+  const writer = EXPORT_FORMATS[format]
+  const transform = fields
+    ? doc => _.pick(EXPORT_TRANSFORMS[lokiProperties](doc), fields)
+    : EXPORT_TRANSFORMS[lokiProperties]
+
+  // CSV needs every column before first row
+  const columns = format !== 'csv' ? null
+    : fields || _.uniq(_.flatMap(docs, doc => Object.keys(transform(doc))))
+
+  let index = -1
+  debug(`exporting ${docs.length} objects of ${collectionName} as ${format}`)
+  return new Readable({
+    encoding: 'utf8',
+    read () {
+      if (index < 0) {
+        index = 0
+        this.push(writer.header(columns))
+      }
+      const chunk = docs.slice(index, index + batchSize)
+        .map((doc, offset) => writer.row(transform(doc), index + offset, columns))
+        .join('')
+      index += batchSize
+      if (chunk) {
+        this.push(chunk)
+      }
+      if (index >= docs.length) {
+        this.push(writer.footer(docs.length))
+        this.push(null)
+      }
+    }
+  })
+}
+
+/**
+ * Parser methods shared by every import format
+ * Parsers receive text in chunks and return complete records, each with either value or error
+ */
+const parserMethods = {
+  /**
+   * Parse chunk of text
+   * @param {string} text
+   * @return {object[]} records completed by chunk
+   */
+  write (text) {
+    const records = []
+    this.feed(text, records)
+    return records
+  },
+  /**
+   * Finish parsing
+   * @return {object[]} remaining records
+   */
+  end () {
+    const records = []
+    this.finish(records)
+    return records
+  }
+}
+
+/**
+ * Parse JSON text of one record which must be an object
+ * @param {string} text
+ * @return {object} record with value or error
+ */
+const parseObject = (text) => {
+  try {
+    const value = JSON.parse(text)
+    return _.isPlainObject(value) ? { value } : { error: new ValidationError('record is not an object') }
+  } catch (error) {
+    return { error: new ValidationError(`malformed record: ${error.message}`) }
+  }
+}
+
+/**
+ * Create parser of JSON Lines, blank lines are skipped
+ * @return {object}
+ */
+const JSONLinesParser = () => Object.assign({
+  rest: '',
+  line: 0,
+  feed (text, records) {
+    const lines = (this.rest + text).split('\n')
+    this.rest = lines.pop()
+    lines.forEach(line => this.parseLine(line, records))
+  },
+  finish (records) {
+    this.parseLine(this.rest, records)
+    this.rest = ''
+  },
+  parseLine (line, records) {
+    this.line++
+    if (line.trim()) {
+      records.push(Object.assign({ line: this.line }, parseObject(line)))
+    }
+  }
+}, parserMethods)
+
+/**
+ * Parse CSV cell which looks like JSON, keeping text as is if it is not
+ * @param {string} cell
+ * @return {any}
+ */
+const parseCell = (cell) => {
+  try {
+    return JSON.parse(cell)
+  } catch (error) {
+    return cell
+  }
+}
+
+/**
+ * Create parser of CSV with header row as defined by RFC 4180
+ * Empty cells are left out of records, cells holding JSON object or array are parsed
+ * @return {object}
+ */
+const CSVParser = () => Object.assign({
+  header: null,
+  row: [],
+  cell: '',
+  quoted: false,
+  quotePending: false,
+  line: 1,
+  rowLine: 1,
+  feed (text, records) {
+    for (const char of text) {
+      if (this.quoted) {
+        if (char === '"') {
+          this.quoted = false
+          this.quotePending = true
+        } else {
+          this.cell += char
+        }
+      } else if (char === '"') {
+        // Doubled quote inside quoted cell, or opening quote
+        if (this.quotePending) {
+          this.cell += '"'
+        }
+        this.quoted = true
+        this.quotePending = false
+      } else {
+        this.quotePending = false
+        if (char === ',') {
+          this.endCell()
+        } else if (char === '\n') {
+          this.endRow(records)
+        } else if (char !== '\r') {
+          this.cell += char
+        }
+      }
+      if (char === '\n') {
+        this.line++
+      }
+    }
+  },
+  finish (records) {
+    if (this.cell || this.row.length) {
+      this.endRow(records)
+    }
+  },
+  endCell () {
+    this.row.push(this.cell)
+    this.cell = ''
+  },
+  endRow (records) {
+    this.endCell()
+    const row = this.row
+    const line = this.rowLine
+    this.row = []
+    this.rowLine = this.line + 1
+    if (row.length === 1 && !row[0]) {
+      return
+    }
+    if (!this.header) {
+      // Drop byte order mark written by spreadsheet applications
+      this.header = row.map((name, index) => (index === 0 ? name.replace(/^\uFEFF/, '') : name))
+      return
+    }
+    if (row.length > this.header.length) {
+      records.push({ line, error: new ValidationError(`row has ${row.length} cells, header has ${this.header.length}`) })
+      return
+    }
+    const value = {}
+    row.forEach((cell, index) => {
+      if (cell !== '') {
+        value[this.header[index]] = /^\s*[[{]/.test(cell) ? parseCell(cell) : cell
+      }
+    })
+    records.push({ line, value })
+  }
+}, parserMethods)
+
+/**
+ * Create parser of JSON array of objects, each element is parsed as soon as it is complete
+ * @return {object}
+ */
+const JSONArrayParser = () => Object.assign({
+  started: false,
+  ended: false,
+  depth: 0,
+  inString: false,
+  escaped: false,
+  element: '',
+  index: 0,
+  feed (text, records) {
+    for (const char of text) {
+      if (!this.started) {
+        if (char === '[') {
+          this.started = true
+        } else if (!/\s/.test(char)) {
+          throw new ValidationError('JSON import must be an array')
+        }
+      } else if (this.ended) {
+        if (!/\s/.test(char)) {
+          throw new ValidationError('unexpected content after JSON array')
+        }
+      } else if (this.inString) {
+        this.element += char
+        if (this.escaped) {
+          this.escaped = false
+        } else if (char === '\\') {
+          this.escaped = true
+        } else if (char === '"') {
+          this.inString = false
+        }
+      } else if (this.depth === 0 && (char === ',' || char === ']')) {
+        this.endElement(records, char === ']')
+        this.ended = char === ']'
+      } else {
+        this.element += char
+        if (char === '"') {
+          this.inString = true
+        } else if (char === '{' || char === '[') {
+          this.depth++
+        } else if (char === '}' || char === ']') {
+          this.depth--
+        }
+      }
+    }
+  },
+  finish () {
+    if (!this.ended) {
+      throw new ValidationError('JSON array is not terminated')
+    }
+  },
+  endElement (records, last) {
+    const text = this.element.trim()
+    this.element = ''
+    if (!text && last && this.index === 0) {
+      return
+    }
+    records.push(Object.assign({ index: this.index++ }, text ? parseObject(text) : { error: new ValidationError('empty element') }))
+  }
+}, parserMethods)
+
+/** Parser factory of each import format */
+const PARSERS = {
+  jsonl: JSONLinesParser,
+  csv: CSVParser,
+  json: JSONArrayParser
+}
+
+/**
+ * Import JSON Lines, CSV or JSON array into collection, reading source as stream
+ * Each record is inserted through Collection.validateAndInsertPromise() as soon as it is parsed,
+ * records which are malformed or fail validation are skipped and reported
+ * $loki and meta of records are dropped so that objects get new IDs
+ * @param {Loki} db
+ * @param {string} collectionName - name of collection initialized by Initializer
+ * @param {string|stream.Readable} source - path to file or readable stream
+ * @param {object} _options
+ * @param {string} _options.format - 'jsonl' (default), 'csv' or 'json'
+ * @param {any} _options.actor - identity of who made the change for audit trail
+ * @return {Promise<object>} report with number of inserted objects, and rejected records along with their index
+ * in import, line number for JSON Lines and CSV, parsed record if any and ValidationError
+ * @throws {ValidationError} invalid options, collection not exist or not initialized by Initializer,
+ * or JSON import is not an array
+ */
+const importCollection = (db, collectionName, source, _options = {}) => new Promise((resolve, reject) => {
+  const { format, actor } = validateOptions(Schema.importOptions, _options, 'invalid import options')
+  const collection = getCollection(db, collectionName)
+  if (!_.isFunction(collection.validateAndInsertPromise)) {
+    throw new ValidationError(`collection ${collectionName} is not initialized by Initializer`, { collectionName })
+  }
+  if (!_.isString(source) && !(source && _.isFunction(source.pipe))) {
+    throw new ValidationError('import source must be file path or readable stream')
+  }
+
+  const stream = _.isString(source) ? fs.createReadStream(source) : source
+  const parser = PARSERS[format]()
+  const report = { inserted: 0, rejected: [] }
+  let count = 0
+  const insertRecord = ({ line, value, error }) => {
+    const entry = _.omitBy({ index: count++, line, doc: value }, _.isUndefined)
+    if (error) {
+      report.rejected.push(Object.assign(entry, { error }))
+      return undefined
+    }
+    return collection.validateAndInsertPromise(stripLokiProperties(value), { actor })
+      .then(() => {
+        report.inserted++
+      }, (insertError) => {
+        if (insertError.name !== 'ValidationError') {
+          throw insertError
+        }
+        report.rejected.push(Object.assign(entry, { error: insertError }))
+      })
+  }
+  // Insert one at a time in order of records, as insert middleware may return promise
+  const insert = records => records.reduce((previous, record) => previous.then(() => insertRecord(record)), Promise.resolve())
+  let pending = Promise.resolve()
+  const fail = (error) => {
+    stream.removeAllListeners('data')
+    if (_.isFunction(stream.destroy)) {
+      stream.destroy()
+    }
+    reject(error)
+  }
+
+  stream.setEncoding('utf8')
+  stream.on('data', (chunk) => {
+    let records
+    try {
+      records = parser.write(chunk)
+    } catch (error) {
+      fail(error)
+      return
+    }
+    // Read no further until records of chunk are inserted
+    stream.pause()
+    pending = pending
+      .then(() => insert(records))
+      .then(() => stream.resume(), fail)
+  })
+  stream.on('end', () => {
+    let records
+    try {
+      records = parser.end()
+    } catch (error) {
+      reject(error)
+      return
+    }
+    pending
+      .then(() => insert(records))
+      .then(() => {
+        debug(`imported ${report.inserted} objects into ${collectionName}, rejected ${report.rejected.length}`)
+        resolve(report)
+      }, reject)
+  })
+  stream.on('error', reject)
+})
+
+module.exports.exportCollection = exportCollection
+module.exports.importCollection = importCollection
@@ -0,0 +1,159 @@
+/* eslint-env jest */
+const fs = require('fs')
+const path = require('path')
+const { PassThrough } = require('stream')
+const Joi = require('joi')
+const rimraf = require('rimraf')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ValidationError } = require('./error')
+
+const tempDir = path.resolve('.', '.temp-exchange')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}exchange-test-${count++}`
+})()
+const objectSchema = Joi.object().keys({
+  name: Joi.string().required(),
+  age: Joi.number().integer(),
+  tags: Joi.array().items(Joi.string())
+})
+const open = () => {
+  const db = createInMemoryOnlyDB('exchange-test')
+  Initializer(db, 'USERS', ['name'], undefined, objectSchema).initialize()
+  return db
+}
+const readAll = stream => new Promise((resolve, reject) => {
+  let text = ''
+  stream.on('data', (chunk) => { text += chunk })
+  stream.on('end', () => resolve(text))
+  stream.on('error', reject)
+})
+// Feed text in small chunks so that records span chunk boundaries
+const streamOf = (text, size = 7) => {
+  const stream = new PassThrough()
+  for (let index = 0; index < text.length; index += size) {
+    stream.write(text.slice(index, index + size))
+  }
+  stream.end()
+  return stream
+}
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('export', () => {
+  const prepare = () => {
+    const db = open()
+    db.getCollection('USERS').validateAndInsert({ name: 'john', age: 30 })
+    db.getCollection('USERS').validateAndInsert({ name: 'jane, "jj"', tags: ['a', 'b'] })
+    return db
+  }
+
+  it('exports JSON Lines with or without Loki properties', async () => {
+    const db = prepare()
+    const kept = (await readAll(db.exportCollection('USERS'))).trim().split('\n').map(line => JSON.parse(line))
+    expect(kept[0].$loki).toBe(1)
+    expect(kept[0].meta).toBeDefined()
+
+    const stripped = await readAll(db.exportCollection('USERS', { lokiProperties: 'strip' }))
+    expect(stripped).toBe('{"name":"john","age":30}\n{"name":"jane, \\"jj\\"","tags":["a","b"]}\n')
+
+    const renamed = await readAll(db.exportCollection('USERS', { lokiProperties: 'id', fields: ['id', 'name'] }))
+    expect(renamed).toBe('{"id":1,"name":"john"}\n{"id":2,"name":"jane, \\"jj\\""}\n')
+  })
+  it('exports CSV with quoted cells and JSON array', async () => {
+    const db = prepare()
+    const csv = await readAll(db.exportCollection('USERS', { format: 'csv', lokiProperties: 'strip', batchSize: 1 }))
+    expect(csv).toBe('name,age,tags\r\njohn,30,\r\n"jane, ""jj""",,"[""a"",""b""]"\r\n')
+
+    const json = JSON.parse(await readAll(db.exportCollection('USERS', { format: 'json', lokiProperties: 'id' })))
+    expect(json.map(doc => doc.id)).toEqual([1, 2])
+  })
+  it('rejects invalid options and unknown collection', () => {
+    const db = prepare()
+    expect(() => db.exportCollection('USERS', { format: 'xml' })).toThrow(ValidationError)
+    expect(() => db.exportCollection('NONE')).toThrow(ValidationError)
+  })
+})
+
+describe('import', () => {
+  it('imports JSON Lines and reports rejected records', async () => {
+    const db = open()
+    const text = [
+      '{"name":"john","age":30}',
+      '',
+      '{"name":"jane","age":"old"}',
+      'not json',
+      '{"$loki":7,"name":"jim"}',
+      '{"name":"john"}'
+    ].join('\n')
+    const report = await db.importCollection('USERS', streamOf(text), { actor: 'importer' })
+    expect(report.inserted).toBe(2)
+    expect(report.rejected.map(({ index, line }) => [index, line])).toEqual([[1, 3], [2, 4], [4, 6]])
+    expect(report.rejected.every(({ error }) => error instanceof ValidationError)).toBe(true)
+    expect(report.rejected[0].doc).toEqual({ name: 'jane', age: 'old' })
+    expect(db.getCollection('USERS').find().map(doc => doc.name)).toEqual(['john', 'jim'])
+  })
+  it('imports CSV converting values through object schema', async () => {
+    const db = open()
+    const text = '\uFEFFname,age,tags\r\njohn,30,\r\n"jane, ""jj""",,"[""a"",""b""]"\r\n"multi\nline",1,\r\nx,1,,extra\r\n'
+    const report = await db.importCollection('USERS', streamOf(text, 5), { format: 'csv' })
+    expect(report.inserted).toBe(3)
+    expect(report.rejected).toHaveLength(1)
+    expect(report.rejected[0].line).toBe(6)
+    expect(db.getCollection('USERS').findOne({ name: 'john' }).age).toBe(30)
+    expect(db.getCollection('USERS').findOne({ name: 'jane, "jj"' }).tags).toEqual(['a', 'b'])
+    expect(db.getCollection('USERS').findOne({ name: 'multi\nline' })).toBeTruthy()
+  })
+  it('imports JSON array from file', async () => {
+    const db = open()
+    const fileName = generateFileName()
+    fs.writeFileSync(fileName, '[{"name":"a]\\"{"}, {"name":"b","tags":["x"]}, 1]')
+    const report = await db.importCollection('USERS', fileName, { format: 'json' })
+    expect(report.inserted).toBe(2)
+    expect(report.rejected.map(({ index }) => index)).toEqual([2])
+    expect(db.getCollection('USERS').findOne({ name: 'a]"{' })).toBeTruthy()
+
+    fs.writeFileSync(fileName, '{"name":"c"}')
+    await expect(db.importCollection('USERS', fileName, { format: 'json' })).rejects.toBeInstanceOf(ValidationError)
+  })
+  it('round-trips export into another database', async () => {
+    const source = open()
+    source.getCollection('USERS').validateAndInsert({ name: 'jane, "jj"', age: 20, tags: ['a'] })
+    const target = open()
+    const report = await target.importCollection('USERS', source.exportCollection('USERS', { format: 'csv' }), {
+      format: 'csv'
+    })
+    expect(report).toEqual({ inserted: 1, rejected: [] })
+    expect(target.getCollection('USERS').findOne({ name: 'jane, "jj"' }).tags).toEqual(['a'])
+  })
+  it('waits for each insert in order when insert middleware returns promise', async () => {
+    const db = open()
+    const users = db.getCollection('USERS')
+    // Later records resolve sooner, so inserting out of order would show in $loki order
+    users.before('insert', doc => new Promise((resolve, reject) => setTimeout(() => {
+      if (doc.name === 'spam') {
+        reject(new ValidationError('spam'))
+      } else {
+        resolve(doc)
+      }
+    }, 20 - doc.age)))
+    const text = ['{"name":"a","age":1}', '{"name":"spam","age":2}', '{"name":"b","age":3}', '{"name":"a","age":4}'].join('\n')
+    const report = await db.importCollection('USERS', streamOf(text))
+    expect(report.inserted).toBe(2)
+    expect(report.rejected.map(({ index, error }) => [index, error.message])).toEqual([[1, 'spam'], [3, 'Duplicate key for property name: a']])
+    expect(users.find().map(doc => doc.name)).toEqual(['a', 'b'])
+  })
+  it('rejects collection not initialized by Initializer', async () => {
+    const db = open()
+    db.addCollection('PLAIN')
+    await expect(db.importCollection('PLAIN', streamOf(''))).rejects.toBeInstanceOf(ValidationError)
+    await expect(db.importCollection('USERS', 42)).rejects.toBeInstanceOf(ValidationError)
+  })
+})
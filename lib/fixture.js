@@ -0,0 +1,193 @@
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:fixture')
+
+const { replaceState } = require('./backup')
+const { createInMemoryOnlyDB } = require('./db')
+const { ValidationError } = require('./error')
+const { Registry } = require('./registry')
+
+const readdir = promisify(fs.readdir)
+const readFile = promisify(fs.readFile)
+
+/** Schema for input validation */
+const Schema = (() => {
+  const options = Joi.object().keys({
+    definitions: Joi.object(),
+    setup: Joi.func(),
+    fileName: Joi.string().default('fixtures')
+  })
+
+  return {
+    options
+  }
+})()
+
+/** Extensions of seed files, JSON files are parsed and JS files are required */
+const FIXTURE_EXTENSIONS = ['.json', '.js']
+
+/**
+ * Read seed files of directory, each named after collection it seeds
+ * @param {string} directory
+ * @return {Promise<object>} fixtures keyed by collection name, each keyed by fixture name
+ * @throws {ValidationError} seed file is malformed or holds neither array nor object
+ */
+const readFixtureFiles = directory => readdir(directory)
+  .then(fileNames => Promise.all(fileNames
+    .filter(fileName => FIXTURE_EXTENSIONS.includes(path.extname(fileName)))
+    .sort()
+    .map((fileName) => {
+      const filePath = path.resolve(directory, fileName)
+      const content = path.extname(fileName) === '.js'
+        ? Promise.resolve(require(filePath))
+        : readFile(filePath, 'utf8').then((text) => {
+          try {
+            return JSON.parse(text)
+          } catch (error) {
+            throw new ValidationError(`malformed fixture file ${fileName}: ${error.message}`, { fileName })
+          }
+        })
+      return content.then((fixtures) => {
+        if (!_.isObject(fixtures) || _.isFunction(fixtures)) {
+          throw new ValidationError(`fixture file ${fileName} must hold array or object`, { fileName })
+        }
+        return [path.basename(fileName, path.extname(fileName)), fixtures]
+      })
+    })))
+  .then(_.fromPairs)
+
+/**
+ * Replace symbolic references in fixture with $loki of referenced fixtures
+ * A string '@COLLECTION.name' references fixture name of COLLECTION, '@@' escapes a literal leading '@'
+ * @param {object} doc
+ * @param {function} lookup - function receiving collection name and fixture name, returning $loki
+ * @return {object} copy of fixture with references resolved
+ */
+const resolveReferences = (doc, lookup) => _.cloneDeepWith(doc, (value) => {
+  if (!_.isString(value) || !value.startsWith('@')) {
+    return undefined
+  }
+  if (value.startsWith('@@')) {
+    return value.slice(1)
+  }
+  const separator = value.indexOf('.')
+  if (separator < 2) {
+    throw new ValidationError(`malformed fixture reference ${value}`, { reference: value })
+  }
+  return lookup(value.slice(1, separator), value.slice(separator + 1))
+})
+
+const fixtureMethods = {
+  /**
+   * Get $loki of seeded fixture
+   * @param {string} collectionName
+   * @param {string|number} name - fixture name, or index for fixture files holding array
+   * @return {number}
+   * @throws {ValidationError} fixture not exist
+   */
+  id (collectionName, name) {
+    const id = _.get(this.ids, [collectionName, String(name)])
+    if (_.isUndefined(id)) {
+      throw new ValidationError(`fixture ${collectionName}.${name} not exist`, { collectionName, name })
+    }
+    return id
+  },
+  /**
+   * Get current state of seeded fixture
+   * @param {string} collectionName
+   * @param {string|number} name - fixture name, or index for fixture files holding array
+   * @return {object|undefined} object in collection, undefined if removed since seeded
+   * @throws {ValidationError} fixture not exist
+   */
+  get (collectionName, name) {
+    return this.db.getCollection(collectionName).get(this.id(collectionName, name))
+  },
+  /**
+   * Revert database to seeded state, collections are re-initialized so that they keep extension methods
+   * @return {Loki}
+   */
+  reset () {
+    replaceState(this.db, this.seeded)
+    return this.db
+  }
+}
+
+/**
+ * Seed in-memory only database with fixture files of directory
+ * Each JSON or JS file is named after the collection it seeds and holds either fixtures keyed by name or array of
+ * fixtures, which are inserted through Collection.validateAndInsertPromise() of the collection's registered Initializer
+ * Fixture may reference another one by string '@COLLECTION.name', or '@COLLECTION.index' for array,
+ * replaced with $loki of referenced fixture which is inserted first
+ * @param {string} directory - directory of seed files
+ * @param {object} _options
+ * @param {object} _options.definitions - collection definitions input to Registry
+ * @param {function} _options.setup - function receiving database which registers Initializers, may return promise,
+ * run after collections of definitions are initialized
+ * @param {string} _options.fileName - file name input to createInMemoryOnlyDB, default to fixtures
+ * @return {Promise<object>} fixtures with db, ids ($loki keyed by collection name then fixture name),
+ * and id, get and reset methods
+ * @throws {ValidationError} invalid options, malformed seed file, unknown or circular reference,
+ * collection without registered Initializer or fixture fails validation
+ */
+const loadFixtures = (directory, _options = {}) => Promise.resolve()
+  .then(() => {
+    const { error, value: options } = Schema.options.validate(_options)
+    if (error) {
+      throw new ValidationError('invalid fixture options', _.pick(error, ['details', 'anotate']))
+    }
+    const db = createInMemoryOnlyDB(options.fileName)
+    return Promise.resolve(options.definitions && Registry(db, options.definitions).initialize({ save: false }))
+      .then(() => options.setup && options.setup(db))
+      .then(() => readFixtureFiles(directory))
+      .then((files) => {
+        const ids = _.mapValues(files, () => ({}))
+        const ordered = new Set()
+        const visiting = new Set()
+        const order = []
+
+        // Order fixture after fixtures it references
+        const visit = (collectionName, name, chain = []) => {
+          const reference = `${collectionName}.${name}`
+          if (!files[collectionName] || !_.has(files[collectionName], name)) {
+            throw new ValidationError(`fixture ${reference} not exist`, { reference, chain })
+          }
+          if (ordered.has(reference)) {
+            return
+          }
+          if (visiting.has(reference)) {
+            throw new ValidationError(`circular fixture reference: ${chain.concat(reference).join(' -> ')}`, { chain })
+          }
+          const collection = db.getCollection(collectionName)
+          if (!collection || !_.isFunction(collection.validateAndInsertPromise)) {
+            throw new ValidationError(`collection ${collectionName} has no registered Initializer`, { collectionName })
+          }
+          visiting.add(reference)
+          resolveReferences(files[collectionName][name], (target, targetName) =>
+            visit(target, targetName, chain.concat(reference)))
+          visiting.delete(reference)
+          ordered.add(reference)
+          order.push({ collection, collectionName, name })
+        }
+        _.forEach(files, (fixtures, collectionName) => {
+          Object.keys(fixtures).forEach(name => visit(collectionName, name))
+        })
+
+        // Insert one at a time, as insert middleware may return promise and later fixtures need ids
+        return order.reduce((previous, { collection, collectionName, name }) => previous.then(() => {
+          const doc = resolveReferences(files[collectionName][name], (target, targetName) => ids[target][targetName])
+          return collection.validateAndInsertPromise(doc)
+        }).then((inserted) => {
+          ids[collectionName][name] = inserted.$loki
+        }), Promise.resolve())
+          .then(() => {
+            debug(`seeded ${Object.keys(files).join(', ')} from ${directory}`)
+            return Object.assign({ db, ids, seeded: db.serialize() }, fixtureMethods)
+          })
+      })
+  })
+
+module.exports.resolveReferences = resolveReferences
+module.exports.loadFixtures = loadFixtures
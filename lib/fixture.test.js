@@ -0,0 +1,113 @@
+/* eslint-env jest */
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+const Joi = require('joi')
+const rimraf = require('rimraf')
+const { Initializer } = require('./collection')
+const { ValidationError } = require('./error')
+const { loadFixtures, resolveReferences } = require('./fixture')
+
+const tempDir = path.resolve('.', '.temp-fixture')
+const generateDirectory = (() => {
+  let count = 0
+  return (files) => {
+    const directory = `${tempDir}${path.sep}fixture-test-${count++}`
+    fs.mkdirSync(directory)
+    Object.keys(files).forEach(fileName => fs.writeFileSync(path.join(directory, fileName), files[fileName]))
+    return directory
+  }
+})()
+const definitions = {
+  USERS: {
+    uniqueKeys: 'name',
+    objectSchema: Joi.object().keys({ name: Joi.string().required() }).unknown()
+  },
+  POSTS: {
+    objectSchema: Joi.object().keys({ title: Joi.string().required(), authorId: Joi.number() }).unknown(),
+    options: { references: { authorId: 'USERS', replyTo: 'POSTS' } },
+    dependsOn: 'USERS'
+  }
+}
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('resolveReferences', () => {
+  it('replaces references and unescapes literal @', () => {
+    const lookup = (collectionName, name) => `${collectionName}:${name}`
+    expect(resolveReferences({ a: '@USERS.john', b: ['@@handle', { c: '@POSTS.0' }], d: 1 }, lookup))
+      .toEqual({ a: 'USERS:john', b: ['@handle', { c: 'POSTS:0' }], d: 1 })
+    expect(() => resolveReferences({ a: '@john' }, lookup)).toThrow(ValidationError)
+  })
+})
+
+describe('loadFixtures', () => {
+  it('seeds collections through initializers and resolves references in any order', async () => {
+    const directory = generateDirectory({
+      'POSTS.json': JSON.stringify({
+        reply: { title: 'Re: hello', authorId: '@USERS.jane', replyTo: '@POSTS.hello' },
+        hello: { title: 'hello', authorId: '@USERS.john' }
+      }),
+      'USERS.js': "module.exports = { john: { name: 'john' }, jane: { name: 'jane', handle: '@@jane' } }\n",
+      'README.md': 'not a fixture'
+    })
+    const fixtures = await loadFixtures(directory, { definitions })
+    expect(fixtures.db.getCollection('POSTS').count()).toBe(2)
+    expect(fixtures.get('POSTS', 'hello').authorId).toBe(fixtures.id('USERS', 'john'))
+    expect(fixtures.get('POSTS', 'reply').replyTo).toBe(fixtures.id('POSTS', 'hello'))
+    expect(fixtures.get('USERS', 'jane').handle).toBe('@jane')
+    expect(() => fixtures.id('USERS', 'jim')).toThrow(ValidationError)
+  })
+  it('resets to seeded state without reading files again', async () => {
+    const directory = generateDirectory({ 'USERS.json': JSON.stringify([{ name: 'john' }, { name: 'jane' }]) })
+    const fixtures = await loadFixtures(directory, { definitions: _.pick(definitions, 'USERS') })
+    rimraf.sync(directory)
+
+    const users = fixtures.db.getCollection('USERS')
+    users.removeByID(fixtures.id('USERS', 0))
+    users.validateAndInsert({ name: 'jim' })
+    fixtures.db.addCollection('EXTRA')
+
+    fixtures.reset()
+    const resetUsers = fixtures.db.getCollection('USERS')
+    expect(resetUsers.find().map(user => user.name)).toEqual(['john', 'jane'])
+    expect(fixtures.db.getCollection('EXTRA')).toBeNull()
+    expect(() => resetUsers.validateAndInsert({ name: 'jane' })).toThrow(ValidationError)
+  })
+  it('uses initializers registered by setup function', async () => {
+    const directory = generateDirectory({ 'TAGS.json': JSON.stringify({ a: { slug: 'a' } }) })
+    const setup = db => Initializer(db, 'TAGS', ['slug']).initialize()
+    const fixtures = await loadFixtures(directory, { setup })
+    expect(fixtures.get('TAGS', 'a').slug).toBe('a')
+  })
+  it('waits for each insert when insert middleware returns promise', async () => {
+    const directory = generateDirectory({
+      'POSTS.json': JSON.stringify({ hello: { title: 'hello', authorId: '@USERS.john' } }),
+      'USERS.json': JSON.stringify({ john: { name: 'john' } })
+    })
+    const setup = (db) => {
+      const delay = doc => new Promise(resolve => setTimeout(() => resolve(Object.assign(doc, { seeded: true })), 5))
+      db.getCollection('USERS').before('insert', delay)
+      db.getCollection('POSTS').before('insert', delay)
+    }
+    const fixtures = await loadFixtures(directory, { definitions, setup })
+    expect(fixtures.get('POSTS', 'hello')).toMatchObject({ authorId: fixtures.id('USERS', 'john'), seeded: true })
+    expect(fixtures.get('USERS', 'john').seeded).toBe(true)
+  })
+  it('rejects unknown and circular references, invalid fixtures and collections without initializer', async () => {
+    const load = files => loadFixtures(generateDirectory(files), { definitions })
+    await expect(load({ 'POSTS.json': '{"a":{"title":"a","authorId":"@USERS.nobody"}}' }))
+      .rejects.toBeInstanceOf(ValidationError)
+    await expect(load({ 'POSTS.json': '{"a":{"title":"a","replyTo":"@POSTS.b"},"b":{"title":"b","replyTo":"@POSTS.a"}}' }))
+      .rejects.toBeInstanceOf(ValidationError)
+    await expect(load({ 'USERS.json': '[{"age":1}]' })).rejects.toBeInstanceOf(ValidationError)
+    await expect(load({ 'TAGS.json': '[{"slug":"a"}]' })).rejects.toBeInstanceOf(ValidationError)
+    await expect(load({ 'USERS.json': '[' })).rejects.toBeInstanceOf(ValidationError)
+  })
+})
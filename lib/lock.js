@@ -0,0 +1,205 @@
+const fs = require('fs')
+const os = require('os')
+const crypto = require('crypto')
+const _ = require('lodash')
+const debug = require('debug')('loki-helper:lock')
+
+const { DatabaseLockedError } = require('./error')
+
+/** Lock of each database */
+const locks = new WeakMap()
+
+/**
+ * Get path to lock file of database file
+ * @param {string} fileName
+ * @return {string}
+ */
+const lockPath = fileName => `${fileName}.lock`
+
+/**
+ * Read owner record of lock file
+ * @param {string} path
+ * @return {object|null|undefined} owner, null if record is unreadable, undefined if lock file not exist
+ */
+const readOwner = (path) => {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'))
+  } catch (error) {
+    return error.code === 'ENOENT' ? undefined : null
+  }
+}
+
+/**
+ * Check if process is running on this host
+ * @param {number} pid
+ * @return {bool}
+ */
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code === 'EPERM'
+  }
+}
+
+/**
+ * Check if lock can be taken over, ie. its owner process on this host is gone or its record is unreadable
+ * Locks owned by processes on other hosts are never stale
+ * @param {object|null|undefined} owner - output of readOwner
+ * @return {bool}
+ */
+const isStale = owner => !owner || (owner.hostname === os.hostname() && !isAlive(owner.pid))
+
+/**
+ * Link complete record into place so that lock file is never seen half written
+ * @param {string} recordPath - file holding complete owner record
+ * @param {string} path - lock file path
+ * @return {bool} true if linked, false if lock file already exists
+ */
+const linkRecord = (recordPath, path) => {
+  try {
+    fs.linkSync(recordPath, path)
+    return true
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error
+    }
+    return false
+  }
+}
+
+/**
+ * Replace stale lock file with own record
+ * Takeovers are serialized through takeover file, so of processes finding the same stale lock only the first
+ * replaces it and the others find lock held by that process, takeover file left by a process which crashed
+ * mid-takeover has to be removed manually
+ * @param {string} path - lock file path
+ * @param {string} recordPath - file holding complete owner record
+ * @param {object} owner - own record
+ * @param {object|null} stale - record of stale lock, null if unreadable
+ * @return {bool} true if lock file holds own record
+ */
+const takeOver = (path, recordPath, owner, stale) => {
+  const takeoverPath = `${path}.takeover`
+  if (!linkRecord(recordPath, takeoverPath)) {
+    return false
+  }
+  try {
+    // Lock file may have been taken over since it was found stale
+    const holder = readOwner(path)
+    const unchanged = holder === stale || Boolean(holder && stale && holder.id === stale.id)
+    if (!_.isUndefined(holder) && !unchanged) {
+      return false
+    }
+    debug(`taking over stale lock ${path}`)
+    try {
+      fs.unlinkSync(path)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+    if (!linkRecord(recordPath, path)) {
+      return false
+    }
+  } finally {
+    fs.unlinkSync(takeoverPath)
+  }
+  const holder = readOwner(path)
+  return Boolean(holder) && holder.id === owner.id
+}
+
+/**
+ * Take exclusive advisory lock on database file
+ * Lock file holding owner PID and host name is created atomically next to database file,
+ * lock left by a process which is no longer running is taken over
+ * @param {string} fileName - database file name
+ * @return {object} lock with mode, path and owner properties
+ * @throws {DatabaseLockedError} lock is held by another database
+ */
+const acquireLock = (fileName) => {
+  const path = lockPath(fileName)
+  const owner = {
+    id: crypto.randomBytes(8).toString('hex'),
+    pid: process.pid,
+    hostname: os.hostname(),
+    createdAt: Date.now()
+  }
+
+  const recordPath = `${path}.${owner.id}.tmp`
+  fs.writeFileSync(recordPath, JSON.stringify(owner))
+  try {
+    if (!linkRecord(recordPath, path)) {
+      const stale = readOwner(path)
+      if (!isStale(stale) || !takeOver(path, recordPath, owner, stale)) {
+        const holder = readOwner(path)
+        throw new DatabaseLockedError(`database ${fileName} is locked by process ${holder ? holder.pid : 'unknown'}`, {
+          lockPath: path,
+          holder
+        })
+      }
+    }
+  } finally {
+    fs.unlinkSync(recordPath)
+  }
+  debug(`locked ${fileName}`)
+  return { mode: 'exclusive', path, owner }
+}
+
+/**
+ * Release exclusive lock of database, lock file is removed only if it is still owned by database
+ * @param {Loki} db
+ * @return {bool} true if database held exclusive lock
+ */
+const releaseLock = (db) => {
+  const lock = locks.get(db)
+  if (!lock || lock.mode !== 'exclusive') {
+    return false
+  }
+  const holder = readOwner(lock.path)
+  if (holder && holder.id === lock.owner.id) {
+    fs.unlinkSync(lock.path)
+    debug(`released ${lock.path}`)
+  }
+  process.removeListener('exit', lock.exitHandler)
+  locks.delete(db)
+  return true
+}
+
+/**
+ * Associate lock with database, exclusive lock is released on process exit if not released earlier
+ * @param {Loki} db
+ * @param {object} lock - output of acquireLock, or object with mode 'read-only' for database opened without lock
+ */
+const registerLock = (db, lock) => {
+  const exitHandler = () => releaseLock(db)
+  if (lock.mode === 'exclusive') {
+    process.on('exit', exitHandler)
+  }
+  locks.set(db, Object.assign({ exitHandler }, lock))
+}
+
+/**
+ * Get lock of database
+ * @param {Loki} db
+ * @return {object|undefined} lock with mode, and path and owner if exclusive
+ */
+const lockOf = db => locks.get(db)
+
+/**
+ * Check if database is opened read-only
+ * @param {Loki} db
+ * @return {bool}
+ */
+const isReadOnly = (db) => {
+  const lock = locks.get(db)
+  return Boolean(lock) && lock.mode === 'read-only'
+}
+
+module.exports.lockPath = lockPath
+module.exports.acquireLock = acquireLock
+module.exports.registerLock = registerLock
+module.exports.lockOf = lockOf
+module.exports.isReadOnly = isReadOnly
+module.exports.releaseLock = releaseLock
@@ -0,0 +1,129 @@
+/* eslint-env jest */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const rimraf = require('rimraf')
+const { createPersistingDB } = require('./db')
+const { DatabaseLockedError, ValidationError } = require('./error')
+const { lockPath, lockOf } = require('./lock')
+
+const tempDir = path.resolve('.', '.temp-lock')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}lock-test-${count++}`
+})()
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('database lock', () => {
+  it('writes lock file with owner PID', async () => {
+    const fileName = generateFileName()
+    const db = createPersistingDB(fileName, { lock: true })
+    const owner = JSON.parse(fs.readFileSync(lockPath(fileName), 'utf8'))
+    expect(owner.pid).toBe(process.pid)
+    expect(owner.hostname).toBe(os.hostname())
+    expect(lockOf(db).mode).toBe('exclusive')
+    await db.close()
+  })
+
+  it('rejects second database while lock is held', async () => {
+    const fileName = generateFileName()
+    const db = createPersistingDB(fileName, { lock: true })
+    expect(() => createPersistingDB(fileName, { lock: true })).toThrow(DatabaseLockedError)
+    await db.close()
+  })
+
+  it('releases lock on close and on delete', async () => {
+    const fileName = generateFileName()
+    const db = createPersistingDB(fileName, { lock: true })
+    db.addCollection('items').insert({ name: 'a' })
+    await db.close()
+    expect(fs.existsSync(lockPath(fileName))).toBe(false)
+    expect(fs.existsSync(fileName)).toBe(true)
+
+    const reopened = createPersistingDB(fileName, { lock: true })
+    await reopened.deleteDatabasePromise()
+    expect(fs.existsSync(lockPath(fileName))).toBe(false)
+  })
+
+  it('takes over lock of process no longer running', async () => {
+    const fileName = generateFileName()
+    // PIDs are capped well below this on every supported platform
+    const owner = { id: 'stale', pid: 2 ** 30, hostname: os.hostname(), createdAt: Date.now() }
+    fs.writeFileSync(lockPath(fileName), JSON.stringify(owner))
+    const db = createPersistingDB(fileName, { lock: true })
+    expect(JSON.parse(fs.readFileSync(lockPath(fileName), 'utf8')).pid).toBe(process.pid)
+    await db.close()
+  })
+
+  it('leaves stale lock to process which took it over first', () => {
+    const fileName = generateFileName()
+    const stale = { id: 'stale', pid: 2 ** 30, hostname: os.hostname(), createdAt: Date.now() }
+    const rival = { id: 'rival', pid: process.pid, hostname: os.hostname(), createdAt: Date.now() }
+    fs.writeFileSync(lockPath(fileName), JSON.stringify(stale))
+    // Rival process completes takeover after this one found lock stale
+    const linkSync = fs.linkSync
+    const spy = jest.spyOn(fs, 'linkSync').mockImplementation((existingPath, newPath) => {
+      if (newPath.endsWith('.takeover')) {
+        fs.writeFileSync(lockPath(fileName), JSON.stringify(rival))
+      }
+      return linkSync(existingPath, newPath)
+    })
+    try {
+      expect(() => createPersistingDB(fileName, { lock: true })).toThrow(DatabaseLockedError)
+    } finally {
+      spy.mockRestore()
+    }
+    expect(JSON.parse(fs.readFileSync(lockPath(fileName), 'utf8')).id).toBe('rival')
+    expect(fs.readdirSync(tempDir).filter(name => name.startsWith(path.basename(fileName)))).toEqual([
+      path.basename(lockPath(fileName))
+    ])
+  })
+
+  it('does not take over stale lock while another takeover is in progress', () => {
+    const fileName = generateFileName()
+    const stale = { id: 'stale', pid: 2 ** 30, hostname: os.hostname(), createdAt: Date.now() }
+    fs.writeFileSync(lockPath(fileName), JSON.stringify(stale))
+    fs.writeFileSync(`${lockPath(fileName)}.takeover`, JSON.stringify(stale))
+    expect(() => createPersistingDB(fileName, { lock: true })).toThrow(DatabaseLockedError)
+    expect(JSON.parse(fs.readFileSync(lockPath(fileName), 'utf8')).id).toBe('stale')
+  })
+
+  it('keeps lock of process on another host', () => {
+    const fileName = generateFileName()
+    const owner = { id: 'remote', pid: 2 ** 30, hostname: `not-${os.hostname()}`, createdAt: Date.now() }
+    fs.writeFileSync(lockPath(fileName), JSON.stringify(owner))
+    expect(() => createPersistingDB(fileName, { lock: true })).toThrow(DatabaseLockedError)
+  })
+})
+
+describe('read-only database', () => {
+  it('loads database held by another database but never writes it', async () => {
+    const fileName = generateFileName()
+    const primary = createPersistingDB(fileName, { lock: true })
+    primary.addCollection('items').insert({ name: 'a' })
+    await primary.saveDatabasePromise()
+
+    const secondary = createPersistingDB(fileName, { readOnly: true })
+    await secondary.loadDatabasePromise()
+    expect(secondary.getCollection('items').count()).toBe(1)
+    secondary.getCollection('items').insert({ name: 'b' })
+    await expect(secondary.saveDatabasePromise()).rejects.toBeInstanceOf(DatabaseLockedError)
+    await expect(secondary.deleteDatabasePromise()).rejects.toBeInstanceOf(DatabaseLockedError)
+    await secondary.close()
+
+    expect(fs.existsSync(lockPath(fileName))).toBe(true)
+    await primary.close()
+  })
+
+  it('rejects read-only database with lock or autosave', () => {
+    expect(() => createPersistingDB(generateFileName(), { readOnly: true, lock: true })).toThrow(ValidationError)
+    expect(() => createPersistingDB(generateFileName(), { readOnly: true, autosave: true })).toThrow(ValidationError)
+  })
+})
@@ -0,0 +1,411 @@
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:merge')
+
+const { diff } = require('./audit')
+const { indexedProperties, initializersOf, uniqueProperties } = require('./collection')
+const { ConflictError, ValidationError } = require('./error')
+const { stripLokiProperties } = require('./object')
+const { transaction } = require('./transaction')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const diffOptions = Joi.object().keys({
+    keys: Joi.object().pattern(/.*/, Joi.string()),
+    collections: Joi.array().items(Joi.string()),
+    includeInternal: Joi.bool().default(false)
+  })
+  const mergeOptions = Joi.object().keys({
+    conflict: Joi.string()
+      .valid(['fail', 'skip', 'overwrite'])
+      .default('fail'),
+    actor: Joi.any()
+  })
+
+  return {
+    diffOptions,
+    mergeOptions
+  }
+})()
+
+/**
+ * Compare two lists of property names
+ * @param {string[]} before
+ * @param {string[]} after
+ * @return {object} added and removed property names
+ */
+const compareNames = (before, after) => ({
+  added: _.difference(after, before),
+  removed: _.difference(before, after)
+})
+
+/**
+ * Copy object without meta, keeping $loki so that it can be matched
+ * @param {object} doc
+ * @return {object}
+ */
+const copyDocument = doc => _.omit(_.cloneDeep(doc), ['meta'])
+
+/**
+ * Check if two objects hold the same data regardless of Loki properties
+ * @param {object} doc
+ * @param {object} other
+ * @return {bool}
+ */
+const sameData = (doc, other) => _.isEqual(stripLokiProperties(doc), stripLokiProperties(other))
+
+/**
+ * Index objects by value of match key, objects without value are left out as they cannot be matched
+ * @param {object[]} docs
+ * @param {string} key
+ * @return {Map} objects keyed by value
+ */
+const indexBy = (docs, key) => new Map(docs
+  .filter(doc => !_.isNil(doc[key]))
+  .map(doc => [doc[key], doc]))
+
+/**
+ * Get reference declarations of collection, from initializer of either database
+ * @param {Loki[]} dbs - databases to search in order
+ * @param {string} collectionName
+ * @return {object} normalized reference declarations keyed by referencing property
+ */
+const declaredReferences = (dbs, collectionName) => {
+  const initializer = _.flatMap(dbs, initializersOf).find(found => found.collectionName === collectionName)
+  return initializer ? initializer.references : {}
+}
+
+/**
+ * Record match key values of objects referenced by object, so that merge can translate references into ids
+ * of target database
+ * @param {Loki} db - database containing object
+ * @param {object} references - normalized reference declarations of collection
+ * @param {object} keys - match keys keyed by collection name, default to $loki
+ * @param {object} doc
+ * @return {object} referenced collection name, match key and its value, null if referenced object not exist,
+ * keyed by referencing property which is set
+ */
+const referencedKeys = (db, references, keys, doc) => _.pickBy(_.mapValues(references, ({ collection }, property) => {
+  if (_.isNil(doc[property])) {
+    return undefined
+  }
+  const key = _.get(keys, collection, '$loki')
+  const referencedCollection = db.getCollection(collection)
+  const referenced = referencedCollection ? referencedCollection.get(doc[property]) : null
+  return { collection, key, value: referenced ? _.get(referenced, key, null) : null }
+}))
+
+/**
+ * Copy object without Loki properties, with references replaced by match key values of referenced objects,
+ * so that objects of two databases can be compared regardless of their ids
+ * @param {object} doc
+ * @param {object} references - output of referencedKeys for object
+ * @return {object}
+ */
+const comparable = (doc, references) => Object.assign(stripLokiProperties(doc), _.mapValues(references, 'value'))
+
+/**
+ * Compute difference between same collection of two databases
+ * @param {Loki.Collection|null} before - collection in first database, null if not exist
+ * @param {Loki.Collection|null} after - collection in second database, null if not exist
+ * @param {string} key - property used to match objects
+ * @param {object} referenced - functions receiving object of first (before) or second (after) database
+ * and returning its referencedKeys
+ * @return {object} collection diff
+ */
+const diffCollection = (before, after, key, referenced) => {
+  const beforeDocs = before ? before.data : []
+  const afterDocs = after ? after.data : []
+  const beforeIndex = indexBy(beforeDocs, key)
+  const afterIndex = indexBy(afterDocs, key)
+  const entry = (matchKey, beforeDoc, afterDoc) => ({
+    key: matchKey,
+    before: beforeDoc ? copyDocument(beforeDoc) : null,
+    after: afterDoc ? copyDocument(afterDoc) : null,
+    references: afterDoc ? referenced.after(afterDoc) : {}
+  })
+
+  const documents = { added: [], removed: [], changed: [] }
+  let unchanged = 0
+  beforeDocs.forEach((doc) => {
+    const matched = _.isNil(doc[key]) ? undefined : afterIndex.get(doc[key])
+    if (!matched) {
+      documents.removed.push(entry(doc[key], doc, null))
+      return
+    }
+    const matchedReferences = referenced.after(matched)
+    const { set, unset } = diff(comparable(doc, referenced.before(doc)), comparable(matched, matchedReferences))
+    if (_.isEmpty(set) && unset.length === 0) {
+      unchanged++
+    } else {
+      // Changed references are reported with ids of second database, as in after copy
+      const changes = {
+        set: _.mapValues(set, (value, property) => _.has(matchedReferences, property) ? matched[property] : value),
+        unset
+      }
+      documents.changed.push(Object.assign(entry(doc[key], doc, matched), { changes }))
+    }
+  })
+  afterDocs
+    .filter(doc => _.isNil(doc[key]) || !beforeIndex.has(doc[key]))
+    .forEach(doc => documents.added.push(entry(doc[key], null, doc)))
+
+  const constraints = {
+    unique: compareNames(before ? uniqueProperties(before) : [], after ? uniqueProperties(after) : []),
+    indices: compareNames(before ? indexedProperties(before) : [], after ? indexedProperties(after) : [])
+  }
+  const identical = !!before === !!after &&
+    _.every(constraints, ({ added, removed }) => added.length === 0 && removed.length === 0) &&
+    _.every(documents, docs => docs.length === 0)
+  return {
+    presence: !before ? 'added' : !after ? 'removed' : 'both',
+    key,
+    identical,
+    constraints,
+    documents,
+    unchanged
+  }
+}
+
+/**
+ * Compute difference between two databases, ie. what has to change for first database to match second one
+ * Objects are matched by $loki, or by configured unique key, and compared without Loki properties,
+ * references declared by initializers are compared by match key of referenced objects
+ * @param {Loki} a - base database
+ * @param {Loki} b - database to compare with base database
+ * @param {object} _options
+ * @param {object} _options.keys - property matching objects of each collection keyed by collection name,
+ * default to $loki
+ * @param {string[]} _options.collections - names of collections to compare, default to collections of both databases
+ * @param {bool} _options.includeInternal - also compare collections whose name begins with underscore,
+ * eg. schema versions and audit trails
+ * @return {object} diff with identical flag and collection diffs keyed by collection name, each with presence
+ * ('both', 'added' or 'removed'), match key, identical flag, added and removed unique and indexed properties,
+ * added, removed and changed objects with key, before and after copies and match keys of objects referenced
+ * by after copy (see referencedKeys), and number of unchanged objects
+ * @throws {ValidationError} invalid options
+ */
+const diffDatabases = (a, b, _options = {}) => {
+  const { error, value: options } = Schema.diffOptions.validate(_options)
+  if (error) {
+    throw new ValidationError('invalid diff options', _.pick(error, ['details', 'anotate']))
+  }
+  const collectionNames = options.collections ||
+    _.uniq(a.collections.concat(b.collections).map(collection => collection.name))
+      .filter(name => options.includeInternal || !name.startsWith('_'))
+
+  const collections = _.fromPairs(collectionNames.map((name) => {
+    const references = declaredReferences([b, a], name)
+    return [name, diffCollection(a.getCollection(name), b.getCollection(name), _.get(options.keys, name, '$loki'), {
+      before: doc => referencedKeys(a, references, options.keys, doc),
+      after: doc => referencedKeys(b, references, options.keys, doc)
+    })]
+  }))
+  return {
+    identical: _.every(collections, collection => collection.identical),
+    collections
+  }
+}
+
+/**
+ * Find object of collection matching diff entry
+ * @param {Loki.Collection} collection
+ * @param {string} key - match key
+ * @param {any} value - match key value
+ * @return {object|null}
+ */
+const findMatch = (collection, key, value) => {
+  if (_.isNil(value)) {
+    return null
+  }
+  return (key === '$loki' ? collection.get(value) : collection.findOne({ [key]: value })) || null
+}
+
+/**
+ * Copy after copy of diff entry with references translated into ids of target database
+ * Referenced object is looked up among objects written by merge first, then by its match key
+ * @param {Loki} db - target database
+ * @param {Map} ids - ids of objects written by merge keyed by collection name, each mapping $loki
+ * in second database to $loki in target database
+ * @param {string} collectionName - collection containing object
+ * @param {object} entry - diff entry
+ * @return {object} object without Loki properties
+ * @throws {ValidationError} referenced object not exist in target database
+ */
+const translateReferences = (db, ids, collectionName, entry) => {
+  const doc = stripLokiProperties(entry.after)
+  _.forEach(entry.references, ({ collection, key, value }, property) => {
+    const written = ids.has(collection) ? ids.get(collection).get(doc[property]) : undefined
+    const referencedCollection = db.getCollection(collection)
+    const found = written || (referencedCollection ? _.get(findMatch(referencedCollection, key, value), '$loki') : undefined)
+    if (!found) {
+      const message = `referenced ${collection} object ${value} of ${collectionName}.${property} not exist`
+      throw new ValidationError(`cannot translate reference of object ${entry.key}: ${message}`, {
+        collectionName,
+        key: property,
+        value
+      })
+    }
+    doc[property] = found
+  })
+  return doc
+}
+
+/**
+ * Prepare applying document changes of one collection diff
+ * Removals and writes are applied separately, so that objects are removed before objects they reference
+ * and written after them
+ * @param {Loki} db - target database
+ * @param {Loki.Collection} collection - collection initialized by Initializer
+ * @param {object} collectionDiff - output of diffCollection
+ * @param {object} options - validated merge options
+ * @param {object} report - merge report to fill
+ * @param {Map} ids - ids of objects written by merge, see translateReferences
+ * @return {object} functions applying removals and writes
+ */
+const mergeCollection = (db, collection, collectionDiff, { conflict, actor }, report, ids) => {
+  const { key, documents } = collectionDiff
+  const counts = { inserted: 0, updated: 0, removed: 0 }
+  report.applied[collection.name] = counts
+  ids.set(collection.name, new Map())
+
+  // Settle entry whose target object is not in expected state, returns true if it should still be applied
+  const resolve = (operation, entry, current) => {
+    const details = {
+      collectionName: collection.name,
+      key: entry.key,
+      operation,
+      current: current ? copyDocument(current) : null
+    }
+    if (conflict === 'fail') {
+      throw new ConflictError(`${collection.name} object ${entry.key} has changed since diff was computed`, details)
+    }
+    report.conflicts.push(Object.assign(details, { resolution: conflict }))
+    return conflict === 'overwrite'
+  }
+  const write = (current, doc, entry) => {
+    let written
+    if (current) {
+      written = collection.validateAndReplace(Object.assign(doc, { $loki: current.$loki }), { actor })
+      counts.updated++
+    } else {
+      written = collection.validateAndInsert(doc, { actor })
+      counts.inserted++
+    }
+    ids.get(collection.name).set(entry.after.$loki, written.$loki)
+  }
+  const translate = entry => translateReferences(db, ids, collection.name, entry)
+
+  return {
+    removeDocuments () {
+      documents.removed.forEach((entry) => {
+        const current = findMatch(collection, key, entry.key)
+        if (current && (sameData(current, entry.before) || resolve('remove', entry, current))) {
+          try {
+            collection.removeByID(current.$loki, { actor })
+            counts.removed++
+          } catch (error) {
+            // Already marked as deleted in soft delete mode
+            if (error.name !== 'ObjectNotFoundError') {
+              throw error
+            }
+          }
+        }
+      })
+    },
+    writeDocuments () {
+      documents.changed.forEach((entry) => {
+        const current = findMatch(collection, key, entry.key)
+        const after = translate(entry)
+        if (current && sameData(current, after)) {
+          return
+        }
+        if ((current && sameData(current, entry.before)) || resolve('change', entry, current)) {
+          write(current, after, entry)
+        }
+      })
+      documents.added.forEach((entry) => {
+        const current = findMatch(collection, key, entry.key)
+        const after = translate(entry)
+        if (current && sameData(current, after)) {
+          return
+        }
+        if (!current || resolve('add', entry, current)) {
+          write(current, after, entry)
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Order collections so that each one comes after collections it references, as far as reference cycles allow
+ * @param {Loki} db
+ * @param {string[]} collectionNames
+ * @return {string[]}
+ */
+const referenceOrder = (db, collectionNames) => {
+  const ordered = []
+  const visited = new Set()
+  const visit = (name) => {
+    if (visited.has(name)) {
+      return
+    }
+    visited.add(name)
+    _.uniq(_.map(declaredReferences([db], name), 'collection'))
+      .filter(referenced => collectionNames.includes(referenced))
+      .forEach(visit)
+    ordered.push(name)
+  }
+  collectionNames.forEach(visit)
+  return ordered
+}
+
+/**
+ * Apply diff to database through validated write paths, ie. validateAndInsert, validateAndReplace and removeByID
+ * Target object which is no longer in the state recorded in diff is a conflict, settled by conflict option
+ * Changes are applied all at once, any error reverts every collection
+ * Constraint differences are reported by diff only, as constraints are owned by collection initializers
+ * Inserted objects get new $loki, match by unique key to keep merging the same databases
+ * Declared references are translated into ids of target database, through objects written by merge
+ * or match key of referenced collection
+ * @param {Loki} db - target database, usually first database given to diffDatabases
+ * @param {object} databaseDiff - output of diffDatabases
+ * @param {object} _options
+ * @param {string} _options.conflict - 'fail' (default) throws ConflictError, 'skip' keeps target object,
+ * 'overwrite' applies diff anyway
+ * @param {any} _options.actor - identity of who made the change for audit trail
+ * @return {object} report with inserted, updated and removed counts keyed by collection name,
+ * and conflicts with collection name, key, operation, current target object and resolution
+ * @throws {ValidationError} invalid options, changed collection is not initialized by Initializer,
+ * referenced object not exist in target database or object fails validation
+ * @throws {ConflictError} conflict in fail mode
+ */
+const mergeDatabases = (db, databaseDiff, _options = {}) => {
+  const { error, value: options } = Schema.mergeOptions.validate(_options)
+  if (error) {
+    throw new ValidationError('invalid merge options', _.pick(error, ['details', 'anotate']))
+  }
+  const changed = _.pickBy(databaseDiff.collections, ({ documents }) => _.some(documents, docs => docs.length > 0))
+  const collections = _.mapValues(changed, (collectionDiff, collectionName) => {
+    const collection = db.getCollection(collectionName)
+    if (!collection || !_.isFunction(collection.validateAndInsert)) {
+      throw new ValidationError(`collection ${collectionName} is not initialized by Initializer`, { collectionName })
+    }
+    return collection
+  })
+
+  const report = { applied: {}, conflicts: [] }
+  const ids = new Map()
+  const merges = referenceOrder(db, Object.keys(changed)).map(collectionName =>
+    mergeCollection(db, collections[collectionName], changed[collectionName], options, report, ids))
+  transaction(db.collections.slice(), () => {
+    merges.slice().reverse().forEach(({ removeDocuments }) => removeDocuments())
+    merges.forEach(({ writeDocuments }) => writeDocuments())
+  })
+  debug(`merged ${Object.keys(changed).length} collections, ${report.conflicts.length} conflicts`)
+  return report
+}
+
+module.exports.diffDatabases = diffDatabases
+module.exports.mergeDatabases = mergeDatabases
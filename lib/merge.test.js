@@ -0,0 +1,163 @@
+/* eslint-env jest */
+const Joi = require('joi')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ConflictError, ValidationError } = require('./error')
+const { diffDatabases, mergeDatabases } = require('./merge')
+
+const objectSchema = Joi.object()
+  .keys({
+    slug: Joi.string().required(),
+    rank: Joi.number()
+  })
+  .unknown()
+const open = (name, options = {}) => {
+  const db = createInMemoryOnlyDB(name)
+  Initializer(db, 'ITEMS', ['slug'], undefined, objectSchema, options).initialize()
+  return db
+}
+const prepare = () => {
+  const staging = open('staging', { collectionOptions: { indices: ['rank'] } })
+  const production = open('production')
+  ;[{ slug: 'a', rank: 1 }, { slug: 'b', rank: 2 }, { slug: 'c', rank: 3 }].forEach((doc) => {
+    production.getCollection('ITEMS').validateAndInsert(doc)
+  })
+  ;[{ slug: 'b', rank: 20 }, { slug: 'c', rank: 3 }, { slug: 'd', rank: 4 }].forEach((doc) => {
+    staging.getCollection('ITEMS').validateAndInsert(doc)
+  })
+  return { staging, production }
+}
+const slugs = db => db.getCollection('ITEMS').find().map(doc => `${doc.slug}:${doc.rank}`).sort()
+
+describe('diff', () => {
+  it('reports constraint and object differences matched by unique key', () => {
+    const { staging, production } = prepare()
+    const { identical, collections } = diffDatabases(production, staging, { keys: { ITEMS: 'slug' } })
+    expect(identical).toBe(false)
+    expect(Object.keys(collections)).toEqual(['ITEMS'])
+
+    const { presence, constraints, documents, unchanged } = collections.ITEMS
+    expect(presence).toBe('both')
+    expect(constraints.unique).toEqual({ added: [], removed: [] })
+    expect(constraints.indices).toEqual({ added: ['rank'], removed: [] })
+    expect(documents.added.map(entry => entry.key)).toEqual(['d'])
+    expect(documents.removed.map(entry => entry.key)).toEqual(['a'])
+    expect(documents.changed).toHaveLength(1)
+    expect(documents.changed[0]).toMatchObject({ key: 'b', changes: { set: { rank: 20 }, unset: [] } })
+    expect(documents.changed[0].before.meta).toBeUndefined()
+    expect(unchanged).toBe(1)
+  })
+  it('matches objects by $loki by default and reports missing collections', () => {
+    const { staging, production } = prepare()
+    production.addCollection('ONLY_PRODUCTION').insert({ value: 1 })
+    const { collections } = diffDatabases(production, staging)
+    expect(collections.ITEMS.documents.changed.map(entry => entry.key)).toEqual([1, 2, 3])
+    expect(collections.ONLY_PRODUCTION.presence).toBe('removed')
+    expect(collections.ONLY_PRODUCTION.documents.removed).toHaveLength(1)
+    expect(collections._SCHEMA_VERSIONS).toBeUndefined()
+  })
+  it('reports identical databases', () => {
+    const { production } = prepare()
+    const copy = open('copy')
+    production.getCollection('ITEMS').find().forEach(doc => copy.getCollection('ITEMS').validateAndInsert({
+      slug: doc.slug,
+      rank: doc.rank
+    }))
+    expect(diffDatabases(production, copy).identical).toBe(true)
+    expect(() => diffDatabases(production, copy, { keys: { ITEMS: 1 } })).toThrow(ValidationError)
+  })
+})
+
+describe('merge', () => {
+  it('applies diff through validated write paths', () => {
+    const { staging, production } = prepare()
+    const report = production.merge(production.diff(staging, { keys: { ITEMS: 'slug' } }), { actor: 'sync' })
+    expect(report).toEqual({ applied: { ITEMS: { inserted: 1, updated: 1, removed: 1 } }, conflicts: [] })
+    expect(slugs(production)).toEqual(['b:20', 'c:3', 'd:4'])
+    expect(production.diff(staging, { keys: { ITEMS: 'slug' } }).collections.ITEMS.unchanged).toBe(3)
+  })
+  it('settles conflicts according to strategy', () => {
+    const { staging, production } = prepare()
+    const diff = diffDatabases(production, staging, { keys: { ITEMS: 'slug' } })
+    const items = production.getCollection('ITEMS')
+    items.validateAndPatch({ $loki: items.by('slug', 'b').$loki, rank: 200 })
+
+    expect(() => mergeDatabases(production, diff)).toThrow(ConflictError)
+    expect(slugs(production)).toEqual(['a:1', 'b:200', 'c:3'])
+
+    const skipped = mergeDatabases(production, diff, { conflict: 'skip' })
+    expect(skipped.conflicts).toMatchObject([{ collectionName: 'ITEMS', key: 'b', operation: 'change', resolution: 'skip' }])
+    expect(slugs(production)).toEqual(['b:200', 'c:3', 'd:4'])
+
+    items.validateAndPatch({ $loki: items.by('slug', 'd').$loki, rank: 40 })
+    const overwritten = mergeDatabases(production, diff, { conflict: 'overwrite' })
+    expect(overwritten.conflicts.map(({ key, operation }) => [key, operation])).toEqual([['b', 'change'], ['d', 'add']])
+    expect(slugs(production)).toEqual(['b:20', 'c:3', 'd:4'])
+  })
+  it('reverts every change if object fails validation', () => {
+    const { staging, production } = prepare()
+    const diff = diffDatabases(production, staging, { keys: { ITEMS: 'slug' } })
+    diff.collections.ITEMS.documents.added[0].after.rank = 'high'
+    expect(() => mergeDatabases(production, diff)).toThrow(ValidationError)
+    expect(slugs(production)).toEqual(['a:1', 'b:2', 'c:3'])
+  })
+  it('runs write middleware and reverts every change if middleware fails or returns promise', () => {
+    const { staging, production } = prepare()
+    const diff = diffDatabases(production, staging, { keys: { ITEMS: 'slug' } })
+    const items = production.getCollection('ITEMS')
+    const unregister = items.after('insert', (doc) => {
+      throw new ValidationError(`${doc.slug} rejected`)
+    })
+    expect(() => mergeDatabases(production, diff)).toThrow('d rejected')
+    expect(slugs(production)).toEqual(['a:1', 'b:2', 'c:3'])
+    unregister()
+
+    const unregisterDelay = items.before('remove', doc => Promise.resolve(doc))
+    expect(() => mergeDatabases(production, diff)).toThrow(TypeError)
+    expect(slugs(production)).toEqual(['a:1', 'b:2', 'c:3'])
+    unregisterDelay()
+
+    const written = []
+    items.before(['insert', 'replace', 'remove'], (doc, { operation }) => {
+      written.push(operation)
+    })
+    const report = mergeDatabases(production, diff)
+    expect(report.applied).toEqual({ ITEMS: { inserted: 1, updated: 1, removed: 1 } })
+    expect(written).toEqual(['remove', 'replace', 'insert'])
+    expect(slugs(production)).toEqual(['b:20', 'c:3', 'd:4'])
+  })
+  it('translates references into ids of target database', () => {
+    const openBlog = (name, users, posts) => {
+      const db = createInMemoryOnlyDB(name)
+      Initializer(db, 'POSTS', ['slug'], undefined, undefined, { references: { authorId: 'USERS' } }).initialize()
+      Initializer(db, 'USERS', ['name']).initialize()
+      const ids = db.getCollection('USERS').insert(users.map(userName => ({ name: userName })))
+        .map(({ $loki }) => $loki)
+      posts.forEach(([slug, author]) => db.getCollection('POSTS').validateAndInsert({ slug, authorId: ids[author] }))
+      return db
+    }
+    const keys = { USERS: 'name', POSTS: 'slug' }
+    const authors = db => db.getCollection('POSTS').find()
+      .map(post => `${post.slug}:${db.getCollection('POSTS').populate(post).author.name}`).sort()
+    const production = openBlog('production', ['john', 'jane'], [['old', 0], ['hello', 1]])
+    const staging = openBlog('staging', ['jane', 'jack'], [['hello', 1], ['new', 0]])
+
+    expect(() => mergeDatabases(production, diffDatabases(production, staging, { keys, collections: ['POSTS'] })))
+      .toThrow(ValidationError)
+    expect(authors(production)).toEqual(['hello:jane', 'old:john'])
+
+    const report = mergeDatabases(production, diffDatabases(production, staging, { keys }))
+    expect(report.applied).toEqual({
+      USERS: { inserted: 1, updated: 0, removed: 1 },
+      POSTS: { inserted: 1, updated: 1, removed: 1 }
+    })
+    expect(authors(production)).toEqual(['hello:jack', 'new:jane'])
+    expect(production.getCollection('USERS').find().map(user => user.name).sort()).toEqual(['jack', 'jane'])
+  })
+  it('rejects collection not initialized by Initializer', () => {
+    const { staging, production } = prepare()
+    staging.addCollection('PLAIN').insert({ value: 1 })
+    production.addCollection('PLAIN')
+    expect(() => production.merge(production.diff(staging))).toThrow(ValidationError)
+  })
+})
@@ -0,0 +1,162 @@
+const _ = require('lodash')
+const Joi = require('joi')
+
+const { ValidationError } = require('./error')
+const { bind } = require('./transaction')
+
+/** Write operations of extended collection which run middleware */
+const OPERATIONS = ['insert', 'replace', 'patch', 'upsert', 'remove']
+
+/** Schema for input validation */
+const Schema = (() => {
+  const operations = Joi.array()
+    .items(Joi.string().valid(OPERATIONS))
+    .single()
+    .unique()
+    .min(1)
+    .required()
+  const middleware = Joi.func().required()
+
+  return {
+    operations,
+    middleware
+  }
+})()
+
+/**
+ * Check if value is promise-like
+ * @param {any} value
+ * @return {bool}
+ */
+const isPromise = value => Boolean(value) && _.isFunction(value.then)
+
+/**
+ * Call function with value, after it resolves if value is promise
+ * @param {any} value
+ * @param {function} fn
+ * @return {any|Promise<any>} return value of function, promise if value is promise
+ */
+const whenResolved = (value, fn) => (isPromise(value) ? value.then(fn) : fn(value))
+
+/**
+ * Resolve array of values of which some may be promises
+ * @param {any[]} values
+ * @return {any[]|Promise<any[]>} values as is, or promise of resolved values if any is promise
+ */
+const resolveAll = values => (values.some(isPromise) ? Promise.all(values) : values)
+
+/**
+ * Run functions one after another, each once value returned by previous one resolves
+ * Functions run as part of transaction running when sequence is called
+ * @param {function[]} steps
+ * @return {any|Promise<any>} return value of last function, promise if any function returns promise
+ */
+const sequence = steps => steps.map(bind).reduce((previous, step) => whenResolved(previous, step), undefined)
+
+/**
+ * Run function and capture its outcome instead of throwing
+ * @param {function} fn - function which may throw or return promise
+ * @return {object|Promise<object>} either value or error, promise if function returns promise
+ */
+const settle = (fn) => {
+  try {
+    const value = fn()
+    return isPromise(value) ? value.then(resolved => ({ value: resolved }), error => ({ error })) : { value }
+  } catch (error) {
+    return { error }
+  }
+}
+
+/**
+ * Create empty middleware registry of collection
+ * @return {object} arrays of middleware keyed by stage (before or after) then by operation
+ */
+const createMiddleware = () => ({
+  before: _.fromPairs(OPERATIONS.map(operation => [operation, []])),
+  after: _.fromPairs(OPERATIONS.map(operation => [operation, []]))
+})
+
+/**
+ * Register middleware for write operations
+ * @param {object} registry - middleware registry of collection
+ * @param {string} stage - before or after
+ * @param {string|string[]} _operations - insert, replace, patch, upsert or remove
+ * @param {function} fn - middleware
+ * @return {function} function unregistering middleware
+ * @throws {ValidationError} unknown operation or middleware is not a function
+ */
+const registerMiddleware = (registry, stage, _operations, fn) => {
+  const { error, value: operations } = Schema.operations.validate(_operations)
+  if (error) {
+    throw new ValidationError(`invalid ${stage} middleware operations`, _.pick(error, ['details', 'anotate']))
+  }
+  if (Schema.middleware.validate(fn).error) {
+    throw new ValidationError(`${stage} middleware must be a function`)
+  }
+  operations.forEach(operation => registry[stage][operation].push(fn))
+  return () => operations.forEach(operation => _.pull(registry[stage][operation], fn))
+}
+
+/**
+ * Wrap middleware so that it throws instead of returning promise, for writes returning written object
+ * Rejection of returned promise is ignored, as the write fails anyway
+ * @param {function[]} middleware
+ * @param {string} description - stage, operation and collection of middleware for error message
+ * @return {function[]} wrapped middleware
+ */
+const requireSynchronous = (middleware, description) => middleware.map(fn => (...args) => {
+  const value = fn(...args)
+  if (isPromise(value)) {
+    value.then(_.noop, _.noop)
+    throw new TypeError(`${description} returned promise, use promise variant of write method`)
+  }
+  return value
+})
+
+/**
+ * Run before middleware in registration order on copy of document
+ * Each middleware receives document returned by previous one and may mutate it, return replacement
+ * or throw to veto the write
+ * @param {function[]} middleware
+ * @param {object} doc
+ * @param {object} context - passed to each middleware
+ * @return {object|Promise<object>} prepared document, promise if any middleware returns promise
+ * @throws {ValidationError} middleware returns neither object nor undefined
+ */
+const runBefore = (middleware, doc, context) => {
+  if (middleware.length === 0) {
+    return doc
+  }
+  return middleware.reduce((prepared, fn) => whenResolved(prepared, current =>
+    whenResolved(fn(current, context), (returned) => {
+      if (_.isUndefined(returned)) {
+        return current
+      }
+      if (!_.isPlainObject(returned)) {
+        throw new ValidationError(`before ${context.operation} middleware must return object or nothing`, {
+          collectionName: context.collectionName
+        })
+      }
+      return returned
+    })), _.cloneDeep(doc))
+}
+
+/**
+ * Run after middleware in registration order, each receiving copy of written document
+ * @param {function[]} middleware
+ * @param {object} doc - written document
+ * @param {object} context - passed to each middleware
+ * @return {object|Promise<object>} written document, promise if any middleware returns promise
+ */
+const runAfter = (middleware, doc, context) => middleware.reduce((previous, fn) =>
+  whenResolved(previous, () => whenResolved(fn(_.cloneDeep(doc), context), () => doc)), doc)
+
+module.exports.whenResolved = whenResolved
+module.exports.resolveAll = resolveAll
+module.exports.sequence = sequence
+module.exports.settle = settle
+module.exports.createMiddleware = createMiddleware
+module.exports.registerMiddleware = registerMiddleware
+module.exports.requireSynchronous = requireSynchronous
+module.exports.runBefore = runBefore
+module.exports.runAfter = runAfter
@@ -0,0 +1,159 @@
+/* eslint-env jest */
+const Joi = require('joi')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ValidationError, ObjectNotFoundError, ConflictError } = require('./error')
+
+const objectSchema = Joi.object()
+  .keys({
+    title: Joi.string().required(),
+    slug: Joi.string(),
+    updatedAt: Joi.number()
+  })
+  .unknown()
+const open = (options) => {
+  const db = createInMemoryOnlyDB('middleware-test')
+  return Initializer(db, 'POSTS', ['slug'], undefined, objectSchema, options).initialize()
+}
+const slugify = (doc) => {
+  doc.slug = doc.title.toLowerCase().replace(/\s+/g, '-')
+}
+
+describe('middleware', () => {
+  it('lets before middleware mutate or replace document', () => {
+    const posts = open()
+    posts.before(['insert', 'replace'], slugify)
+    posts.before('insert', doc => Object.assign({}, doc, { title: doc.title.trim() }))
+    const input = { title: ' Hello World ' }
+    const inserted = posts.validateAndInsert(input)
+    expect(inserted.$loki).toBe(1)
+    expect(inserted.slug).toBe('-hello-world-')
+    expect(inserted.title).toBe('Hello World')
+    expect(input).toEqual({ title: ' Hello World ' })
+    const replaced = posts.validateAndReplace({ $loki: inserted.$loki, title: 'Bye' })
+    expect(replaced.slug).toBe('bye')
+  })
+  it('gives existing object to middleware and lets it veto the write', () => {
+    const posts = open()
+    const contexts = []
+    posts.before(['patch', 'remove'], (doc, context) => {
+      contexts.push(context)
+      if (context.existing.title === 'locked') {
+        throw new ValidationError('post is locked')
+      }
+    })
+    const { $loki: id } = posts.validateAndInsert({ title: 'locked' })
+    expect(() => posts.validateAndPatch({ $loki: id, title: 'open' }, { actor: 'ann' })).toThrow(ValidationError)
+    expect(() => posts.removeByID(id)).toThrow(ValidationError)
+    expect(posts.get(id).title).toBe('locked')
+    expect(contexts[0]).toMatchObject({ operation: 'patch', collectionName: 'POSTS', actor: 'ann' })
+    expect(contexts[0].existing.title).toBe('locked')
+    expect(contexts[1].operation).toBe('remove')
+  })
+  it('rolls back write when after middleware fails', () => {
+    const posts = open()
+    const written = []
+    posts.after('upsert', (doc, context) => {
+      written.push([context.operation, doc.title])
+      if (doc.title === 'bad') {
+        throw new ValidationError('rejected after write')
+      }
+    })
+    const inserted = posts.upsert({ title: 'good' })
+    expect(() => posts.upsert({ title: 'bad' })).toThrow(ValidationError)
+    expect(posts.count()).toBe(1)
+    expect(() => posts.upsert(Object.assign({}, inserted, { title: 'bad' }))).toThrow(ValidationError)
+    expect(posts.get(inserted.$loki).title).toBe('good')
+    expect(written).toEqual([['upsert', 'good'], ['upsert', 'bad'], ['upsert', 'bad']])
+  })
+  it('rolls back every write of transaction when middleware is registered', () => {
+    const posts = open()
+    posts.before('insert', (doc) => {
+      doc.updatedAt = 1
+    })
+    expect(() => posts.transaction((c) => {
+      c.validateAndInsert({ title: 'c' })
+      c.validateAndInsert({})
+    })).toThrow(ValidationError)
+    expect(posts.count()).toBe(0)
+  })
+  it('refuses middleware returning promise in write methods and runs it in their promise variants', async () => {
+    const posts = open()
+    const after = []
+    posts.before('insert', doc => Promise.resolve(Object.assign(doc, { updatedAt: 1 })))
+    posts.after('insert', doc => Promise.resolve().then(() => after.push(doc.$loki)))
+    expect(() => posts.validateAndInsert({ title: 'sync' })).toThrow(TypeError)
+    expect(() => posts.validateAndInsertMany([{ title: 'sync' }])).toThrow(TypeError)
+    expect(posts.count()).toBe(0)
+
+    const inserted = await posts.validateAndInsertPromise({ title: 'async' })
+    expect(inserted.updatedAt).toBe(1)
+    expect(after).toEqual([inserted.$loki])
+    const report = await posts.validateAndInsertManyPromise([{ title: 'a' }, { title: 'b' }])
+    expect(report.inserted.length).toBe(2)
+    expect(posts.count()).toBe(3)
+  })
+  it('keeps concurrent writes when after middleware of another write fails', async () => {
+    const posts = open()
+    posts.after('insert', doc => new Promise((resolve, reject) => setTimeout(() => {
+      if (doc.title === 'bad') {
+        reject(new ValidationError('rejected after write'))
+      } else {
+        resolve()
+      }
+    }, doc.title === 'bad' ? 10 : 0)))
+    const failing = posts.validateAndInsertPromise({ title: 'bad' })
+    const inserted = await posts.validateAndInsertPromise({ title: 'good' })
+    expect(inserted.$loki).toBe(2)
+    await expect(failing).rejects.toThrow(ValidationError)
+    expect(posts.find().map(doc => doc.title)).toEqual(['good'])
+  })
+  it('rolls back writes of promise variants made through collection passed to transaction', async () => {
+    const posts = open()
+    posts.before('insert', doc => Promise.resolve(doc))
+    await expect(posts.transaction(c => c.validateAndInsertPromise({ title: 'a' })
+      .then(() => c.validateAndInsertPromise({})))).rejects.toThrow(ValidationError)
+    expect(posts.count()).toBe(0)
+  })
+  it('always returns promise from promise variants, rejecting every failure', async () => {
+    const posts = open()
+    const { $loki: id } = posts.validateAndInsert({ title: 'a' })
+    const missing = posts.removeByIDPromise(42)
+    expect(missing).toBeInstanceOf(Promise)
+    await expect(missing).rejects.toThrow(ObjectNotFoundError)
+    await expect(posts.validateAndReplacePromise({ $loki: id, title: 'b' }, { revision: 7 })).rejects.toThrow(ConflictError)
+    await expect(posts.validateAndInsertManyPromise([{ title: 'c' }], { mode: 'some' })).rejects.toThrow(ValidationError)
+    expect((await posts.validateAndPatchPromise({ $loki: id, title: 'b' })).title).toBe('b')
+    expect((await posts.upsertPromise({ title: 'c' })).title).toBe('c')
+    expect(await posts.removeByPromise('slug', 'none')).toBeUndefined()
+    expect((await posts.removeByIDPromise(id)).title).toBe('b')
+  })
+  it('rejects objects of batch vetoed by before middleware', () => {
+    const posts = open()
+    posts.before('insert', (doc) => {
+      if (doc.title === 'spam') {
+        throw new ValidationError('spam')
+      }
+      slugify(doc)
+    })
+    const report = posts.validateAndInsertMany([{ title: 'ok' }, { title: 'spam' }, { title: 'OK' }], {
+      mode: 'partial'
+    })
+    expect(report.inserted.map(({ index }) => index)).toEqual([0])
+    expect(report.rejected.map(({ index }) => index)).toEqual([1, 2])
+    expect(report.rejected[1].error.message).toMatch(/slug/)
+  })
+  it('unregisters middleware and rejects invalid registration', () => {
+    const posts = open()
+    const unregister = posts.before('insert', () => {
+      throw new ValidationError('blocked')
+    })
+    expect(() => posts.validateAndInsert({ title: 'a' })).toThrow(ValidationError)
+    unregister()
+    expect(posts.validateAndInsert({ title: 'a' }).title).toBe('a')
+    expect(() => posts.before('purge', () => {})).toThrow(ValidationError)
+    expect(() => posts.after('insert', 'not a function')).toThrow(ValidationError)
+    posts.before('insert', () => 'not an object')
+    expect(() => posts.validateAndInsert({ title: 'b' })).toThrow(ValidationError)
+  })
+})
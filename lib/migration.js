@@ -0,0 +1,103 @@
+const _ = require('lodash')
+const debug = require('debug')('loki-helper:migration')
+
+const { MigrationError } = require('./error')
+
+/** Name of collection recording schema version of each collection */
+const VERSION_COLLECTION = '_SCHEMA_VERSIONS'
+
+/**
+ * Get latest version among given migrations
+ * @param {object[]} migrations
+ * @return {number} 0 if there is no migration
+ */
+const latestVersion = migrations => migrations.reduce((max, { version }) => Math.max(max, version), 0)
+
+/**
+ * Get schema version recorded for collection
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @return {number} 0 if no version has been recorded
+ */
+const getSchemaVersion = (db, collectionName) => {
+  const versions = db.getCollection(VERSION_COLLECTION)
+  const record = versions && versions.by('collectionName', collectionName)
+  return record ? record.version : 0
+}
+
+/**
+ * Record schema version of collection
+ * @param {Loki} db
+ * @param {string} collectionName
+ * @param {number} version
+ */
+const setSchemaVersion = (db, collectionName, version) => {
+  const versions = db.getCollection(VERSION_COLLECTION) ||
+    db.addCollection(VERSION_COLLECTION, { unique: ['collectionName'] })
+  const record = versions.by('collectionName', collectionName)
+  if (record) {
+    versions.update(Object.assign({}, record, { version }))
+  } else {
+    versions.insert({ collectionName, version })
+  }
+}
+
+/**
+ * Select steps required to move data from one version to another, in running order
+ * @param {object[]} migrations
+ * @param {number} from - current version
+ * @param {number} to - target version
+ * @return {object[]} steps with version, direction and migration function
+ * @throws {MigrationError} down migration is required but not provided
+ */
+const planMigrations = (migrations, from, to) => {
+  if (to >= from) {
+    return _.sortBy(migrations.filter(({ version }) => version > from && version <= to), 'version')
+      .map(({ version, up }) => ({ version, direction: 'up', migrate: up }))
+  }
+  return _.sortBy(migrations.filter(({ version }) => version <= from && version > to), 'version')
+    .reverse()
+    .map(({ version, down }) => {
+      if (!down) {
+        throw new MigrationError(`migration ${version} cannot be reverted: no down migration`, { version })
+      }
+      return { version, direction: 'down', migrate: down }
+    })
+}
+
+/**
+ * Run migration steps against copy of documents
+ * Each migration function receives array of documents and database, and returns migrated array of documents
+ * @param {object[]} docs - documents to migrate, will not be modified
+ * @param {object[]} steps - output of planMigrations
+ * @param {Loki} db
+ * @return {object[]} migrated documents
+ * @throws {MigrationError} any migration throws or does not return an array
+ */
+const runMigrations = (docs, steps, db) => steps.reduce((data, { version, direction, migrate }) => {
+  debug(`running migration ${version} (${direction})`)
+  let result
+  try {
+    result = migrate(data, db)
+  } catch (error) {
+    throw new MigrationError(`migration ${version} (${direction}) failed: ${error.message}`, {
+      version,
+      direction,
+      error
+    })
+  }
+  if (!Array.isArray(result)) {
+    throw new MigrationError(`migration ${version} (${direction}) did not return an array`, {
+      version,
+      direction
+    })
+  }
+  return result
+}, _.cloneDeep(docs))
+
+module.exports.VERSION_COLLECTION = VERSION_COLLECTION
+module.exports.latestVersion = latestVersion
+module.exports.getSchemaVersion = getSchemaVersion
+module.exports.setSchemaVersion = setSchemaVersion
+module.exports.planMigrations = planMigrations
+module.exports.runMigrations = runMigrations
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+const Migration = require('./migration')
+const { createInMemoryOnlyDB } = require('./db')
+const { MigrationError } = require('./error')
+
+const db = createInMemoryOnlyDB('test')
+const clear = () => {
+  db.clearDatabase()
+}
+
+describe('migration helpers', () => {
+  const migrations = [
+    { version: 2, up: docs => docs, down: docs => docs },
+    { version: 1, up: docs => docs },
+    { version: 3, up: docs => docs, down: docs => docs }
+  ]
+  describe('latestVersion', () => {
+    it('yields highest version of given migrations', () => {
+      expect(Migration.latestVersion(migrations)).toBe(3)
+      expect(Migration.latestVersion([])).toBe(0)
+    })
+  })
+  describe('getSchemaVersion and setSchemaVersion', () => {
+    beforeEach(clear)
+    it('yields 0 if no version has been recorded', () => {
+      expect(Migration.getSchemaVersion(db, 'TESTS')).toBe(0)
+    })
+    it('records version of collection', () => {
+      Migration.setSchemaVersion(db, 'TESTS', 2)
+      expect(Migration.getSchemaVersion(db, 'TESTS')).toBe(2)
+      Migration.setSchemaVersion(db, 'TESTS', 3)
+      expect(Migration.getSchemaVersion(db, 'TESTS')).toBe(3)
+      expect(db.getCollection(Migration.VERSION_COLLECTION).count()).toBe(1)
+    })
+  })
+  describe('planMigrations', () => {
+    it('yields up migrations in ascending order', () => {
+      const steps = Migration.planMigrations(migrations, 0, 3)
+      expect(steps.map(step => step.version)).toEqual([1, 2, 3])
+      expect(steps.every(step => step.direction === 'up')).toBe(true)
+    })
+    it('yields down migrations in descending order', () => {
+      const steps = Migration.planMigrations(migrations, 3, 1)
+      expect(steps.map(step => step.version)).toEqual([3, 2])
+      expect(steps.every(step => step.direction === 'down')).toBe(true)
+    })
+    it('throws if down migration is not provided', () => {
+      expect(() => Migration.planMigrations(migrations, 3, 0)).toThrow(MigrationError)
+    })
+  })
+  describe('runMigrations', () => {
+    it('runs steps in order without modifying given documents', () => {
+      const docs = [{ name: 'john' }]
+      const steps = [
+        { version: 1, direction: 'up', migrate: data => data.map(doc => Object.assign(doc, { age: 1 })) },
+        { version: 2, direction: 'up', migrate: data => data.map(doc => Object.assign(doc, { age: doc.age + 1 })) }
+      ]
+      const result = Migration.runMigrations(docs, steps, db)
+      expect(result).toEqual([{ name: 'john', age: 2 }])
+      expect(docs).toEqual([{ name: 'john' }])
+    })
+    it('throws if migration throws or does not return array', () => {
+      const failing = [{ version: 1, direction: 'up', migrate: () => { throw new Error('fail') } }]
+      const invalid = [{ version: 1, direction: 'up', migrate: () => null }]
+      expect(() => Migration.runMigrations([], failing, db)).toThrow(MigrationError)
+      expect(() => Migration.runMigrations([], invalid, db)).toThrow(MigrationError)
+    })
+  })
+})
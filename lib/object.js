@@ -1,7 +1,173 @@
 const _ = require('lodash')
+const Joi = require('joi')
 
-const mapKeys = map => (value, key) => map[key] || key
-const replaceKeyNames = map => obj => _.mapKeys(obj, mapKeys(map))
+const { ValidationError } = require('./error')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const keyMap = Joi.object().pattern(/.*/, Joi.string().min(1))
+  const mapper = Joi.alternatives().try(Joi.func(), keyMap)
+  const renameOptions = Joi.object().keys({
+    deep: Joi.bool().default(false)
+  })
+
+  return {
+    keyMap,
+    mapper,
+    renameOptions
+  }
+})()
+
+/**
+ * Validate input against schema
+ * @param {Joi.Schema} schema
+ * @param {any} input
+ * @param {string} message
+ * @return {any} validated value
+ * @throws {ValidationError} invalid input
+ */
+const validate = (schema, input, message) => {
+  const { error, value } = schema.validate(input)
+  if (error) {
+    throw new ValidationError(message, _.pick(error, ['details', 'anotate']))
+  }
+  return value
+}
+
+/**
+ * Split key map into names renamed wherever they apply and renames at given paths
+ * A key containing dot is a path eg. author.$loki, its new name is either a name eg. id
+ * or a path with the same parent eg. author.id
+ * @param {object} map - new names keyed by old names or paths
+ * @return {object} names, and paths holding new name keyed by old path
+ * @throws {ValidationError} new path has different parent
+ */
+const splitKeyMap = map => _.reduce(map, (result, to, from) => {
+  if (!from.includes('.')) {
+    result.names[from] = to
+    return result
+  }
+  const parent = from.slice(0, from.lastIndexOf('.'))
+  if (to.includes('.') && to.slice(0, to.lastIndexOf('.')) !== parent) {
+    throw new ValidationError(`cannot move ${from} to ${to}, only the last key of a path can be renamed`, { from, to })
+  }
+  result.paths[from] = to.slice(to.lastIndexOf('.') + 1)
+  return result
+}, { names: {}, paths: {} })
+
+/**
+ * Create function giving new name of key from key map
+ * @param {object} map - new names keyed by old names or paths
+ * @param {bool} deep - rename names at every depth, not only top-level
+ * @return {function} function receiving key, value and path of parent, returning new name
+ */
+const keyMapper = (map, deep) => {
+  const { names, paths } = splitKeyMap(map)
+  return (key, value, path) => {
+    const keyPath = path.concat(key).join('.')
+    if (_.has(paths, keyPath)) {
+      return paths[keyPath]
+    }
+    return (deep || path.length === 0) && _.has(names, key) ? names[key] : key
+  }
+}
+
+/**
+ * Rename keys of object, or of each object of array, recursively
+ * Paths given to mapper are made of keys of input object and skip array indices
+ * @param {any} value
+ * @param {function} mapper - function receiving key, value and path of parent, returning new name
+ * @param {function} descend - function receiving path, returning true if objects at path are to be renamed
+ * @param {function} inverse - mapper of the reverse direction, every new name must map back to its key if given
+ * @param {string[]} path - keys of input object leading to value
+ * @param {string[]} renamedPath - keys of output object leading to value
+ * @return {any} renamed copy, values which are not plain objects or arrays are kept as is
+ * @throws {ValidationError} new name does not map back to its key
+ */
+const transformKeys = (value, mapper, descend, inverse, path = [], renamedPath = []) => {
+  if (Array.isArray(value)) {
+    return value.map(item => transformKeys(item, mapper, descend, inverse, path, renamedPath))
+  }
+  if (!_.isPlainObject(value) || !descend(path)) {
+    return value
+  }
+  return _.transform(value, (result, child, key) => {
+    const name = mapper(key, child, path)
+    if (inverse && inverse(name, child, renamedPath) !== key) {
+      throw new ValidationError(`key ${path.concat(key).join('.')} cannot be renamed reversibly`, { path, key })
+    }
+    result[name] = transformKeys(child, mapper, descend, inverse, path.concat(key), renamedPath.concat(name))
+  }, {})
+}
+
+/**
+ * Create function deciding which objects a key map renames, ie. every object in deep mode or for function mapper,
+ * top-level objects and parents of mapped paths otherwise
+ * @param {object|function} map
+ * @param {bool} deep
+ * @return {function}
+ */
+const descender = (map, deep) => {
+  if (deep || _.isFunction(map)) {
+    return () => true
+  }
+  const parents = new Set(_.flatMap(Object.keys(map), (from) => {
+    const keys = from.split('.').slice(0, -1)
+    return keys.map((key, index) => keys.slice(0, index + 1).join('.'))
+  }))
+  return path => path.length === 0 || parents.has(path.join('.'))
+}
+
+/**
+ * Create function renaming keys of object or array of objects, eg. documents from find()
+ * @param {object|function} map - new names keyed by old names or paths in dot notation eg. { 'author.$loki': 'id' },
+ * or function receiving key, value and path of parent as array of keys, returning new name, called at every depth
+ * @param {object} _options
+ * @param {bool} _options.deep - rename matching keys of nested objects and arrays too, not only top-level keys
+ * @return {function} function receiving object or array of objects and returning renamed copy
+ * @throws {ValidationError} invalid map or options
+ */
+const renameKeys = (map, _options = {}) => {
+  validate(Schema.mapper, map, 'invalid key map')
+  const { deep } = validate(Schema.renameOptions, _options, 'invalid rename options')
+  const mapper = _.isFunction(map) ? map : keyMapper(map, deep)
+  const descend = descender(map, deep)
+  return value => transformKeys(value, mapper, descend)
+}
+
+/**
+ * Create pair of functions renaming keys one way and back, guaranteed to restore original keys
+ * Renaming fails if a key would not be restored, eg. object holding both $loki and id, or id alone
+ * @param {object} map - new names keyed by old names or paths in dot notation, function mappers are not reversible
+ * @param {object} _options
+ * @param {bool} _options.deep - rename matching keys of nested objects and arrays too, not only top-level keys
+ * @return {object} forward and reverse functions receiving object or array of objects and returning renamed copy
+ * @throws {ValidationError} invalid map or options, or map renames different keys to the same name
+ */
+const reversibleRenameKeys = (map, _options = {}) => {
+  validate(Schema.keyMap, map, 'reversible key map must map names to names')
+  const { deep } = validate(Schema.renameOptions, _options, 'invalid rename options')
+  const { names, paths } = splitKeyMap(map)
+  const forwardMapper = keyMapper(map, deep)
+
+  // Paths of reverse map are made of renamed keys
+  const renamedParent = (from) => {
+    const keys = from.split('.').slice(0, -1)
+    return keys.map((key, index) => forwardMapper(key, undefined, keys.slice(0, index)))
+  }
+  const reverseMap = Object.assign(_.invert(names), _.fromPairs(_.map(paths, (to, from) => [
+    renamedParent(from).concat(to).join('.'),
+    from.slice(from.lastIndexOf('.') + 1)
+  ])))
+  if (_.size(reverseMap) !== _.size(map)) {
+    throw new ValidationError('key map renames different keys to the same name', { map })
+  }
+  const reverseMapper = keyMapper(reverseMap, deep)
+  return {
+    forward: value => transformKeys(value, forwardMapper, descender(map, deep), reverseMapper),
+    reverse: value => transformKeys(value, reverseMapper, descender(reverseMap, deep), forwardMapper)
+  }
+}
 
 /**
  * Strip properties generated by Loki database from object
@@ -11,7 +177,21 @@ const replaceKeyNames = map => obj => _.mapKeys(obj, mapKeys(map))
 module.exports.stripLokiProperties = object => _.omit(object, ['meta', '$loki'])
 
 /**
- * Renames field of object
+ * Create function renaming top-level fields of object
+ * @param {object} map - new names keyed by old names
+ * @return {function} function receiving object or array of objects and returning renamed copy
+ */
+module.exports.replaceKeyNames = map => renameKeys(map)
+module.exports.renameKeys = renameKeys
+module.exports.reversibleRenameKeys = reversibleRenameKeys
+
+/**
+ * Renames field of object, or of each object of array
+ */
+module.exports.idToLokiID = renameKeys({ id: '$loki' })
+module.exports.lokiIDToID = renameKeys({ $loki: 'id' })
+
+/**
+ * Renames $loki to id and back at every depth, eg. in populated objects
  */
-module.exports.idToLokiID = replaceKeyNames({ id: '$loki' })
-module.exports.lokiIDToID = replaceKeyNames({ $loki: 'id' })
+module.exports.lokiIDMapping = reversibleRenameKeys({ $loki: 'id' }, { deep: true })
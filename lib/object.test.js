@@ -1,5 +1,14 @@
 /* eslint-env jest */
-const { stripLokiProperties, idToLokiID, lokiIDToID } = require('./object')
+const {
+  stripLokiProperties,
+  replaceKeyNames,
+  renameKeys,
+  reversibleRenameKeys,
+  idToLokiID,
+  lokiIDToID,
+  lokiIDMapping
+} = require('./object')
+const { ValidationError } = require('./error')
 
 describe('object helpers', () => {
   describe('stripLokiProperties', () => {
@@ -14,6 +23,72 @@ describe('object helpers', () => {
       expect(result).not.toHaveProperty('meta')
     })
   })
+  describe('replaceKeyNames', () => {
+    it('renames fields in given map and keeps others', () => {
+      const rename = replaceKeyNames({ a: 'x', b: 'y' })
+      const object = { a: 1, c: { a: 2 } }
+      expect(rename(object)).toEqual({ x: 1, c: { a: 2 } })
+      expect(object).toEqual({ a: 1, c: { a: 2 } })
+    })
+  })
+  describe('renameKeys', () => {
+    const post = { $loki: 1, title: 't', author: { $loki: 2, name: 'ann' }, comments: [{ $loki: 3, by: { $loki: 2 } }] }
+    it('renames keys of nested objects and arrays in deep mode', () => {
+      expect(renameKeys({ $loki: 'id' }, { deep: true })(post)).toEqual({
+        id: 1, title: 't', author: { id: 2, name: 'ann' }, comments: [{ id: 3, by: { id: 2 } }]
+      })
+    })
+    it('renames keys at given paths only', () => {
+      const rename = renameKeys({ 'author.$loki': 'author.id', 'comments.by.$loki': 'id' })
+      expect(rename(post)).toEqual({
+        $loki: 1, title: 't', author: { id: 2, name: 'ann' }, comments: [{ $loki: 3, by: { id: 2 } }]
+      })
+      expect(() => renameKeys({ 'author.$loki': 'editor.id' })).toThrow(ValidationError)
+    })
+    it('renames each object of array in one call', () => {
+      expect(renameKeys({ $loki: 'id' })([{ $loki: 1 }, { $loki: 2, a: 'x' }])).toEqual([{ id: 1 }, { id: 2, a: 'x' }])
+    })
+    it('renames keys with function receiving key, value and path', () => {
+      const rename = renameKeys((key, value, path) => (path.length > 0 ? `${path.join('_')}_${key}` : key.toUpperCase()))
+      expect(rename({ a: 1, b: { c: 2, d: [{ e: 3 }] } })).toEqual({ A: 1, B: { b_c: 2, b_d: [{ b_d_e: 3 }] } })
+    })
+    it('rejects invalid map', () => {
+      expect(() => renameKeys({ a: '' })).toThrow(ValidationError)
+      expect(() => renameKeys('a')).toThrow(ValidationError)
+    })
+  })
+  describe('reversibleRenameKeys', () => {
+    it('restores original keys', () => {
+      const { forward, reverse } = reversibleRenameKeys({ $loki: 'id', 'author.name': 'author.fullName' }, { deep: true })
+      const docs = [{ $loki: 1, author: { $loki: 2, name: 'ann' }, name: 'post' }]
+      const renamed = forward(docs)
+      expect(renamed).toEqual([{ id: 1, author: { id: 2, fullName: 'ann' }, name: 'post' }])
+      expect(reverse(renamed)).toEqual(docs)
+    })
+    it('restores keys at paths under renamed parents', () => {
+      const { forward, reverse } = reversibleRenameKeys({ author: 'writer', 'author.$loki': 'id' })
+      const doc = { author: { $loki: 2 } }
+      expect(forward(doc)).toEqual({ writer: { id: 2 } })
+      expect(reverse(forward(doc))).toEqual(doc)
+    })
+    it('rejects map renaming different keys to the same name', () => {
+      expect(() => reversibleRenameKeys({ a: 'x', b: 'x' })).toThrow(ValidationError)
+      expect(() => reversibleRenameKeys((key) => key)).toThrow(ValidationError)
+    })
+    it('fails on object whose keys would not be restored', () => {
+      const { forward, reverse } = reversibleRenameKeys({ $loki: 'id' })
+      expect(() => forward({ $loki: 1, id: 2 })).toThrow(ValidationError)
+      expect(() => forward({ id: 2 })).toThrow(ValidationError)
+      expect(() => reverse({ $loki: 1 })).toThrow(ValidationError)
+    })
+  })
+  describe('lokiIDMapping', () => {
+    it('maps $loki to id and back at every depth', () => {
+      const doc = { $loki: 1, author: { $loki: 2 } }
+      expect(lokiIDMapping.forward(doc)).toEqual({ id: 1, author: { id: 2 } })
+      expect(lokiIDMapping.reverse(lokiIDMapping.forward(doc))).toEqual(doc)
+    })
+  })
   describe('idToLokiID', () => {
     it('renames id field to $loki', () => {
       const object = {
@@ -33,6 +108,8 @@ describe('object helpers', () => {
       const result = lokiIDToID(object)
       expect(result).toEqual({ id: 44, content: 'xxx' })
     })
+    it('renames $loki field of each object of array', () => {
+      expect(lokiIDToID([{ $loki: 1 }, { $loki: 2 }])).toEqual([{ id: 1 }, { id: 2 }])
+    })
   })
 })
- 
\ No newline at end of file
@@ -0,0 +1,317 @@
+const _ = require('lodash')
+const Joi = require('joi')
+const Loki = require('lokijs')
+
+const { ValidationError } = require('./error')
+
+/** Filter operators accepted from callers and the kind of operand each takes */
+const OPERATORS = {
+  $eq: 'value',
+  $ne: 'value',
+  $gt: 'value',
+  $gte: 'value',
+  $lt: 'value',
+  $lte: 'value',
+  $in: 'list',
+  $nin: 'list',
+  $between: 'range',
+  $exists: 'flag',
+  $contains: 'any',
+  $containsAny: 'any',
+  $containsString: 'text'
+}
+
+/** Schema of each operand kind, values are converted with field schema after structure is validated */
+const OPERAND_SCHEMAS = {
+  value: Joi.any(),
+  list: Joi.array(),
+  range: Joi.array().length(2),
+  flag: Joi.bool(),
+  any: Joi.any(),
+  text: Joi.string()
+}
+
+/** Properties generated by Loki which can be queried on every collection */
+const LOKI_FIELDS = {
+  $loki: Joi.number().integer(),
+  'meta.created': Joi.number(),
+  'meta.updated': Joi.number(),
+  'meta.revision': Joi.number().integer()
+}
+
+/** Page size limits */
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 1000
+
+/** Query spec schema of each object schema */
+const specSchemas = new WeakMap()
+
+/**
+ * List paths of properties declared by object schema, nested properties in dot notation
+ * @param {object} description - output of Joi describe
+ * @param {string} prefix
+ * @return {string[]}
+ */
+const declaredPaths = (description, prefix = '') => _.flatMap(description.children || {}, (child, key) =>
+  [`${prefix}${key}`].concat(declaredPaths(child, `${prefix}${key}.`)))
+
+/**
+ * Get schema of field
+ * @param {Joi.Schema} objectSchema
+ * @param {string[]|null} fields - declared fields, null if object schema declares none
+ * @param {string} field
+ * @return {Joi.Schema}
+ */
+const fieldSchema = (objectSchema, fields, field) =>
+  LOKI_FIELDS[field] || (fields ? Joi.reach(objectSchema, field) : Joi.any())
+
+/**
+ * Create schema of query spec for collections with given object schema
+ * Fields are limited to those declared by object schema and Loki properties,
+ * any field is accepted if object schema declares none
+ * @param {Joi.Schema} objectSchema
+ * @return {object} spec schema and queryable fields, null if any field can be queried
+ */
+const createSpecSchema = (objectSchema) => {
+  const description = objectSchema.describe()
+  const lokiFields = Object.keys(LOKI_FIELDS)
+  const fields = description.children ? lokiFields.concat(declaredPaths(description)) : null
+
+  const operators = Joi.object()
+    .keys(_.mapValues(OPERATORS, kind => OPERAND_SCHEMAS[kind]))
+    .min(1)
+  const condition = Joi.alternatives().try(
+    operators,
+    Joi.string(),
+    Joi.number(),
+    Joi.bool(),
+    Joi.date(),
+    Joi.valid(null)
+  )
+  const nestedFilter = Joi.lazy(() => filter)
+  const filter = (fields ? Joi.object() : Joi.object().pattern(/^[^$]/, condition))
+    .keys(_.fromPairs((fields || lokiFields).map(field => [field, condition])))
+    .keys({
+      $and: Joi.array().items(nestedFilter).min(1),
+      $or: Joi.array().items(nestedFilter).min(1)
+    })
+  const sortFields = fields || lokiFields
+  const sortField = Joi.string().valid(sortFields.concat(sortFields.map(field => `-${field}`)))
+
+  const spec = Joi.object()
+    .keys({
+      filter: filter.default({}),
+      sort: Joi.array()
+        .items(fields ? sortField : Joi.alternatives().try(sortField, Joi.string().regex(/^-?[^$-]/)))
+        .single()
+        .default([]),
+      limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(MAX_LIMIT)
+        .default(DEFAULT_LIMIT),
+      offset: Joi.number()
+        .integer()
+        .min(0),
+      cursor: Joi.string(),
+      includeDeleted: Joi.bool().default(false)
+    })
+    .without('cursor', 'offset')
+  return { spec, fields }
+}
+
+/**
+ * Get query spec schema of object schema, created once per object schema
+ * @param {Joi.Schema} objectSchema
+ * @return {object}
+ */
+const specSchemaOf = (objectSchema) => {
+  if (!specSchemas.has(objectSchema)) {
+    specSchemas.set(objectSchema, createSpecSchema(objectSchema))
+  }
+  return specSchemas.get(objectSchema)
+}
+
+/**
+ * Convert operand with field schema
+ * @param {Joi.Schema} schema - field schema
+ * @param {any} value
+ * @param {object} context - field and operator, reported on failure
+ * @return {any} converted value
+ * @throws {ValidationError} value does not match field schema
+ */
+const convertOperand = (schema, value, context) => {
+  const { error, value: converted } = schema.validate(value)
+  if (error) {
+    throw new ValidationError(`invalid ${context.operator} operand of ${context.field}`, Object.assign({
+      details: error.details
+    }, context))
+  }
+  return converted
+}
+
+/**
+ * Convert validated filter into Loki query, converting operands with field schemas
+ * @param {Joi.Schema} objectSchema
+ * @param {string[]|null} fields
+ * @param {object} filter
+ * @return {object} Loki query
+ * @throws {ValidationError} operand does not match field schema
+ */
+const toLokiQuery = (objectSchema, fields, filter) => {
+  const clauses = _.flatMap(filter, (condition, field) => {
+    if (field === '$and' || field === '$or') {
+      return [{ [field]: condition.map(nested => toLokiQuery(objectSchema, fields, nested)) }]
+    }
+    const schema = fieldSchema(objectSchema, fields, field).optional()
+    const operations = _.isPlainObject(condition) ? condition : { $eq: condition }
+    return _.map(operations, (operand, operator) => {
+      const context = { field, operator }
+      const kind = OPERATORS[operator]
+      const converted = kind === 'value' ? convertOperand(schema, operand, context)
+        : kind === 'list' || kind === 'range' ? operand.map(value => convertOperand(schema, value, context))
+          : operand
+      return { [field]: { [operator]: converted } }
+    })
+  })
+  return clauses.length > 1 ? { $and: clauses } : clauses[0] || {}
+}
+
+/**
+ * Compare two property values, null and undefined come first
+ * @param {any} a
+ * @param {any} b
+ * @return {number}
+ */
+const compareValues = (a, b) => {
+  if (_.isNil(a) || _.isNil(b)) {
+    return _.isNil(a) === _.isNil(b) ? 0 : _.isNil(a) ? -1 : 1
+  }
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Compare sort values of two objects
+ * @param {object[]} sort - sort fields with path and descending flag
+ * @param {any[]} a
+ * @param {any[]} b
+ * @return {number}
+ */
+const compareSortValues = (sort, a, b) => {
+  for (let index = 0; index < sort.length; index++) {
+    const result = compareValues(a[index], b[index])
+    if (result !== 0) {
+      return sort[index].descending ? -result : result
+    }
+  }
+  return 0
+}
+
+/**
+ * Encode position after object as opaque URL-safe cursor
+ * @param {string[]} sortKeys - sort spec the cursor belongs to
+ * @param {any[]} values - sort values of last object of page
+ * @return {string}
+ */
+const encodeCursor = (sortKeys, values) => Buffer.from(JSON.stringify({
+  sort: sortKeys,
+  values: values.map(value => (_.isDate(value) ? { $date: value.toISOString() } : value))
+}))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+/**
+ * Decode cursor into sort values
+ * @param {string} cursor
+ * @param {string[]} sortKeys - sort spec of current query
+ * @return {any[]}
+ * @throws {ValidationError} cursor is malformed or belongs to query with different sort
+ */
+const decodeCursor = (cursor, sortKeys) => {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'))
+  } catch (error) {
+    throw new ValidationError('malformed cursor')
+  }
+  if (!decoded || !_.isEqual(decoded.sort, sortKeys) || !Array.isArray(decoded.values)) {
+    throw new ValidationError('cursor does not belong to query with this sort order')
+  }
+  return decoded.values.map(value => (_.has(value, '$date') ? new Date(value.$date) : value))
+}
+
+/**
+ * Run query spec against collection
+ * Objects are sorted by given fields then by $loki, so that pages never overlap
+ * @param {Loki.Collection} collection
+ * @param {Joi.Schema} objectSchema - schema of objects in collection, limits fields which can be queried
+ * @param {object} _spec - filter, sort, limit, offset or cursor, and includeDeleted, see query method of extended
+ * collection
+ * @param {function} isDeleted - function checking if object is marked as deleted
+ * @return {object} page with items, total number of matching objects and nextCursor, null on last page
+ * @throws {ValidationError} unknown field or operator, operand does not match field schema, or invalid cursor
+ */
+const runQuery = (collection, objectSchema, _spec = {}, isDeleted = () => false) => {
+  const { spec: specSchema, fields } = specSchemaOf(objectSchema)
+  const { error, value: spec } = specSchema.validate(_spec)
+  if (error) {
+    throw new ValidationError('invalid query', _.pick(error, ['details', 'anotate']))
+  }
+
+  const sortKeys = spec.sort.includes('$loki') || spec.sort.includes('-$loki') ? spec.sort : spec.sort.concat('$loki')
+  const sort = sortKeys.map(key => (key.startsWith('-')
+    ? { path: key.slice(1), descending: true }
+    : { path: key, descending: false }))
+  const sortValues = doc => sort.map(({ path }) => _.get(doc, path))
+
+  const matched = collection.chain()
+    .find(toLokiQuery(objectSchema, fields, spec.filter))
+    .data()
+    .filter(doc => spec.includeDeleted || !isDeleted(doc))
+    .map(doc => ({ doc, values: sortValues(doc) }))
+    .sort((a, b) => compareSortValues(sort, a.values, b.values))
+
+  let start = spec.offset || 0
+  if (spec.cursor) {
+    const after = decodeCursor(spec.cursor, sortKeys)
+    const index = matched.findIndex(({ values }) => compareSortValues(sort, values, after) > 0)
+    start = index < 0 ? matched.length : index
+  }
+  const page = matched.slice(start, start + spec.limit)
+  const hasMore = start + spec.limit < matched.length
+  return {
+    items: page.map(({ doc }) => doc),
+    total: matched.length,
+    nextCursor: hasMore ? encodeCursor(sortKeys, _.last(page).values) : null
+  }
+}
+
+/**
+ * Create predicate checking single object against filter of query spec
+ * @param {Joi.Schema} objectSchema - schema of objects in collection, limits fields which can be filtered
+ * @param {object} filter - see filter of query spec
+ * @return {function} function receiving object, returning true if it matches filter
+ * @throws {ValidationError} unknown field or operator, or operand does not match field schema
+ */
+const createFilterMatcher = (objectSchema, filter = {}) => {
+  const { spec: specSchema, fields } = specSchemaOf(objectSchema)
+  const { error, value: spec } = specSchema.validate({ filter })
+  if (error) {
+    throw new ValidationError('invalid filter', _.pick(error, ['details', 'anotate']))
+  }
+  const query = toLokiQuery(objectSchema, fields, spec.filter)
+
+  // Loki evaluates queries against collection data only
+  const scratch = new Loki.Collection('filter', { disableMeta: true, disableChangesApi: true })
+  return (doc) => {
+    scratch.data = [doc]
+    const matched = scratch.chain().find(query, true).data().length > 0
+    scratch.data = []
+    return matched
+  }
+}
+
+module.exports.runQuery = runQuery
+module.exports.createFilterMatcher = createFilterMatcher
@@ -0,0 +1,78 @@
+/* eslint-env jest */
+const Joi = require('joi')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ValidationError } = require('./error')
+
+const objectSchema = Joi.object().keys({
+  name: Joi.string().required(),
+  age: Joi.number().integer(),
+  address: Joi.object().keys({ city: Joi.string() }),
+  tags: Joi.array().items(Joi.string())
+})
+const people = [
+  { name: 'ann', age: 30, address: { city: 'paris' }, tags: ['admin'] },
+  { name: 'bob', age: 25, address: { city: 'rome' } },
+  { name: 'cid', age: 30, address: { city: 'rome' }, tags: ['admin', 'staff'] },
+  { name: 'dan', age: 41 },
+  { name: 'eve', age: 25, address: { city: 'paris' } }
+]
+const open = (options) => {
+  const db = createInMemoryOnlyDB('query-test')
+  const collection = Initializer(db, 'PEOPLE', ['name'], undefined, objectSchema, options).initialize()
+  people.forEach(person => collection.validateAndInsert(person))
+  return collection
+}
+const names = page => page.items.map(person => person.name)
+
+describe('query', () => {
+  it('filters with operators, converting operands with field schema', () => {
+    const collection = open()
+    expect(names(collection.query({ filter: { age: '30' } }))).toEqual(['ann', 'cid'])
+    expect(names(collection.query({ filter: { age: { $gte: 30 }, 'address.city': 'rome' } }))).toEqual(['cid'])
+    expect(names(collection.query({ filter: { age: { $in: ['25', 41] } } }))).toEqual(['bob', 'dan', 'eve'])
+    expect(names(collection.query({ filter: { $or: [{ tags: { $contains: 'staff' } }, { age: { $gt: 40 } }] } })))
+      .toEqual(['cid', 'dan'])
+    expect(names(collection.query({ filter: { address: { $exists: false } } }))).toEqual(['dan'])
+  })
+  it('rejects unknown fields, operators and operands not matching field schema', () => {
+    const collection = open()
+    expect(() => collection.query({ filter: { salary: 1 } })).toThrow(ValidationError)
+    expect(() => collection.query({ filter: { name: { $regex: '.*' } } })).toThrow(ValidationError)
+    expect(() => collection.query({ filter: { $where: 'true' } })).toThrow(ValidationError)
+    expect(() => collection.query({ filter: { age: { $gt: 'old' } } })).toThrow(ValidationError)
+    expect(() => collection.query({ sort: 'salary' })).toThrow(ValidationError)
+    expect(() => collection.query({ limit: 0 })).toThrow(ValidationError)
+  })
+  it('sorts by given fields then by $loki and counts all matches', () => {
+    const collection = open()
+    const page = collection.query({ sort: ['-age', 'name'], limit: 2 })
+    expect(names(page)).toEqual(['dan', 'ann'])
+    expect(page.total).toBe(5)
+    expect(names(collection.query({ sort: '-age', offset: 3 }))).toEqual(['bob', 'eve'])
+  })
+  it('pages through results with cursor', () => {
+    const collection = open()
+    const spec = { filter: { age: { $lt: 41 } }, sort: 'age', limit: 2 }
+    const first = collection.query(spec)
+    expect(names(first)).toEqual(['bob', 'eve'])
+    expect(first.total).toBe(4)
+    expect(first.nextCursor).toMatch(/^[A-Za-z0-9_-]+$/)
+
+    // Objects inserted before cursor position do not shift later pages
+    collection.validateAndInsert({ name: 'amy', age: 20 })
+    const second = collection.query(Object.assign({ cursor: first.nextCursor }, spec))
+    expect(names(second)).toEqual(['ann', 'cid'])
+    expect(second.nextCursor).toBeNull()
+
+    expect(() => collection.query({ sort: 'name', cursor: first.nextCursor })).toThrow(ValidationError)
+    expect(() => collection.query({ cursor: first.nextCursor, offset: 1 })).toThrow(ValidationError)
+    expect(() => collection.query({ cursor: 'not a cursor' })).toThrow(ValidationError)
+  })
+  it('leaves out objects marked as deleted unless asked', () => {
+    const collection = open({ softDelete: true })
+    collection.removeBy('name', 'ann')
+    expect(collection.query().total).toBe(4)
+    expect(collection.query({ includeDeleted: true }).total).toBe(5)
+  })
+})
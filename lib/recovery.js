@@ -0,0 +1,155 @@
+const fs = require('fs')
+const { promisify } = require('util')
+const _ = require('lodash')
+const debug = require('debug')('loki-helper:recovery')
+
+const { backupAdapter, defaultBackupDirectory, listBackups, replaceState } = require('./backup')
+const { initializersOf } = require('./collection')
+const { ValidationError } = require('./error')
+const { isReadOnly } = require('./lock')
+const { queueSave } = require('./scheduler')
+
+const rename = promisify(fs.rename)
+
+/**
+ * Read database object through persistence adapter
+ * @param {object} adapter - non-reference mode Loki persistence adapter
+ * @param {string} fileName
+ * @return {Promise<object|null>} database object, null if not exist
+ */
+const readDatabase = (adapter, fileName) => new Promise((resolve, reject) => {
+  adapter.loadDatabase(fileName, (result) => {
+    if (result instanceof Error) {
+      reject(result)
+    } else if (_.isNil(result)) {
+      resolve(null)
+    } else if (_.isString(result)) {
+      try {
+        resolve(JSON.parse(result))
+      } catch (error) {
+        reject(new ValidationError(`malformed database file: ${error.message}`))
+      }
+    } else {
+      resolve(result)
+    }
+  })
+})
+
+/**
+ * Check that database object has the structure Loki expects,
+ * ie. collections whose objects have distinct $loki not greater than collection maxId
+ * @param {object} dbObject
+ * @return {bool} true if structure is valid
+ * @throws {ValidationError} structure is invalid
+ */
+const checkStructure = (dbObject) => {
+  if (!_.isObject(dbObject) || !Array.isArray(dbObject.collections)) {
+    throw new ValidationError('database has no collection list')
+  }
+  dbObject.collections.forEach((collection, index) => {
+    const collectionName = _.get(collection, 'name', `#${index}`)
+    const ids = new Set()
+    const valid = _.isObject(collection) && Array.isArray(collection.data) && collection.data.every((doc) => {
+      const id = _.get(doc, '$loki')
+      const validID = Number.isInteger(id) && id <= collection.maxId && !ids.has(id)
+      ids.add(id)
+      return validID
+    })
+    if (!valid) {
+      throw new ValidationError(`${collectionName} collection is corrupted`, { collectionName })
+    }
+  })
+  return true
+}
+
+/**
+ * Move file aside so that it is neither loaded nor overwritten
+ * @param {string} fileName
+ * @return {Promise<string|null>} path to quarantined file, null if file not exist
+ */
+const quarantine = (fileName) => {
+  const quarantinePath = `${fileName}.corrupt-${Date.now()}`
+  return rename(fileName, quarantinePath)
+    .then(() => quarantinePath, error => (error.code === 'ENOENT' ? null : Promise.reject(error)))
+}
+
+/**
+ * Load database, falling back to latest good backup then to .bak copy if database file is corrupted
+ * Database file is corrupted if it cannot be read or parsed, has invalid structure,
+ * or its data is invalid according to collection schema or unique constraints of given initializers
+ * On fallback, corrupted database file is quarantined and recovered state is saved,
+ * unless database is read-only, in which case recovered state is only loaded and files are left as they are
+ * @param {Loki} db - database with non-reference mode persistence adapter
+ * @param {object} options
+ * @param {object[]} options.initializers - initializers to validate against, default to initializers registered
+ * on database
+ * @param {string} options.backupPath - directory of backup files, default to database file name followed by .backups
+ * @return {Promise<object>} report with source ('primary', 'backup', 'bak' or 'new' if database file not exist),
+ * path of loaded file, recovered object count keyed by collection name,
+ * discarded files with source, path, reason and error, and paths to quarantined files
+ * @throws {ValidationError} persistence adapter is reference mode, or neither database file nor any fallback is valid
+ */
+const loadDatabaseSafe = (db, { initializers = initializersOf(db), backupPath = defaultBackupDirectory(db) } = {}) => {
+  const persistenceAdapter = db.persistenceAdapter
+  if (!persistenceAdapter || persistenceAdapter.mode === 'reference') {
+    return Promise.reject(new ValidationError('safe loading requires non-reference mode persistence adapter'))
+  }
+  const report = { source: null, path: null, recovered: {}, discarded: [], quarantined: [] }
+
+  // Load candidate into database if valid
+  const attempt = ({ source, path, adapter }) => readDatabase(adapter, path)
+    .then((dbObject) => {
+      if (!dbObject) {
+        return source === 'primary' ? 'missing' : false
+      }
+      checkStructure(dbObject)
+      replaceState(db, dbObject, initializers, initializer => initializer.validateExisting())
+      return true
+    })
+    .catch((error) => {
+      debug(`discarding ${source} ${path}: ${error.message}`)
+      report.discarded.push({ source, path, reason: error.message, error })
+      return false
+    })
+  const fallbacks = () => listBackups(db, backupPath)
+    .then(backups => backups
+      .map(backup => ({ source: 'backup', path: backup.path, adapter: backupAdapter(db) }))
+      .concat({ source: 'bak', path: `${db.filename}.bak`, adapter: backupAdapter(db) }))
+  const firstValid = candidates => candidates.reduce((found, candidate) => found
+    .then(result => result || attempt(candidate).then(loaded => loaded && candidate)), Promise.resolve(null))
+
+  const primary = { source: 'primary', path: db.filename, adapter: persistenceAdapter }
+  return attempt(primary)
+    .then((loaded) => {
+      if (loaded === 'missing') {
+        return Object.assign(report, { source: 'new' })
+      }
+      if (loaded) {
+        return Object.assign(report, { source: 'primary', path: primary.path })
+      }
+      return fallbacks()
+        .then(firstValid)
+        .then((candidate) => {
+          if (!candidate) {
+            throw new ValidationError(`no valid database file found for ${db.filename}`, { report })
+          }
+          debug(`recovered ${db.filename} from ${candidate.path}`)
+          Object.assign(report, { source: candidate.source, path: candidate.path })
+          if (isReadOnly(db)) {
+            return report
+          }
+          return quarantine(primary.path)
+            .then((quarantinePath) => {
+              report.quarantined = quarantinePath ? [quarantinePath] : []
+              return queueSave(db)
+            })
+            .then(() => report)
+        })
+    })
+    .then(() => Object.assign(report, {
+      recovered: _.fromPairs(db.collections.map(collection => [collection.name, collection.count()]))
+    }))
+}
+
+module.exports.checkStructure = checkStructure
+module.exports.loadDatabaseSafe = loadDatabaseSafe
@@ -0,0 +1,125 @@
+/* eslint-env jest */
+const fs = require('fs')
+const path = require('path')
+const Joi = require('joi')
+const rimraf = require('rimraf')
+const { createPersistingDB } = require('./db')
+const { Initializer } = require('./collection')
+const { checkStructure } = require('./recovery')
+const { ValidationError } = require('./error')
+
+const tempDir = path.resolve('.', '.temp-recovery')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}recovery-test-${count++}`
+})()
+const collectionSchema = Joi.array().items(Joi.object().keys({ name: Joi.string().required() }).unknown())
+const open = (fileName) => {
+  const db = createPersistingDB(fileName)
+  Initializer(db, 'USERS', ['name'], collectionSchema).initialize()
+  return db
+}
+const prepare = async () => {
+  const fileName = generateFileName()
+  const db = open(fileName)
+  db.getCollection('USERS').validateAndInsert({ name: 'john' })
+  await db.backup()
+  db.getCollection('USERS').validateAndInsert({ name: 'jane' })
+  await db.close()
+  return fileName
+}
+const editSaved = (fileName, edit) => {
+  const saved = JSON.parse(fs.readFileSync(fileName, 'utf8'))
+  edit(saved.collections.find(collection => collection.name === 'USERS'))
+  fs.writeFileSync(fileName, JSON.stringify(saved))
+}
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('checkStructure', () => {
+  it('accepts collections with distinct $loki not greater than maxId', () => {
+    expect(checkStructure({ collections: [{ name: 'A', maxId: 2, data: [{ $loki: 1 }, { $loki: 2 }] }] })).toBe(true)
+  })
+  it('throws if structure is invalid', () => {
+    expect(() => checkStructure({})).toThrow(ValidationError)
+    expect(() => checkStructure({ collections: [{ name: 'A', maxId: 1, data: [{ $loki: 2 }] }] })).toThrow(ValidationError)
+    expect(() => checkStructure({ collections: [{ name: 'A', maxId: 2, data: [{ $loki: 1 }, { $loki: 1 }] }] }))
+      .toThrow(ValidationError)
+    expect(() => checkStructure({ collections: [{ name: 'A', maxId: 1, data: [{}] }] })).toThrow(ValidationError)
+  })
+})
+
+describe('loadDatabaseSafe', () => {
+  it('loads valid database file', async () => {
+    const fileName = await prepare()
+    const db = open(fileName)
+    const report = await db.loadDatabaseSafe()
+    expect(report).toMatchObject({ source: 'primary', path: fileName, discarded: [], quarantined: [] })
+    expect(report.recovered.USERS).toBe(2)
+    expect(typeof db.getCollection('USERS').validateAndInsert).toBe('function')
+  })
+  it('reports new database if database file not exist', async () => {
+    const report = await open(generateFileName()).loadDatabaseSafe()
+    expect(report.source).toBe('new')
+  })
+  it('recovers from latest backup and quarantines data violating schema or unique constraint', async () => {
+    const fileName = await prepare()
+    editSaved(fileName, (users) => {
+      users.data[1].name = 'john'
+    })
+    const db = open(fileName)
+    const report = await db.loadDatabaseSafe()
+    expect(report.source).toBe('backup')
+    expect(report.recovered.USERS).toBe(1)
+    expect(report.discarded).toHaveLength(1)
+    expect(report.discarded[0]).toMatchObject({ source: 'primary', path: fileName })
+    expect(report.quarantined).toHaveLength(1)
+    expect(fs.existsSync(report.quarantined[0])).toBe(true)
+    expect(db.getCollection('USERS').by('name', 'john')).toBeDefined()
+
+    // Recovered state is saved
+    expect((await open(fileName).loadDatabaseSafe()).source).toBe('primary')
+  })
+  it('recovers from .bak copy if there is no good backup', async () => {
+    const fileName = await prepare()
+    fs.copyFileSync(fileName, `${fileName}.bak`)
+    fs.writeFileSync(fileName, '{"collections": [')
+    rimraf.sync(`${fileName}.backups`)
+    const report = await open(fileName).loadDatabaseSafe()
+    expect(report).toMatchObject({ source: 'bak', path: `${fileName}.bak` })
+    expect(report.recovered.USERS).toBe(2)
+  })
+  it('only loads recovered state of read-only database, leaving its files as they are', async () => {
+    const fileName = await prepare()
+    editSaved(fileName, (users) => {
+      users.data[1].name = 'john'
+    })
+    const corrupted = fs.readFileSync(fileName, 'utf8')
+    const db = createPersistingDB(fileName, { readOnly: true })
+    Initializer(db, 'USERS', ['name'], collectionSchema).initialize()
+    const report = await db.loadDatabaseSafe()
+    expect(report).toMatchObject({ source: 'backup', quarantined: [] })
+    expect(report.recovered.USERS).toBe(1)
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(corrupted)
+    expect(fs.readdirSync(tempDir).filter(name => name.startsWith(`${path.basename(fileName)}.corrupt-`))).toEqual([])
+  })
+  it('rejects with report and keeps files if nothing is valid', async () => {
+    const fileName = await prepare()
+    editSaved(fileName, (users) => {
+      users.data[0].name = 42
+    })
+    rimraf.sync(`${fileName}.backups`)
+    const db = open(fileName)
+    const error = await db.loadDatabaseSafe().catch(caught => caught)
+    expect(error).toBeInstanceOf(ValidationError)
+    expect(error.report.discarded).toHaveLength(1)
+    expect(fs.existsSync(fileName)).toBe(true)
+    expect(db.getCollection('USERS').count()).toBe(0)
+  })
+})
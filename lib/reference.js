@@ -0,0 +1,122 @@
+const _ = require('lodash')
+const Joi = require('joi')
+
+const { lokiID } = require('./schema')
+const { ValidationError } = require('./error')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const reference = Joi.object().keys({
+    collection: Joi.string()
+      .min(1)
+      .required(),
+    as: Joi.string().min(1),
+    onDelete: Joi.string()
+      .valid('restrict', 'cascade', 'set-null')
+      .default('restrict')
+  })
+
+  return {
+    reference
+  }
+})()
+
+/**
+ * Get default property name of populated object, eg. authorId -> author
+ * @param {string} key - referencing property
+ * @return {string}
+ */
+const populatedName = key => key.replace(/(Id|ID|_id)$/, '') || key
+
+/**
+ * Expand shorthand declarations and fill default values
+ * @param {object} references - reference declarations keyed by referencing property,
+ * each is either name of target collection or object with collection, as and onDelete properties
+ * @return {object} reference declarations with collection, as and onDelete properties
+ * @throws {ValidationError} invalid declaration
+ */
+const normalizeReferences = references => _.mapValues(references, (declaration, key) => {
+  const expanded = _.isString(declaration) ? { collection: declaration } : declaration
+  const { error, value } = Schema.reference.validate(expanded)
+  if (error) {
+    throw new ValidationError(`invalid reference declaration for property ${key}`, _.pick(error, ['details', 'anotate']))
+  }
+  return Object.assign({ as: populatedName(key) }, value)
+})
+
+/**
+ * Find object referenced by given ID, soft deleted object is treated as not exist
+ * @param {Loki} db
+ * @param {object} reference - normalized reference declaration
+ * @param {number} id
+ * @return {object|null} null if ID is invalid or there is no such object
+ */
+const findReferenced = (db, reference, id) => {
+  const collection = db.getCollection(reference.collection)
+  if (!collection || !id || lokiID.validate(id).error) {
+    return null
+  }
+  const found = collection.get(id)
+  if (!found || (_.isFunction(collection.isDeleted) && collection.isDeleted(found))) {
+    return null
+  }
+  return found
+}
+
+/**
+ * Check that every non-null referencing property of object points to existing object
+ * @param {Loki} db
+ * @param {object} references - normalized reference declarations
+ * @param {object} doc
+ * @return {bool} true if all references are valid
+ * @throws {ValidationError} referenced object not exist
+ */
+const validateReferences = (db, references, doc) => {
+  _.forEach(references, (reference, key) => {
+    const keyValue = doc[key]
+    if (!_.isNil(keyValue) && !findReferenced(db, reference, keyValue)) {
+      throw new ValidationError(`Invalid reference for property ${key}: ${keyValue} not exist in ${reference.collection}`, {
+        key,
+        value: keyValue,
+        collection: reference.collection
+      })
+    }
+  })
+  return true
+}
+
+/**
+ * Find declarations referencing given collection
+ * @param {object[]} initializers - initializers with collectionName and normalized references
+ * @param {string} collectionName - referenced collection
+ * @return {object[]} declarations with referencing collection name and property
+ */
+const referencesTo = (initializers, collectionName) => _.flatMap(initializers, initializer =>
+  _.map(initializer.references, (reference, key) => Object.assign({ collectionName: initializer.collectionName, key }, reference))
+    .filter(reference => reference.collection === collectionName))
+
+/**
+ * Resolve referencing properties of object into nested objects
+ * @param {Loki} db
+ * @param {object} references - normalized reference declarations
+ * @param {object|object[]} docs
+ * @param {string[]} keys - referencing properties to resolve, default to all
+ * @return {object|object[]} copy of object with referenced object, or null if not exist, assigned to
+ * property named by `as` of declaration
+ */
+const populate = (db, references, docs, keys = Object.keys(references)) => {
+  const populateOne = doc => keys.reduce((result, key) => {
+    const reference = references[key]
+    if (!reference) {
+      throw new ValidationError(`property ${key} is not a reference`, { key })
+    }
+    return Object.assign(result, { [reference.as]: findReferenced(db, reference, doc[key]) })
+  }, Object.assign({}, doc))
+  return Array.isArray(docs) ? docs.map(populateOne) : populateOne(docs)
+}
+
+module.exports.normalizeReferences = normalizeReferences
+module.exports.findReferenced = findReferenced
+module.exports.validateReferences = validateReferences
+module.exports.referencesTo = referencesTo
+module.exports.populate = populate
@@ -0,0 +1,45 @@
+/* eslint-env jest */
+const Reference = require('./reference')
+const { createInMemoryOnlyDB } = require('./db')
+const { ValidationError } = require('./error')
+
+const db = createInMemoryOnlyDB('test')
+
+describe('reference helpers', () => {
+  describe('normalizeReferences', () => {
+    it('expands shorthand declarations with default values', () => {
+      const references = Reference.normalizeReferences({
+        authorId: 'USERS',
+        editor: { collection: 'USERS', onDelete: 'set-null' }
+      })
+      expect(references.authorId).toEqual({ collection: 'USERS', as: 'author', onDelete: 'restrict' })
+      expect(references.editor).toEqual({ collection: 'USERS', as: 'editor', onDelete: 'set-null' })
+    })
+    it('throws if declaration is invalid', () => {
+      expect(() => Reference.normalizeReferences({ authorId: 7 })).toThrow(ValidationError)
+    })
+  })
+  describe('findReferenced', () => {
+    beforeEach(() => {
+      db.clearDatabase()
+      db.addCollection('USERS').insert({ name: 'john' })
+    })
+    it('yields referenced object or null', () => {
+      const reference = { collection: 'USERS' }
+      expect(Reference.findReferenced(db, reference, 1)).toMatchObject({ name: 'john' })
+      expect(Reference.findReferenced(db, reference, 2)).toBeNull()
+      expect(Reference.findReferenced(db, reference, -1)).toBeNull()
+      expect(Reference.findReferenced(db, { collection: 'NONE' }, 1)).toBeNull()
+    })
+  })
+  describe('referencesTo', () => {
+    it('yields declarations referencing given collection', () => {
+      const initializers = [
+        { collectionName: 'POSTS', references: Reference.normalizeReferences({ authorId: 'USERS', tagId: 'TAGS' }) },
+        { collectionName: 'TAGS', references: {} }
+      ]
+      const result = Reference.referencesTo(initializers, 'USERS')
+      expect(result).toEqual([{ collectionName: 'POSTS', key: 'authorId', collection: 'USERS', as: 'author', onDelete: 'restrict' }])
+    })
+  })
+})
@@ -0,0 +1,160 @@
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:registry')
+
+const { Initializer } = require('./collection')
+const { saveDatabasePromise } = require('./db')
+const { ValidationError } = require('./error')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const collectionName = Joi.string().min(1)
+  const definition = Joi.object().keys({
+    uniqueKeys: Joi.alternatives().try(Joi.string(), Joi.array()),
+    collectionSchema: Joi.object(),
+    objectSchema: Joi.object(),
+    options: Joi.object(),
+    dependsOn: Joi.array()
+      .items(collectionName)
+      .single()
+      .unique()
+      .default([])
+  })
+  const definitions = Joi.object().pattern(/^[^_]/, definition)
+
+  return {
+    definitions
+  }
+})()
+
+/**
+ * Check if collection is used internally by helpers eg. schema version record
+ * Internal collection names start with underscore
+ * @param {string} collectionName
+ * @return {bool}
+ */
+const isInternalCollection = collectionName => collectionName.startsWith('_')
+
+/**
+ * Sort collection names so that each collection comes after collections it depends on
+ * @param {object} definitions - collection definitions keyed by collection name
+ * @return {string[]}
+ * @throws {ValidationError} unknown or circular dependency
+ */
+const dependencyOrder = (definitions) => {
+  const order = []
+  const visiting = new Set()
+  const visit = (name, path) => {
+    if (order.includes(name)) {
+      return
+    }
+    if (!definitions[name]) {
+      throw new ValidationError(`unknown dependency ${name} of ${path[path.length - 1]} collection`, { path })
+    }
+    if (visiting.has(name)) {
+      throw new ValidationError(`circular dependency: ${path.concat(name).join(' -> ')}`, { path })
+    }
+    visiting.add(name)
+    definitions[name].dependsOn.forEach(dependency => visit(dependency, path.concat(name)))
+    visiting.delete(name)
+    order.push(name)
+  }
+  Object.keys(definitions).forEach(name => visit(name, []))
+  return order
+}
+
+const registryMethods = {
+  /**
+   * Get names of collections to be initialized in dependency order
+   * @return {string[]}
+   * @throws {ValidationError} unknown or circular dependency
+   */
+  order () {
+    return dependencyOrder(this.definitions)
+  },
+  /**
+   * Get names of non-internal collections in database which are not covered by any definition
+   * @return {string[]}
+   */
+  uncoveredCollections () {
+    return this.db.collections
+      .map(collection => collection.name)
+      .filter(name => !isInternalCollection(name) && !this.definitions[name])
+  },
+  /**
+   * Initialize all defined collections in dependency order then save database once
+   * Database is not saved if any collection fails to initialize
+   * @param {object} options
+   * @param {bool} options.removeUncovered - remove collections not covered by any definition
+   * @param {bool} options.save - save database after initialization, default to true
+   * @return {Promise<object>} extended collections keyed by name, names of uncovered and removed collections
+   * and migration reports keyed by collection name
+   */
+  initialize ({ removeUncovered = false, save = true } = {}) {
+    return Promise.resolve()
+      .then(() => {
+        const collections = {}
+        const migrations = {}
+        this.order().forEach((name) => {
+          const initializer = this.initializers[name]
+          collections[name] = initializer.initialize()
+          migrations[name] = initializer.migrationReport
+        })
+
+        const uncovered = this.uncoveredCollections()
+        const removed = removeUncovered ? uncovered : []
+        removed.forEach((name) => {
+          debug(`removing uncovered collection ${name}`)
+          this.db.removeCollection(name)
+        })
+
+        return { collections, uncovered, removed, migrations }
+      })
+      .then(result => (save ? saveDatabasePromise(this.db).then(() => result) : result))
+  }
+}
+
+/**
+ * Create registry which initializes many collections of a database from a single declaration
+ * @param {Loki} db
+ * @param {object} _definitions - collection definitions keyed by collection name
+ * @param {string|string[]} _definitions[].uniqueKeys
+ * @param {Joi.Schema} _definitions[].collectionSchema
+ * @param {Joi.Schema} _definitions[].objectSchema
+ * @param {object} _definitions[].options - options input to Collection.Initializer
+ * @param {string|string[]} _definitions[].dependsOn - names of collections to be initialized first
+ * @return {object} registry
+ * @throws {ValidationError} invalid definitions
+ */
+module.exports.Registry = (db, _definitions) => {
+  const validatedDefinitions = Schema.definitions.validate(_definitions)
+  if (validatedDefinitions.error) {
+    const message = `invalid collection definitions`
+    debug(message)
+    debug(validatedDefinitions.error)
+    throw new ValidationError(message)
+  }
+  const definitions = validatedDefinitions.value
+
+  // Create initializer of each collection
+  const initializers = _.mapValues(definitions, (definition, name) => Initializer(
+    db,
+    name,
+    definition.uniqueKeys,
+    definition.collectionSchema,
+    definition.objectSchema,
+    definition.options
+  ))
+
+  // Members
+  const members = {
+    db,
+    definitions,
+    initializers
+  }
+
+  return Object.assign(members, registryMethods)
+}
+
+module.exports.dependencyOrder = dependencyOrder
+module.exports.isInternalCollection = isInternalCollection
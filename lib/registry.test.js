@@ -0,0 +1,97 @@
+/* eslint-env jest */
+const Registry = require('./registry')
+const { createInMemoryOnlyDB } = require('./db')
+const Joi = require('joi')
+const { ValidationError } = require('./error')
+
+const db = createInMemoryOnlyDB('test')
+const clear = () => {
+  db.clearDatabase()
+}
+
+describe('registry helpers', () => {
+  describe('isInternalCollection', () => {
+    it('returns true if collection name starts with underscore', () => {
+      expect(Registry.isInternalCollection('_SCHEMA_VERSIONS')).toBe(true)
+      expect(Registry.isInternalCollection('USERS')).toBe(false)
+    })
+  })
+  describe('dependencyOrder', () => {
+    it('yields collection names with dependencies first', () => {
+      const order = Registry.dependencyOrder({
+        POSTS: { dependsOn: ['USERS', 'TAGS'] },
+        TAGS: { dependsOn: [] },
+        USERS: { dependsOn: ['TAGS'] }
+      })
+      expect(order).toEqual(['TAGS', 'USERS', 'POSTS'])
+    })
+    it('throws if dependency is unknown or circular', () => {
+      expect(() => Registry.dependencyOrder({ POSTS: { dependsOn: ['USERS'] } })).toThrow(ValidationError)
+      expect(() => Registry.dependencyOrder({
+        POSTS: { dependsOn: ['USERS'] },
+        USERS: { dependsOn: ['POSTS'] }
+      })).toThrow(ValidationError)
+    })
+  })
+})
+
+describe('Registry', () => {
+  const definitions = {
+    POSTS: {
+      uniqueKeys: ['slug'],
+      objectSchema: Joi.object().keys({ slug: Joi.string().required(), authorId: Joi.number() }),
+      dependsOn: 'USERS'
+    },
+    USERS: {
+      uniqueKeys: 'name'
+    }
+  }
+  describe('factory function', () => {
+    it('throws if definitions are invalid', () => {
+      expect(() => Registry.Registry(db, { POSTS: { uniqueKeys: 7 } })).toThrow(ValidationError)
+      expect(() => Registry.Registry(db, { _POSTS: {} })).toThrow(ValidationError)
+    })
+  })
+  describe('initialize', () => {
+    beforeEach(clear)
+    it('initializes all collections and resolves extended collections', async () => {
+      const registry = Registry.Registry(db, definitions)
+      const { collections, migrations } = await registry.initialize()
+      expect(collections.POSTS).toBe(db.getCollection('POSTS'))
+      expect(collections.USERS).toBe(db.getCollection('USERS'))
+      expect(collections.POSTS.uniqueNames).toContain('slug')
+      expect(typeof collections.USERS.validateAndInsert).toBe('function')
+      expect(migrations.POSTS).toMatchObject({ from: 0, to: 0 })
+    })
+    it('reports collections not covered by definitions', async () => {
+      db.addCollection('LEGACY')
+      const registry = Registry.Registry(db, definitions)
+      const { uncovered, removed } = await registry.initialize()
+      expect(uncovered).toEqual(['LEGACY'])
+      expect(removed).toEqual([])
+      expect(db.getCollection('LEGACY')).not.toBeNull()
+    })
+    it('removes uncovered collections if requested', async () => {
+      db.addCollection('LEGACY')
+      const registry = Registry.Registry(db, definitions)
+      const { removed } = await registry.initialize({ removeUncovered: true })
+      expect(removed).toEqual(['LEGACY'])
+      expect(db.getCollection('LEGACY')).toBeNull()
+    })
+    it('saves database once after all collections are initialized', async () => {
+      const save = jest.spyOn(db, 'saveDatabase')
+      const registry = Registry.Registry(db, definitions)
+      await registry.initialize()
+      expect(save).toHaveBeenCalledTimes(1)
+      save.mockRestore()
+    })
+    it('rejects without saving if any collection fails to initialize', async () => {
+      db.addCollection('USERS').insert([{ name: 'john' }, { name: 'john' }])
+      const save = jest.spyOn(db, 'saveDatabase')
+      const registry = Registry.Registry(db, definitions)
+      await expect(registry.initialize()).rejects.toBeInstanceOf(Error)
+      expect(save).not.toHaveBeenCalled()
+      save.mockRestore()
+    })
+  })
+})
@@ -0,0 +1,197 @@
+const _ = require('lodash')
+const Joi = require('joi')
+const debug = require('debug')('loki-helper:scheduler')
+
+const { ValidationError } = require('./error')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const signal = Joi.string().regex(/^SIG[A-Z0-9]+$/)
+  const options = Joi.object().keys({
+    autosave: Joi.bool().default(false),
+    autosaveInterval: Joi.number()
+      .integer()
+      .min(1)
+      .default(5000),
+    autosaveCallback: Joi.func(),
+    handleSignals: Joi.alternatives()
+      .try(Joi.bool(), Joi.array().items(signal).min(1))
+      .default(false)
+  })
+
+  return {
+    options
+  }
+})()
+
+/** Signals handled when caller opts in without naming signals */
+const DEFAULT_SIGNALS = ['SIGINT', 'SIGTERM']
+
+/** Save scheduler of each database */
+const schedulers = new WeakMap()
+
+/**
+ * Run Loki.saveDatabase() as promise
+ * @param {Loki} db
+ * @return {Promise<Loki>}
+ */
+const writeDatabase = db => new Promise((resolve, reject) => {
+  db.saveDatabase(error => (error ? reject(error) : resolve(db)))
+})
+
+const schedulerMethods = {
+  /**
+   * Save database, never overlapping another save
+   * Calls made while a save is in progress share one save started after it
+   * @return {Promise<Loki>}
+   */
+  save () {
+    if (this.queued) {
+      return this.queued
+    }
+    if (!this.current) {
+      return this.write()
+    }
+    this.queued = this.current
+      .catch(_.noop)
+      .then(() => {
+        this.queued = null
+        return this.write()
+      })
+    return this.queued
+  },
+  /**
+   * Write database now, emitting save or error event on database
+   * @return {Promise<Loki>}
+   */
+  write () {
+    this.current = writeDatabase(this.db).then(() => {
+      this.current = null
+      debug(`saved ${this.db.filename}`)
+      this.db.emit('save')
+      return this.db
+    }, (error) => {
+      this.current = null
+      debug(`failed to save ${this.db.filename}: ${error.message}`)
+      this.db.emit('error', error)
+      throw error
+    })
+    return this.current
+  },
+  /**
+   * Wait for saves in progress then save again if there are unsaved changes
+   * @return {Promise<Loki>}
+   */
+  flush () {
+    return Promise.resolve(this.queued || this.current)
+      .catch(_.noop)
+      .then(() => (this.db.autosaveDirty() ? this.save() : this.db))
+  },
+  /**
+   * Start saving database whenever any collection is changed, changes within an interval are saved at once
+   */
+  start () {
+    if (this.autosave && !this.timer) {
+      this.timer = setInterval(() => {
+        if (this.db.autosaveDirty() && !this.db.ignoreAutosave && !this.queued) {
+          // Failure is reported through error event and autosave callback
+          this.save().then(() => this.notify(null), error => this.notify(error))
+        }
+      }, this.autosaveInterval)
+    }
+    this.signals.forEach(signal => process.on(signal, this.signalHandlers[signal]))
+  },
+  /**
+   * Call autosave callback with outcome of autosave, failure of callback is reported through error event
+   * @param {Error|null} error - error of failed save
+   */
+  notify (error) {
+    if (!this.autosaveCallback) {
+      return
+    }
+    try {
+      this.autosaveCallback(error)
+    } catch (callbackError) {
+      debug(`autosave callback of ${this.db.filename} failed: ${callbackError.message}`)
+      this.db.emit('error', callbackError)
+    }
+  },
+  /**
+   * Stop autosave timer and remove signal handlers
+   */
+  stop () {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+    this.signals.forEach(signal => process.removeListener(signal, this.signalHandlers[signal]))
+  }
+}
+
+/**
+ * Create save scheduler of database and start it
+ * @param {Loki} db
+ * @param {object} _options
+ * @param {bool} _options.autosave - save changes periodically
+ * @param {number} _options.autosaveInterval - milliseconds between checks for changes, default to 5000
+ * @param {function} _options.autosaveCallback - function called after each autosave with error, or null on success
+ * @param {bool|string[]} _options.handleSignals - close database then re-raise signal on SIGINT and SIGTERM,
+ * or on given signals
+ * @param {function} close - function closing database, called on handled signals
+ * @return {object} scheduler
+ * @throws {ValidationError} invalid options
+ */
+const createScheduler = (db, _options, close) => {
+  const validatedOptions = Schema.options.validate(_.pick(_options, ['autosave', 'autosaveInterval', 'autosaveCallback', 'handleSignals']))
+  if (validatedOptions.error) {
+    throw new ValidationError('invalid save scheduler options', _.pick(validatedOptions.error, ['details', 'anotate']))
+  }
+  const { autosave, autosaveInterval, autosaveCallback, handleSignals } = validatedOptions.value
+  const signals = handleSignals === true ? DEFAULT_SIGNALS : handleSignals || []
+
+  // Loki event emitter throws on events it does not know
+  db.events.save = db.events.save || []
+  db.events.error = db.events.error || []
+
+  const signalHandlers = _.fromPairs(signals.map(signal => [signal, () => {
+    debug(`closing ${db.filename} on ${signal}`)
+    const raise = () => process.kill(process.pid, signal)
+    close().then(raise, raise)
+  }]))
+
+  const scheduler = Object.assign({
+    db,
+    autosave,
+    autosaveInterval,
+    autosaveCallback,
+    signals,
+    signalHandlers,
+    timer: null,
+    current: null,
+    queued: null
+  }, schedulerMethods)
+  schedulers.set(db, scheduler)
+  scheduler.start()
+  return scheduler
+}
+
+/**
+ * Get save scheduler of database
+ * @param {Loki} db
+ * @return {object|undefined}
+ */
+const schedulerOf = db => schedulers.get(db)
+
+/**
+ * Save database through its scheduler if it has one, so that it never overlaps other saves
+ * @param {Loki} db
+ * @return {Promise<Loki>}
+ */
+const queueSave = (db) => {
+  const scheduler = schedulers.get(db)
+  return scheduler ? scheduler.save() : writeDatabase(db)
+}
+
+module.exports.createScheduler = createScheduler
+module.exports.schedulerOf = schedulerOf
+module.exports.queueSave = queueSave
@@ -0,0 +1,99 @@
+/* eslint-env jest */
+const fs = require('fs')
+const path = require('path')
+const rimraf = require('rimraf')
+const { createPersistingDB } = require('./db')
+const { ValidationError } = require('./error')
+
+const tempDir = path.resolve('.', '.temp-scheduler')
+const generateFileName = (() => {
+  let count = 0
+  return () => `${tempDir}${path.sep}scheduler-test-${count++}`
+})()
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds))
+const savedCount = (fileName, collectionName) => JSON.parse(fs.readFileSync(fileName, 'utf8'))
+  .collections.find(collection => collection.name === collectionName).data.length
+
+beforeAll(() => {
+  rimraf.sync(tempDir)
+  fs.mkdirSync(tempDir)
+})
+afterAll(() => {
+  rimraf.sync(tempDir)
+})
+
+describe('save scheduler', () => {
+  it('never overlaps saves and coalesces concurrent calls', async () => {
+    const db = createPersistingDB(generateFileName())
+    const saveDatabase = db.persistenceAdapter.saveDatabase.bind(db.persistenceAdapter)
+    let active = 0
+    let maxActive = 0
+    let writes = 0
+    db.persistenceAdapter.saveDatabase = (dbname, dbstring, callback) => {
+      active++
+      writes++
+      maxActive = Math.max(maxActive, active)
+      saveDatabase(dbname, dbstring, (error) => {
+        active--
+        callback(error)
+      })
+    }
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    const results = await Promise.all([1, 2, 3, 4].map(() => db.saveDatabasePromise()))
+    expect(results.every(result => result === db)).toBe(true)
+    expect(maxActive).toBe(1)
+    expect(writes).toBe(2)
+    await db.close()
+  })
+  it('saves changes periodically and emits save event', async () => {
+    const fileName = generateFileName()
+    const db = createPersistingDB(fileName, { autosave: true, autosaveInterval: 10 })
+    const onSave = jest.fn()
+    db.on('save', onSave)
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    await wait(50)
+    expect(onSave).toHaveBeenCalled()
+    expect(savedCount(fileName, 'TEST')).toBe(1)
+    await db.close()
+  })
+  it('calls autosave callback with outcome of each autosave', async () => {
+    const autosaveCallback = jest.fn()
+    const db = createPersistingDB(generateFileName(), { autosave: true, autosaveInterval: 10, autosaveCallback })
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+    await wait(50)
+    expect(autosaveCallback).toHaveBeenCalledWith(null)
+    db.persistenceAdapter.saveDatabase = (dbname, dbstring, callback) => callback(new Error('disk full'))
+    db.on('error', () => {})
+    db.getCollection('TEST').insert({ slug: 'yyy' })
+    await wait(50)
+    expect(autosaveCallback).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'disk full' }))
+    await db.close().catch(() => {})
+    expect(() => createPersistingDB(generateFileName(), { autosaveCallback: 'not a function' })).toThrow(ValidationError)
+  })
+  it('emits error event and rejects if save fails', async () => {
+    const db = createPersistingDB(generateFileName())
+    db.persistenceAdapter.saveDatabase = (dbname, dbstring, callback) => callback(new Error('disk full'))
+    const onError = jest.fn()
+    db.on('error', onError)
+    await expect(db.saveDatabasePromise()).rejects.toHaveProperty('message', 'disk full')
+    expect(onError).toHaveBeenCalled()
+  })
+  it('flushes unsaved changes, stops autosave and removes signal handlers on close', async () => {
+    const fileName = generateFileName()
+    const listeners = process.listenerCount('SIGTERM')
+    const db = createPersistingDB(fileName, { autosave: true, autosaveInterval: 60000, handleSignals: true })
+    expect(process.listenerCount('SIGTERM')).toBe(listeners + 1)
+    const onClose = jest.fn()
+    db.on('close', onClose)
+    db.addCollection('TEST').insert({ slug: 'xxx' })
+
+    await db.close()
+    expect(savedCount(fileName, 'TEST')).toBe(1)
+    expect(onClose).toHaveBeenCalled()
+    expect(process.listenerCount('SIGTERM')).toBe(listeners)
+  })
+  it('throws if options are invalid', () => {
+    expect(() => createPersistingDB(generateFileName(), { autosaveInterval: 0 })).toThrow(ValidationError)
+    expect(() => createPersistingDB(generateFileName(), { handleSignals: ['TERM'] })).toThrow(ValidationError)
+  })
+})
@@ -0,0 +1,63 @@
+const _ = require('lodash')
+
+/**
+ * Take a copy of collection data which can be restored later
+ * @param {Loki.Collection} collection
+ * @return {object} snapshot containing copy of data and id counter
+ */
+const snapshotCollection = collection => ({
+  data: _.cloneDeep(collection.data),
+  maxId: collection.maxId
+})
+
+/**
+ * Find first unique constraint violated by given documents
+ * Objects with null or undefined value on any property of a compound key are ignored for that key
+ * @param {object[]} docs
+ * @param {Array<string|string[]>} uniqueKeys - property names, or arrays of property names for compound keys
+ * @return {object|undefined} key and value of first duplicate, or keys and values for compound key,
+ * undefined if there is none
+ */
+const findDuplicate = (docs, uniqueKeys) => {
+  for (const uniqueKey of uniqueKeys) {
+    const keys = Array.isArray(uniqueKey) ? uniqueKey : [uniqueKey]
+    const seen = new Set()
+    for (const doc of docs) {
+      const values = keys.map(key => doc[key])
+      if (!values.some(_.isNil)) {
+        // Loki unique index stores values as object keys
+        const id = keys.length === 1 ? String(values[0]) : JSON.stringify(values)
+        if (seen.has(id)) {
+          return Array.isArray(uniqueKey) ? { keys, values } : { key: uniqueKey, value: values[0] }
+        }
+        seen.add(id)
+      }
+    }
+  }
+  return undefined
+}
+
+/**
+ * Replace collection data with given snapshot and rebuild id, unique and binary indices
+ * Data is expected to satisfy collection's unique constraints
+ * @param {Loki.Collection} collection
+ * @param {object} snapshot
+ * @param {object[]} snapshot.data - documents with $loki property
+ * @param {number} snapshot.maxId - id counter of collection
+ * @return {Loki.Collection}
+ */
+const restoreCollection = (collection, { data, maxId }) => {
+  collection.data = data
+  collection.maxId = maxId
+  collection.idIndex = null
+  collection.ensureId()
+  collection.uniqueNames.forEach(key => collection.ensureUniqueIndex(key))
+  collection.ensureAllIndexes(true)
+  collection.DynamicViews.forEach(view => view.rematerialize())
+  collection.dirty = true
+  return collection
+}
+
+module.exports.snapshotCollection = snapshotCollection
+module.exports.findDuplicate = findDuplicate
+module.exports.restoreCollection = restoreCollection
@@ -0,0 +1,43 @@
+/* eslint-env jest */
+const { snapshotCollection, findDuplicate, restoreCollection } = require('./snapshot')
+const { createInMemoryOnlyDB } = require('./db')
+
+const db = createInMemoryOnlyDB('test')
+const clear = () => {
+  db.clearDatabase()
+}
+
+describe('snapshot helpers', () => {
+  describe('findDuplicate', () => {
+    it('yields first duplicated unique value', () => {
+      expect(findDuplicate([{ a: 1 }, { a: 2 }], ['a'])).toBeUndefined()
+      expect(findDuplicate([{ a: 1 }, { a: 1 }], ['a'])).toEqual({ key: 'a', value: 1 })
+    })
+    it('yields first duplicated combination of compound key', () => {
+      const docs = [{ a: 1, b: 1 }, { a: 1, b: 2 }, { a: 1, b: 2 }]
+      expect(findDuplicate(docs, [['a', 'b']])).toEqual({ keys: ['a', 'b'], values: [1, 2] })
+      expect(findDuplicate(docs.slice(0, 2), [['a', 'b']])).toBeUndefined()
+    })
+    it('ignores null and undefined values', () => {
+      expect(findDuplicate([{ a: null }, { a: null }, {}, {}], ['a'])).toBeUndefined()
+    })
+  })
+  describe('snapshotCollection and restoreCollection', () => {
+    beforeEach(clear)
+    it('restores data, id counter and indices of collection', () => {
+      const collection = db.addCollection('TESTS', { unique: ['slug'], indices: ['rank'] })
+      collection.insert([{ slug: 'a', rank: 2 }, { slug: 'b', rank: 1 }])
+      const snapshot = snapshotCollection(collection)
+
+      collection.insert({ slug: 'c', rank: 3 })
+      collection.findAndRemove({ slug: 'a' })
+      restoreCollection(collection, snapshot)
+
+      expect(collection.count()).toBe(2)
+      expect(collection.by('slug', 'a')).toBeDefined()
+      expect(collection.by('slug', 'c')).toBeUndefined()
+      expect(collection.find({ rank: { $gte: 2 } })).toHaveLength(1)
+      expect(collection.insert({ slug: 'c', rank: 3 }).$loki).toBe(3)
+    })
+  })
+})
@@ -0,0 +1,208 @@
+const _ = require('lodash')
+const debug = require('debug')('loki-helper:transaction')
+const Loki = require('lokijs')
+
+const { restoreCollection } = require('./snapshot')
+
+/** Transaction whose function is running, changes made meanwhile belong to it and its parents */
+let active = null
+
+/** Collections of which changes are recorded by transactions */
+const observed = new WeakSet()
+
+/** Callbacks deferred until transactions they wait for commit, each with set of those transactions */
+let deferred = []
+
+/**
+ * Transactions which are not completed, from given one through its parents, that cover given collection
+ * @param {object} current - transaction
+ * @param {Loki.Collection} collection
+ * @return {object[]}
+ */
+const coveringTransactions = (current, collection) => {
+  const found = []
+  for (let tx = current; tx; tx = tx.parent) {
+    if (!tx.completed && tx.logs.has(collection)) {
+      found.push(tx)
+    }
+  }
+  return found
+}
+
+/**
+ * Record state of stored object before its first change by each active transaction covering collection
+ * @param {Loki.Collection} collection
+ * @param {number} id - $loki of object
+ * @param {object|null} before - copy of object, null if it did not exist
+ */
+const recordChange = (collection, id, before) => coveringTransactions(active, collection).forEach(({ logs }) => {
+  const { changes } = logs.get(collection)
+  if (!changes.has(id)) {
+    changes.set(id, before)
+  }
+})
+
+/**
+ * Listen to writes on collection so that transactions can undo their own changes
+ * Objects changed in place before being updated are recorded as they are at update
+ * @param {Loki.Collection} collection
+ */
+const observe = (collection) => {
+  if (observed.has(collection)) {
+    return
+  }
+  observed.add(collection)
+  collection.on('insert', docs => _.castArray(docs).forEach(doc => recordChange(collection, doc.$loki, null)))
+  collection.on('pre-update', (doc) => {
+    const current = collection.get(doc.$loki)
+    recordChange(collection, doc.$loki, current ? _.cloneDeep(current) : null)
+  })
+  collection.on('delete', doc => recordChange(collection, doc.$loki, _.cloneDeep(doc)))
+}
+
+/**
+ * Run function as part of transaction
+ * @param {object|null} current - transaction, or null to run outside of any
+ * @param {function} fn
+ * @return {any} return value of function
+ */
+const within = (current, fn) => {
+  const previous = active
+  active = current
+  try {
+    return fn()
+  } finally {
+    active = previous
+  }
+}
+
+/**
+ * Bind function to transaction running now, so that changes it makes when called later, eg. once promise resolves,
+ * belong to that transaction
+ * @param {function} fn
+ * @return {function}
+ */
+const bind = (fn) => {
+  const current = active
+  return (...args) => within(current, () => fn(...args))
+}
+
+/**
+ * Wrap database or collection so that changes made through its methods belong to transaction running now
+ * Collections returned by its methods, eg. getCollection, are wrapped as well
+ * @param {Loki|Loki.Collection} target
+ * @return {Proxy}
+ */
+const bindTarget = (target) => {
+  const current = active
+  return new Proxy(target, {
+    get (object, key) {
+      const value = object[key]
+      if (!_.isFunction(value)) {
+        return value
+      }
+      return (...args) => within(current, () => {
+        const result = value.apply(object, args)
+        return result instanceof Loki.Collection ? bindTarget(result) : result
+      })
+    }
+  })
+}
+
+/**
+ * Undo changes of transaction to collection, keeping changes made by others to objects it did not change
+ * @param {Loki.Collection} collection
+ * @param {object} log
+ * @param {Map} log.changes - copies of changed objects before first change keyed by $loki, null if inserted
+ * @param {number} log.maxId - id counter of collection when transaction started
+ */
+const undo = (collection, { changes, maxId }) => {
+  if (changes.size === 0) {
+    return
+  }
+  const data = _.sortBy(collection.data
+    .filter(doc => !changes.has(doc.$loki))
+    .concat(Array.from(changes.values()).filter(Boolean)), '$loki')
+  restoreCollection(collection, { data, maxId: Math.max(maxId, _.max(data.map(doc => doc.$loki)) || 0) })
+}
+
+/**
+ * Settle deferred callbacks waiting for completed transaction
+ * Callbacks waiting for rolled back transaction are dropped, as rollback undoes the changes they report,
+ * callbacks no longer waiting for any transaction are run in order of deferral
+ * @param {object} completed - completed transaction
+ * @param {bool} committed - false if transaction was rolled back
+ */
+const complete = (completed, committed) => {
+  completed.completed = true
+  const affected = deferred.filter(({ pending }) => pending.has(completed))
+  if (!committed) {
+    deferred = _.difference(deferred, affected)
+    return
+  }
+  affected.forEach(({ pending }) => pending.delete(completed))
+  const ready = affected.filter(({ pending }) => pending.size === 0)
+  deferred = _.difference(deferred, ready)
+  ready.forEach(({ fn }) => fn())
+}
+
+/**
+ * Run callback now, or after transactions which the running change of given collection belongs to commit
+ * Callback is dropped if any of them is rolled back
+ * @param {Loki.Collection} collection - collection of which change is reported by callback
+ * @param {function} fn
+ */
+const afterCommit = (collection, fn) => {
+  const pending = new Set(coveringTransactions(active, collection))
+  if (pending.size === 0) {
+    fn()
+  } else {
+    deferred.push({ fn, pending })
+  }
+}
+
+/**
+ * Run function so that its changes to given collections are kept only if it completes
+ * If function throws or returns rejected promise, objects it inserted, updated or removed in given collections
+ * are restored and indices rebuilt, changes made meanwhile by other callers to other objects are kept
+ * Changes belong to transaction if made while function runs, through target passed to function or by function
+ * bound to transaction, see bindTarget and bind, so writes made after returned promise waits should go through them
+ * @param {Loki.Collection[]} collections
+ * @param {function} fn - function to run, may return promise
+ * @return {any|Promise<any>} return value of function
+ * @throws {Error} error thrown by function, after rollback
+ */
+const transaction = (collections, fn) => {
+  collections.forEach(observe)
+  const current = {
+    parent: active,
+    completed: false,
+    logs: new Map(collections.map(collection => [collection, { changes: new Map(), maxId: collection.maxId }]))
+  }
+  const rollback = (error) => {
+    debug(`rolling back ${collections.map(collection => collection.name).join(', ')}`)
+    within(null, () => current.logs.forEach((log, collection) => undo(collection, log)))
+    complete(current, false)
+    throw error
+  }
+  const commit = (value) => {
+    complete(current, true)
+    return value
+  }
+
+  let result
+  try {
+    result = within(current, fn)
+  } catch (error) {
+    rollback(error)
+  }
+  if (result && _.isFunction(result.then)) {
+    return result.then(commit, rollback)
+  }
+  return commit(result)
+}
+
+module.exports.transaction = transaction
+module.exports.afterCommit = afterCommit
+module.exports.bind = bind
+module.exports.bindTarget = bindTarget
@@ -0,0 +1,134 @@
+/* eslint-env jest */
+const { transaction, afterCommit, bind, bindTarget } = require('./transaction')
+const { createInMemoryOnlyDB } = require('./db')
+
+const db = createInMemoryOnlyDB('test')
+let c1
+let c2
+const reset = () => {
+  db.clearDatabase()
+  c1 = db.addCollection('C1', { unique: ['slug'] })
+  c2 = db.addCollection('C2', { indices: ['rank'] })
+  c1.insert({ slug: 'a' })
+  c2.insert({ rank: 1 })
+}
+
+describe('transaction', () => {
+  beforeEach(reset)
+  it('keeps changes and returns result if function succeeds', () => {
+    const result = transaction([c1, c2], () => {
+      c1.insert({ slug: 'b' })
+      c2.insert({ rank: 2 })
+      return 42
+    })
+    expect(result).toBe(42)
+    expect(c1.count()).toBe(2)
+    expect(c2.count()).toBe(2)
+  })
+  it('restores all collections if function throws', () => {
+    expect(() => transaction([c1, c2], () => {
+      c1.insert({ slug: 'b' })
+      c2.findAndRemove({ rank: 1 })
+      c1.insert({ slug: 'a' })
+    })).toThrow()
+    expect(c1.count()).toBe(1)
+    expect(c1.by('slug', 'b')).toBeUndefined()
+    expect(c1.by('slug', 'a')).toBeDefined()
+    expect(c2.find({ rank: 1 })).toHaveLength(1)
+  })
+  it('restores all collections if returned promise rejects', async () => {
+    const error = new Error('fail')
+    await expect(transaction([c1, c2], () => {
+      c1.insert({ slug: 'b' })
+      return Promise.reject(error)
+    })).rejects.toBe(error)
+    expect(c1.count()).toBe(1)
+    expect(c1.by('slug', 'b')).toBeUndefined()
+  })
+  it('defers callbacks until transactions restoring collection commit and drops those of rolled back one', () => {
+    const calls = []
+    afterCommit(c1, () => calls.push('outside'))
+    transaction([c1], () => {
+      afterCommit(c1, () => calls.push('outer'))
+      transaction([c1, c2], () => afterCommit(c1, () => calls.push('nested')))
+      expect(() => transaction([c2], () => {
+        afterCommit(c2, () => calls.push('inner'))
+        throw new Error('fail')
+      })).toThrow()
+      transaction([c2], () => afterCommit(c2, () => calls.push('unrelated')))
+      expect(calls).toEqual(['outside', 'unrelated'])
+    })
+    expect(calls).toEqual(['outside', 'unrelated', 'outer', 'nested'])
+  })
+  it('keeps callbacks of interleaved transaction when another one is rolled back', async () => {
+    const calls = []
+    const wait = () => new Promise(resolve => setTimeout(resolve, 5))
+    const first = transaction([c1], () => wait().then(bind(() => {
+      afterCommit(c1, () => calls.push('first'))
+      return wait()
+    })).then(() => {
+      throw new Error('fail')
+    }))
+    const second = transaction([c2], () => wait().then(bind(() => {
+      afterCommit(c2, () => calls.push('second'))
+      return wait().then(wait)
+    })))
+    await expect(first).rejects.toThrow('fail')
+    expect(calls).toEqual([])
+    await second
+    expect(calls).toEqual(['second'])
+  })
+  it('runs callbacks of changes made outside of pending transaction at once', async () => {
+    const calls = []
+    let rejectPending
+    const pending = transaction([c1], () => new Promise((resolve, reject) => {
+      rejectPending = reject
+    }))
+    afterCommit(c1, () => calls.push('outside'))
+    expect(calls).toEqual(['outside'])
+    rejectPending(new Error('fail'))
+    await expect(pending).rejects.toThrow('fail')
+    expect(calls).toEqual(['outside'])
+  })
+  it('rolls back only changes of its own, keeping changes made by others while pending', async () => {
+    const a = c1.by('slug', 'a')
+    let rejectPending
+    const pending = transaction([c1], () => {
+      c1.insert({ slug: 'b' })
+      c1.update(Object.assign({}, a, { title: 'changed' }))
+      return new Promise((resolve, reject) => {
+        rejectPending = reject
+      })
+    })
+    c1.insert({ slug: 'outside' })
+    rejectPending(new Error('fail'))
+    await expect(pending).rejects.toThrow('fail')
+    expect(c1.find().map(doc => doc.slug)).toEqual(['a', 'outside'])
+    expect(c1.by('slug', 'a').title).toBeUndefined()
+    expect(c1.by('slug', 'b')).toBeUndefined()
+    expect(c1.insert({ slug: 'c' }).$loki).toBe(4)
+  })
+  it('rolls back changes made by bound function and through bound target after returned promise waits', async () => {
+    const wait = () => new Promise(resolve => setTimeout(resolve, 5))
+    await expect(transaction([c1, c2], () => {
+      const collection = bindTarget(c1)
+      return wait().then(bind(() => c2.insert({ rank: 2 }))).then(() => {
+        collection.insert({ slug: 'b' })
+        throw new Error('fail')
+      })
+    })).rejects.toThrow('fail')
+    expect(c1.count()).toBe(1)
+    expect(c2.count()).toBe(1)
+  })
+  it('rolls back nested transaction without undoing changes of its parent', () => {
+    transaction([c1], () => {
+      c1.insert({ slug: 'b' })
+      expect(() => transaction([c1], () => {
+        c1.findAndRemove({ slug: 'a' })
+        c1.insert({ slug: 'c' })
+        throw new Error('fail')
+      })).toThrow('fail')
+    })
+    expect(c1.find().map(doc => doc.slug)).toEqual(['a', 'b'])
+  })
+})
@@ -0,0 +1,118 @@
+const _ = require('lodash')
+const Joi = require('joi')
+
+const { ValidationError } = require('./error')
+const { replaceKeyNames } = require('./object')
+
+/** Schema for input validation */
+const Schema = (() => {
+  const propertyNames = Joi.array()
+    .items(Joi.string().min(1))
+    .single()
+    .unique()
+  const view = Joi.object()
+    .keys({
+      include: propertyNames,
+      exclude: propertyNames,
+      rename: Joi.object().pattern(/.*/, Joi.string().min(1)),
+      computed: Joi.object().pattern(/.*/, Joi.func()),
+      nested: Joi.object().pattern(/.*/, Joi.lazy(() => view))
+    })
+    .without('include', 'exclude')
+  const views = Joi.object().pattern(/.*/, view)
+
+  return {
+    view,
+    views
+  }
+})()
+
+/**
+ * Validate view definitions of collection
+ * @param {object} views - view definitions keyed by view name
+ * @return {object}
+ * @throws {ValidationError} invalid view definition
+ */
+const normalizeViews = (views) => {
+  const { error, value } = Schema.views.validate(views)
+  if (error) {
+    throw new ValidationError('invalid views', _.pick(error, ['details', 'anotate']))
+  }
+  return value
+}
+
+/**
+ * Apply function to object or to each object of array, leaving other values as is
+ * @param {any} value
+ * @param {function} fn
+ * @return {any}
+ */
+const mapObjects = (value, fn) => {
+  if (Array.isArray(value)) {
+    return value.map(item => mapObjects(item, fn))
+  }
+  return _.isPlainObject(value) ? fn(value) : value
+}
+
+/**
+ * Shape stored object for output
+ * Fields are picked or omitted (dot notation allowed), nested objects are shaped by their own view,
+ * fields are renamed then computed fields are added
+ * @param {object} view
+ * @param {string[]} view.include - fields to keep
+ * @param {string[]} view.exclude - fields to drop
+ * @param {object} view.rename - output names keyed by stored names, eg. { $loki: 'id' }
+ * @param {object} view.computed - functions receiving stored object, keyed by output name
+ * @param {object} view.nested - views of nested objects or arrays of objects keyed by stored name
+ * @param {object} doc - stored object
+ * @return {object} shaped copy
+ */
+const applyView = (view, doc) => {
+  const copy = _.cloneDeep(doc)
+  const projected = view.include ? _.pick(copy, view.include) : view.exclude ? _.omit(copy, view.exclude) : copy
+  _.forEach(view.nested, (nestedView, field) => {
+    if (_.has(projected, field)) {
+      projected[field] = mapObjects(projected[field], nested => applyView(nestedView, nested))
+    }
+  })
+  const renamed = view.rename ? replaceKeyNames(view.rename)(projected) : projected
+  return Object.assign(renamed, _.mapValues(view.computed, compute => compute(doc)))
+}
+
+/**
+ * Map input shaped like view output back to stored field names
+ * Computed fields are dropped and renamed fields get their stored names back
+ * @param {object} view
+ * @param {object} data - input in view shape
+ * @return {object} copy with stored field names
+ */
+const reverseView = (view, data) => {
+  const withoutComputed = _.omit(_.cloneDeep(data), Object.keys(view.computed || {}))
+  const restored = view.rename ? replaceKeyNames(_.invert(view.rename))(withoutComputed) : withoutComputed
+  _.forEach(view.nested, (nestedView, field) => {
+    if (_.has(restored, field)) {
+      restored[field] = mapObjects(restored[field], nested => reverseView(nestedView, nested))
+    }
+  })
+  return restored
+}
+
+/**
+ * Get view of collection by name
+ * @param {object} views - normalized views of collection
+ * @param {string} viewName
+ * @param {string} collectionName - reported on failure
+ * @return {object}
+ * @throws {ValidationError} view not exist
+ */
+const getView = (views, viewName, collectionName) => {
+  if (!_.has(views, viewName)) {
+    throw new ValidationError(`view ${viewName} of ${collectionName} collection not exist`, { viewName, collectionName })
+  }
+  return views[viewName]
+}
+
+module.exports.normalizeViews = normalizeViews
+module.exports.applyView = applyView
+module.exports.reverseView = reverseView
+module.exports.getView = getView
@@ -0,0 +1,85 @@
+/* eslint-env jest */
+const Joi = require('joi')
+const { createInMemoryOnlyDB } = require('./db')
+const { Initializer } = require('./collection')
+const { ValidationError } = require('./error')
+const { applyView, reverseView } = require('./view')
+
+const publicView = {
+  exclude: ['meta', 'passwordHash'],
+  rename: { $loki: 'id' },
+  computed: { displayName: doc => `${doc.firstName} ${doc.lastName}` },
+  nested: { addresses: { include: ['city'] } }
+}
+const user = {
+  $loki: 3,
+  meta: { revision: 0 },
+  firstName: 'john',
+  lastName: 'doe',
+  passwordHash: 'xxx',
+  addresses: [{ city: 'paris', street: 'rue' }]
+}
+
+describe('applyView', () => {
+  it('projects, shapes nested objects, renames and computes fields', () => {
+    expect(applyView(publicView, user)).toEqual({
+      id: 3,
+      firstName: 'john',
+      lastName: 'doe',
+      displayName: 'john doe',
+      addresses: [{ city: 'paris' }]
+    })
+    expect(user.addresses[0].street).toBe('rue')
+  })
+  it('keeps only included fields, in dot notation', () => {
+    expect(applyView({ include: ['$loki', 'meta.revision'] }, user)).toEqual({ $loki: 3, meta: { revision: 0 } })
+  })
+})
+
+describe('reverseView', () => {
+  it('drops computed fields and restores stored names', () => {
+    const input = { id: 3, firstName: 'jane', displayName: 'ignored', addresses: [{ city: 'rome' }] }
+    expect(reverseView(publicView, input)).toEqual({ $loki: 3, firstName: 'jane', addresses: [{ city: 'rome' }] })
+  })
+})
+
+describe('Collection views', () => {
+  const objectSchema = Joi.object()
+    .keys({
+      firstName: Joi.string().required(),
+      lastName: Joi.string(),
+      passwordHash: Joi.string()
+    })
+    .unknown()
+  const open = () => {
+    const db = createInMemoryOnlyDB('view-test')
+    return Initializer(db, 'USERS', [], undefined, objectSchema, { views: { public: publicView } }).initialize()
+  }
+
+  it('shapes objects returned by getByID and query on request', () => {
+    const users = open()
+    const { $loki: id } = users.validateAndInsert({ firstName: 'john', lastName: 'doe', passwordHash: 'xxx' })
+    expect(users.getByID(id).passwordHash).toBe('xxx')
+    expect(users.getByID(id, { view: 'public' })).toEqual({
+      id,
+      firstName: 'john',
+      lastName: 'doe',
+      displayName: 'john doe'
+    })
+    expect(users.query({}, { view: 'public' }).items[0].id).toBe(id)
+    expect(() => users.getByID(id, { view: 'internal' })).toThrow(ValidationError)
+  })
+  it('maps view-shaped input back for validated writes', () => {
+    const users = open()
+    const { $loki: id } = users.validateAndInsert({ firstName: 'john' })
+    const replaced = users.validateAndReplace(users.fromView({ id, firstName: 'jane', displayName: 'x' }, 'public'))
+    expect(replaced.firstName).toBe('jane')
+    expect(replaced.displayName).toBeUndefined()
+  })
+  it('rejects invalid view definitions', () => {
+    const db = createInMemoryOnlyDB('view-test')
+    expect(() => Initializer(db, 'USERS', [], undefined, objectSchema, {
+      views: { public: { include: ['a'], exclude: ['b'] } }
+    })).toThrow(ValidationError)
+  })
+})